@@ -3,6 +3,9 @@
  */
 
 const App = {
+    // Skip dates of the schedule open in the schedule modal
+    scheduleSkipDates: [],
+
     /**
      * Initialize the application
      */
@@ -13,6 +16,7 @@ const App = {
         // Render initial data
         UI.renderFavorites();
         UI.renderSchedules();
+        UI.renderSpending();
 
         // Bind events
         this.bindFavoriteEvents();
@@ -20,6 +24,8 @@ const App = {
         this.bindSettingsEvents();
         this.bindNotificationBannerEvents();
         this.bindHistoryEvents();
+        this.bindSpendingEvents();
+        this.bindJobEvents();
 
         // Initialize scheduler
         Scheduler.init();
@@ -90,12 +96,38 @@ const App = {
         // Schedule type toggle
         document.querySelectorAll('input[name="schedule-type"]').forEach(radio => {
             radio.addEventListener('change', () => {
-                const isOnce = radio.value === 'once';
-                document.getElementById('once-options').classList.toggle('hidden', !isOnce);
-                document.getElementById('recurring-options').classList.toggle('hidden', isOnce);
+                this.showScheduleTypeOptions(radio.value);
             });
         });
 
+        // Retries only apply to orders the schedule places itself
+        document.getElementById('schedule-autoopen').addEventListener('change', (e) => {
+            document.getElementById('schedule-retry-options').classList.toggle('hidden', !e.target.checked);
+        });
+
+        // Recurrence builder writes the rules; the rules and times drive the preview
+        document.querySelectorAll('.recurrence-builder').forEach(input => {
+            input.addEventListener('change', () => this.buildRecurrenceRules());
+        });
+        ['recurrence-rule', 'recurrence-exrule', 'recurrence-times', 'recurrence-start', 'schedule-timezone'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => UI.renderRecurrencePreview(this.readRecurrence()));
+        });
+
+        // Schedule's own skip dates
+        document.getElementById('add-schedule-skip-btn').addEventListener('click', () => {
+            const range = this.readSkipRange('schedule-skip');
+            if (!range) return;
+            this.scheduleSkipDates = [...this.scheduleSkipDates, range];
+            this.renderScheduleSkipDates();
+        });
+
+        document.getElementById('schedule-skip-dates').addEventListener('click', (e) => {
+            const item = e.target.closest('.skip-date');
+            if (!item || e.target.dataset.action !== 'remove-skip') return;
+            this.scheduleSkipDates = this.scheduleSkipDates.filter(range => range.id !== item.dataset.id);
+            this.renderScheduleSkipDates();
+        });
+
         // Form submission
         UI.scheduleForm.addEventListener('submit', (e) => {
             e.preventDefault();
@@ -137,6 +169,14 @@ const App = {
             this.checkServerStatus();
             UI.updateNotificationStatus();
             this.loadAutomationSettings();
+            this.loadBudgetSettings();
+            this.loadSkipDates();
+            document.getElementById('calendar-feed-url').value = DoorDash.getCalendarFeedUrl();
+        });
+
+        // Selector health check
+        document.getElementById('check-selectors-btn').addEventListener('click', () => {
+            this.checkSelectors();
         });
 
         // Address selection
@@ -164,6 +204,60 @@ const App = {
             this.saveAutomationSettings();
         });
 
+        // Step screenshots
+        document.getElementById('capture-every-step').addEventListener('change', (e) => {
+            this.saveAutomationSettings();
+        });
+
+        // Item name match threshold
+        document.getElementById('match-threshold').addEventListener('change', (e) => {
+            this.saveAutomationSettings();
+        });
+
+        // Estimated total drift alert
+        document.getElementById('total-drift').addEventListener('change', (e) => {
+            this.saveAutomationSettings();
+            UI.renderFavorites();
+        });
+
+        // Budget caps
+        ['budget-daily', 'budget-weekly', 'budget-monthly', 'budget-action'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.saveBudgetSettings();
+                UI.renderSpending();
+            });
+        });
+
+        // Global skip dates
+        document.getElementById('add-skip-btn').addEventListener('click', () => {
+            const range = this.readSkipRange('skip');
+            if (range) this.saveSkipDates([...this.getSkipDates(), range]);
+        });
+
+        document.getElementById('skip-dates-list').addEventListener('click', (e) => {
+            const item = e.target.closest('.skip-date');
+            if (!item || e.target.dataset.action !== 'remove-skip') return;
+            this.saveSkipDates(this.getSkipDates().filter(range => range.id !== item.dataset.id));
+        });
+
+        document.getElementById('import-holidays-btn').addEventListener('click', () => {
+            document.getElementById('holidays-file').click();
+        });
+
+        document.getElementById('holidays-file').addEventListener('change', (e) => {
+            this.importHolidays(e.target.files[0]);
+            e.target.value = ''; // Reset for re-selection
+        });
+
+        // Calendar feed
+        document.getElementById('copy-calendar-url-btn').addEventListener('click', () => {
+            this.copyCalendarUrl();
+        });
+
+        document.getElementById('download-calendar-btn').addEventListener('click', () => {
+            this.downloadCalendar();
+        });
+
         // Notification permission
         document.getElementById('notification-permission-btn').addEventListener('click', async () => {
             await Scheduler.requestNotificationPermission();
@@ -195,6 +289,8 @@ const App = {
                 Storage.clearAll();
                 UI.renderFavorites();
                 UI.renderSchedules();
+                UI.renderSpending();
+                Scheduler.checkSchedules();
                 UI.showToast('All data cleared', 'success');
             }
         });
@@ -205,18 +301,27 @@ const App = {
      */
     bindNotificationBannerEvents() {
         document.getElementById('notification-order').addEventListener('click', () => {
-            const favoriteId = UI.notificationBanner.dataset.favoriteId;
-            this.orderFavorite(favoriteId);
-            UI.hideNotificationBanner();
+            Scheduler.orderFromReminder(UI.notificationBanner.dataset.scheduleId);
+        });
+
+        document.getElementById('notification-snooze-choice').addEventListener('change', (e) => {
+            document.getElementById('notification-snooze-until').classList.toggle('hidden', e.target.value !== 'until');
         });
 
         document.getElementById('notification-snooze').addEventListener('click', () => {
-            const scheduleId = UI.notificationBanner.dataset.scheduleId;
-            Scheduler.snooze(scheduleId, 5);
+            const until = Scheduler.getSnoozeEnd(
+                document.getElementById('notification-snooze-choice').value,
+                document.getElementById('notification-snooze-until').value
+            );
+            if (!until) {
+                UI.showToast('Please pick a time to snooze until', 'error');
+                return;
+            }
+            Scheduler.snooze(UI.notificationBanner.dataset.scheduleId, until);
         });
 
         document.getElementById('notification-dismiss').addEventListener('click', () => {
-            UI.hideNotificationBanner();
+            Scheduler.dismiss(UI.notificationBanner.dataset.scheduleId);
         });
     },
 
@@ -244,6 +349,17 @@ const App = {
             UI.renderHistory(e.target.value);
         });
 
+        // Status filter change
+        document.getElementById('history-status-filter').addEventListener('change', () => {
+            UI.renderHistory();
+        });
+
+        // Expand an entry's run log (delegated)
+        document.getElementById('history-list').addEventListener('click', (e) => {
+            const toggle = e.target.closest('.history-log-toggle');
+            if (toggle) this.toggleRunLog(toggle);
+        });
+
         // Clear history
         document.getElementById('history-clear-btn').addEventListener('click', async () => {
             const confirmed = await UI.confirm(
@@ -252,12 +368,75 @@ const App = {
             );
             if (confirmed) {
                 OrderHistoryModel.clearAll();
+                ReminderLogModel.clearAll();
                 UI.renderHistory();
+                UI.renderSpending();
                 UI.showToast('History cleared', 'success');
             }
         });
     },
 
+    /**
+     * Show or hide a history entry's run log, fetching it the first time
+     * @param {HTMLElement} toggle - The entry's "Show log" button
+     */
+    async toggleRunLog(toggle) {
+        const container = toggle.nextElementSibling;
+
+        if (!container.classList.contains('hidden')) {
+            container.classList.add('hidden');
+            toggle.textContent = 'Show log';
+            return;
+        }
+
+        if (!container.innerHTML.trim()) {
+            toggle.disabled = true;
+            toggle.textContent = 'Loading...';
+            try {
+                const log = await DoorDash.getRunLog(toggle.dataset.jobId);
+                container.innerHTML = UI.createRunLog(log);
+            } catch (error) {
+                UI.showToast(error.message, 'error');
+                toggle.textContent = 'Show log';
+                return;
+            } finally {
+                toggle.disabled = false;
+            }
+        }
+
+        container.classList.remove('hidden');
+        toggle.textContent = 'Hide log';
+    },
+
+    /**
+     * Bind spending view events
+     */
+    bindSpendingEvents() {
+        document.getElementById('spending-period').addEventListener('change', () => {
+            UI.renderSpending();
+        });
+    },
+
+    /**
+     * Bind automation job progress events
+     */
+    bindJobEvents() {
+        // Cancel buttons on job progress indicators (delegated)
+        UI.toastContainer.addEventListener('click', async (e) => {
+            if (e.target.dataset.action !== 'cancel-job') return;
+
+            const progress = e.target.closest('.job-progress');
+            e.target.disabled = true;
+            UI.updateJobProgress(progress.dataset.jobId, 'Cancelling...');
+
+            const cancelled = await DoorDash.cancelJob(progress.dataset.jobId);
+            if (!cancelled) {
+                e.target.disabled = false;
+                UI.showToast('Could not cancel automation', 'error');
+            }
+        });
+    },
+
     /**
      * Open favorite modal for adding
      */
@@ -387,16 +566,23 @@ const App = {
         document.getElementById('schedule-modal-title').textContent = 'Add Schedule';
         UI.scheduleForm.reset();
         document.getElementById('schedule-id').value = '';
+        this.scheduleSkipDates = [];
+        this.renderScheduleSkipDates();
+        this.fillRetryPolicy(ScheduleTiming.getRetryPolicy());
 
         // Reset visibility
-        document.getElementById('once-options').classList.remove('hidden');
-        document.getElementById('recurring-options').classList.add('hidden');
+        this.showScheduleTypeOptions('once');
+        UI.populateTimeZoneSelect(ScheduleTiming.getLocalTimeZone());
+        document.getElementById('recurrence-start').value = this.toDateInputValue(new Date());
+        document.getElementById('recurrence-times').value = '12:00';
+        this.buildRecurrenceRules();
 
         // Set default datetime to now + 1 hour
         const defaultTime = new Date();
         defaultTime.setHours(defaultTime.getHours() + 1);
         defaultTime.setMinutes(0);
-        document.getElementById('schedule-datetime').value = defaultTime.toISOString().slice(0, 16);
+        const hours = String(defaultTime.getHours()).padStart(2, '0');
+        document.getElementById('schedule-datetime').value = `${this.toDateInputValue(defaultTime)}T${hours}:00`;
 
         UI.populateFavoriteSelect();
         UI.openModal(UI.scheduleModal);
@@ -421,12 +607,17 @@ const App = {
         const typeRadio = document.querySelector(`input[name="schedule-type"][value="${schedule.timing.type}"]`);
         if (typeRadio) typeRadio.checked = true;
 
+        this.scheduleSkipDates = [...(schedule.timing.skipDates || [])];
+        this.renderScheduleSkipDates();
+
         // Show/hide options
         const isOnce = schedule.timing.type === 'once';
-        document.getElementById('once-options').classList.toggle('hidden', !isOnce);
-        document.getElementById('recurring-options').classList.toggle('hidden', isOnce);
+        this.showScheduleTypeOptions(schedule.timing.type);
+        UI.populateTimeZoneSelect(schedule.timing.timeZone || ScheduleTiming.getLocalTimeZone());
 
-        if (isOnce && schedule.timing.dateTime) {
+        if (schedule.timing.type === 'advanced') {
+            this.fillRecurrence(schedule.timing);
+        } else if (isOnce && schedule.timing.dateTime) {
             document.getElementById('schedule-datetime').value = schedule.timing.dateTime.slice(0, 16);
         } else {
             // Recurring options
@@ -436,12 +627,205 @@ const App = {
             document.getElementById('schedule-time').value = schedule.timing.time || '';
         }
 
-        document.getElementById('reminder-minutes').value = schedule.settings.reminderMinutesBefore || 15;
+        document.getElementById('reminder-minutes').value = schedule.settings.reminderMinutesBefore ?? 15;
         document.getElementById('schedule-autoopen').checked = schedule.settings.autoOpen || false;
+        this.fillRetryPolicy(ScheduleTiming.getRetryPolicy(schedule.settings.retry));
 
         UI.openModal(UI.scheduleModal);
     },
 
+    /**
+     * Fill the retry fields of the schedule form
+     * @param {object} policy - Retry policy ({ maxAttempts, backoffMinutes, giveUpMinutes })
+     */
+    fillRetryPolicy(policy) {
+        document.getElementById('retry-attempts').value = policy.maxAttempts;
+        document.getElementById('retry-backoff').value = policy.backoffMinutes;
+        document.getElementById('retry-give-up').value = policy.giveUpMinutes;
+        document.getElementById('schedule-retry-options').classList.toggle(
+            'hidden', !document.getElementById('schedule-autoopen').checked
+        );
+    },
+
+    /**
+     * Read the retry fields of the schedule form
+     * @returns {object} Retry policy
+     */
+    readRetryPolicy() {
+        const read = (id, min, max) => Math.min(max, Math.max(min, parseInt(document.getElementById(id).value, 10) || min));
+        return {
+            maxAttempts: read('retry-attempts', 1, 5),
+            backoffMinutes: read('retry-backoff', 1, 60),
+            giveUpMinutes: read('retry-give-up', 5, 720)
+        };
+    },
+
+    /**
+     * Show the timing options for a schedule type
+     * @param {string} type - 'once', 'recurring' or 'advanced'
+     */
+    showScheduleTypeOptions(type) {
+        document.getElementById('once-options').classList.toggle('hidden', type !== 'once');
+        document.getElementById('recurring-options').classList.toggle('hidden', type !== 'recurring');
+        document.getElementById('advanced-options').classList.toggle('hidden', type !== 'advanced');
+        document.getElementById('schedule-skip-options').classList.toggle('hidden', type === 'once');
+    },
+
+    /**
+     * Show the skip dates of the schedule being edited and refresh the preview
+     */
+    renderScheduleSkipDates() {
+        UI.renderSkipDates(document.getElementById('schedule-skip-dates'), this.scheduleSkipDates);
+        UI.renderRecurrencePreview(this.readRecurrence());
+    },
+
+    /**
+     * Read a skip-date range from an add row and clear it
+     * @param {string} prefix - Input ID prefix ('skip' or 'schedule-skip')
+     * @returns {object|null} Range ({ id, start, end, label }), or null if the dates are invalid
+     */
+    readSkipRange(prefix) {
+        const startInput = document.getElementById(`${prefix}-start`);
+        const endInput = document.getElementById(`${prefix}-end`);
+        const labelInput = document.getElementById(`${prefix}-label`);
+
+        const start = startInput.value;
+        const end = endInput.value || start;
+        const label = labelInput.value.trim() || null;
+
+        if (!start) {
+            UI.showToast('Please select the first day to skip', 'error');
+            return null;
+        }
+        if (end < start) {
+            UI.showToast('The last day must not be before the first', 'error');
+            return null;
+        }
+
+        startInput.value = '';
+        endInput.value = '';
+        labelInput.value = '';
+        return { id: Storage.generateId(), start, end, label };
+    },
+
+    /**
+     * Write the recurrence rules from the builder options and refresh the preview
+     */
+    buildRecurrenceRules() {
+        const freq = document.getElementById('recurrence-freq').value;
+        const interval = parseInt(document.getElementById('recurrence-interval').value, 10) || 1;
+        const nth = document.getElementById('recurrence-nth').value;
+        const nthDay = document.getElementById('recurrence-nth-day').value;
+        const except = document.getElementById('recurrence-except').value;
+        const businessDays = 'MO,TU,WE,TH,FR';
+
+        document.getElementById('recurrence-weekly').classList.toggle('hidden', freq !== 'WEEKLY');
+        document.getElementById('recurrence-daily').classList.toggle('hidden', freq !== 'DAILY');
+        document.getElementById('recurrence-monthly').classList.toggle('hidden', freq !== 'MONTHLY');
+        document.getElementById('recurrence-nth-day').classList.toggle('hidden', !nth);
+
+        const parts = [`FREQ=${freq}`];
+        if (interval > 1) parts.push(`INTERVAL=${interval}`);
+
+        if (freq === 'WEEKLY') {
+            const days = Array.from(document.querySelectorAll('input[name="recurrence-days"]:checked'))
+                .map(cb => cb.value);
+            if (days.length > 0) parts.push(`BYDAY=${days.join(',')}`);
+        } else if (freq === 'DAILY' && document.getElementById('recurrence-weekdays').checked) {
+            parts.push(`BYDAY=${businessDays}`);
+        } else if (freq === 'MONTHLY' && nth) {
+            if (nthDay === 'day') {
+                parts.push(`BYMONTHDAY=${nth}`);
+            } else if (nthDay === 'weekday') {
+                parts.push(`BYDAY=${businessDays}`, `BYSETPOS=${nth}`);
+            } else {
+                parts.push(`BYDAY=${nth}${nthDay}`);
+            }
+        }
+
+        document.getElementById('recurrence-rule').value = parts.join(';');
+        document.getElementById('recurrence-exrule').value = except
+            ? `FREQ=MONTHLY;BYDAY=${businessDays};BYSETPOS=${except}`
+            : '';
+
+        UI.renderRecurrencePreview(this.readRecurrence());
+    },
+
+    /**
+     * Set the builder options and rule fields from a saved advanced schedule
+     * Rules the builder can't represent are kept as typed in the rule fields
+     * @param {object} timing - Schedule timing
+     */
+    fillRecurrence(timing) {
+        document.getElementById('recurrence-times').value = (timing.times || []).join(', ');
+        document.getElementById('recurrence-start').value = timing.startDate || '';
+
+        try {
+            const rule = ScheduleTiming.parseRule(timing.rrule);
+            const days = rule.byDay.map(day => ScheduleTiming.WEEKDAYS[day.weekday]);
+            const businessDays = days.join(',') === 'MO,TU,WE,TH,FR';
+
+            document.getElementById('recurrence-freq').value = rule.freq;
+            document.getElementById('recurrence-interval').value = rule.interval;
+            document.querySelectorAll('input[name="recurrence-days"]').forEach(cb => {
+                cb.checked = days.includes(cb.value);
+            });
+            document.getElementById('recurrence-weekdays').checked = businessDays;
+
+            if (rule.byMonthDay.length === 1) {
+                document.getElementById('recurrence-nth').value = rule.byMonthDay[0];
+                document.getElementById('recurrence-nth-day').value = 'day';
+            } else if (businessDays && rule.bySetPos.length === 1) {
+                document.getElementById('recurrence-nth').value = rule.bySetPos[0];
+                document.getElementById('recurrence-nth-day').value = 'weekday';
+            } else if (rule.byDay.length === 1 && rule.byDay[0].nth) {
+                document.getElementById('recurrence-nth').value = rule.byDay[0].nth;
+                document.getElementById('recurrence-nth-day').value = days[0];
+            }
+        } catch (error) {
+            // Leave the builder at its defaults
+        }
+
+        const except = (timing.exrule || '').match(/^FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=(-?1)$/);
+        document.getElementById('recurrence-except').value = except ? except[1] : '';
+
+        this.buildRecurrenceRules();
+
+        // Keep the saved rules exactly, even where the builder only approximates them
+        document.getElementById('recurrence-rule').value = timing.rrule || '';
+        document.getElementById('recurrence-exrule').value = timing.exrule || '';
+        UI.renderRecurrencePreview(this.readRecurrence());
+    },
+
+    /**
+     * Read the advanced timing fields
+     * @returns {object} Timing data ({ rrule, exrule, times, startDate })
+     */
+    readRecurrence() {
+        return {
+            rrule: document.getElementById('recurrence-rule').value.trim(),
+            exrule: document.getElementById('recurrence-exrule').value.trim() || null,
+            times: document.getElementById('recurrence-times').value
+                .split(',')
+                .map(time => time.trim())
+                .filter(Boolean)
+                .map(time => time.padStart(5, '0')),
+            startDate: document.getElementById('recurrence-start').value || null,
+            timeZone: document.getElementById('schedule-timezone').value || ScheduleTiming.getLocalTimeZone(),
+            skipDates: this.scheduleSkipDates
+        };
+    },
+
+    /**
+     * Format a date for a date input in local time
+     * @param {Date} date - Date
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    toDateInputValue(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
     /**
      * Save schedule (create or update)
      */
@@ -453,8 +837,11 @@ const App = {
             name: document.getElementById('schedule-name').value.trim(),
             favoriteId: document.getElementById('schedule-favorite').value,
             type,
+            timeZone: document.getElementById('schedule-timezone').value,
             reminderMinutesBefore: parseInt(document.getElementById('reminder-minutes').value) || 0,
-            autoOpen: document.getElementById('schedule-autoopen').checked
+            autoOpen: document.getElementById('schedule-autoopen').checked,
+            retry: this.readRetryPolicy(),
+            skipDates: this.scheduleSkipDates
         };
 
         if (type === 'once') {
@@ -463,6 +850,20 @@ const App = {
                 UI.showToast('Please select a date and time', 'error');
                 return;
             }
+        } else if (type === 'advanced') {
+            Object.assign(data, this.readRecurrence());
+
+            if (data.times.length === 0 || data.times.some(time => !/^([01]\d|2[0-3]):[0-5]\d$/.test(time))) {
+                UI.showToast('Please enter times as HH:MM, separated by commas', 'error');
+                return;
+            }
+            try {
+                ScheduleTiming.parseRule(data.rrule);
+                if (data.exrule) ScheduleTiming.parseRule(data.exrule);
+            } catch (error) {
+                UI.showToast(error.message, 'error');
+                return;
+            }
         } else {
             data.daysOfWeek = Array.from(document.querySelectorAll('input[name="schedule-days"]:checked'))
                 .map(cb => parseInt(cb.value));
@@ -493,6 +894,7 @@ const App = {
 
         UI.closeModal(UI.scheduleModal);
         UI.renderSchedules();
+        Scheduler.checkSchedules();
     },
 
     /**
@@ -502,6 +904,7 @@ const App = {
     toggleSchedule(id) {
         SchedulesModel.toggle(id);
         UI.renderSchedules();
+        Scheduler.checkSchedules();
     },
 
     /**
@@ -521,6 +924,7 @@ const App = {
             SchedulesModel.delete(id);
             UI.showToast('Schedule deleted', 'success');
             UI.renderSchedules();
+            Scheduler.checkSchedules();
         }
     },
 
@@ -530,6 +934,38 @@ const App = {
     async checkServerStatus() {
         const connected = await DoorDash.checkServer();
         UI.updateServerStatus(connected);
+        UI.updateSelectorStatus(connected ? await DoorDash.getSelectorStatus() : null);
+    },
+
+    /**
+     * Check selectors against the first favorite's store page
+     */
+    async checkSelectors() {
+        const favorite = FavoritesModel.getAll().find(f => f.restaurant?.storeUrl);
+        if (!favorite) {
+            UI.showToast('Add a favorite first - its store page is used for the check', 'error');
+            return;
+        }
+
+        const btn = document.getElementById('check-selectors-btn');
+        btn.disabled = true;
+        btn.textContent = 'Checking...';
+
+        try {
+            const result = await DoorDash.checkSelectors(favorite.restaurant.storeUrl);
+            UI.updateSelectorStatus(result);
+            UI.showToast(
+                result.status === 'ok'
+                    ? 'Selectors OK'
+                    : `Selectors degraded - not found: ${result.missing.join(', ')}`,
+                result.status === 'ok' ? 'success' : 'warning'
+            );
+        } catch (error) {
+            UI.showToast(error.message, 'error');
+        } finally {
+            btn.disabled = false;
+            btn.textContent = 'Check now';
+        }
     },
 
     /**
@@ -540,6 +976,9 @@ const App = {
         this.populateAddressSelect(settings.addresses || [], settings.selectedAddressId);
         document.getElementById('headless-mode').checked = settings.headlessMode || false;
         document.getElementById('chrome-profile').value = settings.chromeProfile || '';
+        document.getElementById('capture-every-step').checked = settings.captureEveryStep || false;
+        document.getElementById('match-threshold').value = settings.matchThreshold || '';
+        document.getElementById('total-drift').value = settings.totalDriftPercent || '';
     },
 
     /**
@@ -642,7 +1081,132 @@ const App = {
         const settings = Storage.get(Storage.KEYS.SETTINGS) || {};
         settings.headlessMode = document.getElementById('headless-mode').checked;
         settings.chromeProfile = document.getElementById('chrome-profile').value.trim() || null;
+        settings.captureEveryStep = document.getElementById('capture-every-step').checked;
+        settings.matchThreshold = parseFloat(document.getElementById('match-threshold').value) || null;
+        settings.totalDriftPercent = parseFloat(document.getElementById('total-drift').value) || null;
+        Storage.set(Storage.KEYS.SETTINGS, settings);
+    },
+
+    /**
+     * Load budget caps into the settings form
+     */
+    loadBudgetSettings() {
+        const budget = (Storage.get(Storage.KEYS.SETTINGS) || {}).budget || {};
+        document.getElementById('budget-daily').value = budget.daily || '';
+        document.getElementById('budget-weekly').value = budget.weekly || '';
+        document.getElementById('budget-monthly').value = budget.monthly || '';
+        document.getElementById('budget-action').value = budget.onExceed || 'confirm';
+    },
+
+    /**
+     * Save budget caps from the settings form
+     */
+    saveBudgetSettings() {
+        const settings = Storage.get(Storage.KEYS.SETTINGS) || {};
+        settings.budget = {
+            daily: parseFloat(document.getElementById('budget-daily').value) || null,
+            weekly: parseFloat(document.getElementById('budget-weekly').value) || null,
+            monthly: parseFloat(document.getElementById('budget-monthly').value) || null,
+            onExceed: document.getElementById('budget-action').value // 'confirm' or 'block'
+        };
+        Storage.set(Storage.KEYS.SETTINGS, settings);
+    },
+
+    /**
+     * Global skip dates from settings
+     * @returns {Array} Ranges ({ id, start, end, label })
+     */
+    getSkipDates() {
+        return (Storage.get(Storage.KEYS.SETTINGS) || {}).skipDates || [];
+    },
+
+    /**
+     * Show the global skip dates in the settings form
+     */
+    loadSkipDates() {
+        UI.renderSkipDates(document.getElementById('skip-dates-list'), this.getSkipDates());
+    },
+
+    /**
+     * Save the global skip dates and move every schedule past them
+     * @param {Array} skipDates - Ranges ({ id, start, end, label })
+     */
+    saveSkipDates(skipDates) {
+        const settings = Storage.get(Storage.KEYS.SETTINGS) || {};
+        settings.skipDates = skipDates;
         Storage.set(Storage.KEYS.SETTINGS, settings);
+
+        SchedulesModel.recalculateAll();
+        this.loadSkipDates();
+        UI.renderSchedules();
+        Scheduler.checkSchedules();
+    },
+
+    /**
+     * Add the events of an ICS file (e.g. a holiday calendar) to the global skip dates
+     * @param {File} file - ICS file
+     */
+    importHolidays(file) {
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            let events;
+            try {
+                events = ICal.parseEvents(e.target.result);
+            } catch (error) {
+                UI.showToast(error.message, 'error');
+                return;
+            }
+
+            const existing = this.getSkipDates();
+            const added = [];
+            events.forEach(event => {
+                const known = [...existing, ...added].some(range => range.start === event.start && range.end === event.end);
+                if (!known) {
+                    added.push({ id: Storage.generateId(), start: event.start, end: event.end, label: event.summary || null });
+                }
+            });
+
+            if (added.length === 0) {
+                UI.showToast(events.length ? 'All of these dates are already skipped' : 'No events found in this file', 'info');
+                return;
+            }
+
+            this.saveSkipDates([...existing, ...added]);
+            UI.showToast(`Imported ${added.length} skip date${added.length === 1 ? '' : 's'}`, 'success');
+        };
+        reader.readAsText(file);
+    },
+
+    /**
+     * Copy the calendar feed URL to the clipboard
+     */
+    async copyCalendarUrl() {
+        try {
+            await navigator.clipboard.writeText(DoorDash.getCalendarFeedUrl());
+            UI.showToast('Calendar URL copied', 'success');
+        } catch (error) {
+            document.getElementById('calendar-feed-url').select();
+            UI.showToast('Copy the selected URL', 'info');
+        }
+    },
+
+    /**
+     * Download the scheduled orders as an ICS file
+     */
+    downloadCalendar() {
+        const ics = ICal.buildFeed(Scheduler.buildServerSchedules());
+        const blob = new Blob([ics], { type: 'text/calendar' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'scheduled-orders.ics';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
     },
 
     /**
@@ -680,6 +1244,8 @@ const App = {
                 if (result.success) {
                     UI.renderFavorites();
                     UI.renderSchedules();
+                    UI.renderSpending();
+                    Scheduler.checkSchedules();
                     UI.showToast(result.message, 'success');
                 } else {
                     UI.showToast(result.message, 'error');
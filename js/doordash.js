@@ -4,7 +4,6 @@
 
 const DoorDash = {
     SERVER_URL: 'http://localhost:3001',
-    isAutomating: false,
 
     /**
      * Check if server is running
@@ -22,6 +21,38 @@ const DoorDash = {
         }
     },
 
+    /**
+     * Get the latest selector health check from the server
+     * @returns {Promise<object|null>} Check result, or null if none has run or the server is down
+     */
+    async getSelectorStatus() {
+        try {
+            const response = await fetch(`${this.SERVER_URL}/api/selectors/check`);
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Run a selector health check against a store page
+     * @param {string} storeUrl - Store URL to check
+     * @returns {Promise<object>} Check result
+     */
+    async checkSelectors(storeUrl) {
+        const response = await fetch(`${this.SERVER_URL}/api/selectors/check`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ storeUrl })
+        });
+
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Selector check failed');
+        }
+        return result;
+    },
+
     /**
      * Validate a DoorDash store URL
      * @param {string} url - URL to validate
@@ -49,20 +80,55 @@ const DoorDash = {
         }
     },
 
+    /**
+     * Build the /api/order request for a favorite with the current automation settings
+     * @param {object} favorite - Favorite order data
+     * @param {object} triggerInfo - Optional trigger info (for scheduled orders; a retry also has runId, attempt and the items left to add)
+     * @returns {object} Order request body
+     */
+    buildOrderRequest(favorite, triggerInfo = {}) {
+        const settings = Storage.get(Storage.KEYS.SETTINGS) || {};
+
+        // Get selected delivery address
+        let deliveryAddress = null;
+        if (settings.selectedAddressId && settings.addresses) {
+            const selectedAddr = settings.addresses.find(a => a.id === settings.selectedAddressId);
+            if (selectedAddr) {
+                deliveryAddress = { label: selectedAddr.label, address: selectedAddr.address };
+            }
+        }
+
+        return {
+            storeUrl: favorite.restaurant.storeUrl,
+            storeName: favorite.restaurant.name,
+            items: triggerInfo.items || favorite.orderDetails.items,
+            specialInstructions: favorite.orderDetails.specialInstructions,
+            options: {
+                headless: settings.headlessMode || false,
+                chromeProfile: settings.chromeProfile || null,
+                deliveryAddress: deliveryAddress,
+                matchThreshold: settings.matchThreshold || null,
+                captureEveryStep: settings.captureEveryStep || false
+            },
+            source: {
+                favoriteId: favorite.id,
+                triggeredBy: triggerInfo.triggeredBy || 'manual',
+                scheduleId: triggerInfo.scheduleId || null,
+                scheduleName: triggerInfo.scheduleName || null,
+                runId: triggerInfo.runId || null,
+                attempt: triggerInfo.attempt || null
+            }
+        };
+    },
+
     /**
      * Trigger automation for a favorite order
      * @param {object} favorite - Favorite order data
      * @param {object} triggerInfo - Optional trigger info (for scheduled orders)
-     * @returns {Promise<object>} Result with success status and message
+     * @returns {Promise<object>} Result with success status, message and the items that weren't added
      */
     async triggerOrder(favorite, triggerInfo = {}) {
-        if (this.isAutomating) {
-            UI.showToast('Automation already in progress', 'warning');
-            return { success: false, message: 'Already automating' };
-        }
-
-        this.isAutomating = true;
-        UI.showToast('Starting order automation...', 'info');
+        let jobId;
 
         try {
             // Check server
@@ -71,96 +137,369 @@ const DoorDash = {
                 throw new Error('Automation server is not running. Start it with: cd server && npm start');
             }
 
-            // Get automation settings
-            const settings = Storage.get(Storage.KEYS.SETTINGS) || {};
-
-            // Get selected delivery address
-            let deliveryAddress = null;
-            if (settings.selectedAddressId && settings.addresses) {
-                const selectedAddr = settings.addresses.find(a => a.id === settings.selectedAddressId);
-                if (selectedAddr) {
-                    deliveryAddress = selectedAddr.address;
-                }
-            }
-
-            const options = {
-                headless: settings.headlessMode || false,
-                chromeProfile: settings.chromeProfile || null,
-                deliveryAddress: deliveryAddress
-            };
-
-            // Send order request
+            // Queue order job
             const response = await fetch(`${this.SERVER_URL}/api/order`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({
-                    storeUrl: favorite.restaurant.storeUrl,
-                    storeName: favorite.restaurant.name,
-                    items: favorite.orderDetails.items,
-                    specialInstructions: favorite.orderDetails.specialInstructions,
-                    options
-                })
+                body: JSON.stringify(this.buildOrderRequest(favorite, triggerInfo))
             });
 
-            const result = await response.json();
+            const job = await response.json();
 
             if (!response.ok) {
-                throw new Error(result.error || 'Order automation failed');
+                throw new Error(job.error || 'Order automation failed');
             }
 
-            // Mark favorite as ordered
-            FavoritesModel.markOrdered(favorite.id);
+            jobId = job.jobId;
+        } catch (error) {
+            return {
+                ...this.recordFailedOrder(favorite, null, triggerInfo, error),
+                remaining: triggerInfo.items || favorite.orderDetails.items
+            };
+        }
 
-            // Log to order history
-            const itemsAdded = result.itemsAdded || favorite.orderDetails.items.length;
-            const totalItems = favorite.orderDetails.items.length;
+        return this.followJob(favorite, jobId, triggerInfo);
+    },
+
+    /**
+     * Show a queued job's progress and log it to order history when it finishes
+     * Also used for orders the server queued on its own for a schedule
+     * @param {object} favorite - Favorite being ordered
+     * @param {string} jobId - Job ID
+     * @param {object} triggerInfo - Trigger info (for scheduled orders)
+     * @returns {Promise<object>} Result with success status, message and the items that weren't added
+     */
+    async followJob(favorite, jobId, triggerInfo = {}) {
+        const headless = (Storage.get(Storage.KEYS.SETTINGS) || {}).headlessMode || false;
+        const items = triggerInfo.items || favorite.orderDetails.items;
+        const added = new Set();
+
+        try {
+            UI.showJobProgress(jobId, favorite.name, 'Queued');
+
+            // Stream progress until the job finishes
+            const result = await this.watchJob(jobId, (event) => {
+                if (event.type === 'item-added') added.add(event.index);
+                UI.updateJobProgress(jobId, this.describeJobEvent(event));
+            });
+
+            // Log to order history; when the cart could be read, count what is actually in it
+            const cartCheck = result.cartCheck || null;
+            const itemsAdded = cartCheck ? result.itemsVerified : (result.itemsAdded ?? 0);
+            const totalItems = items.length;
+            const itemResults = result.items || [];
+            const incomplete = itemResults.some(item => item.added &&
+                (item.quantity < item.requestedQuantity || item.optionsMissing?.length > 0)) ||
+                (cartCheck || []).some(entry => entry.status === 'verified' && entry.cartQuantity < entry.requestedQuantity);
             const status = itemsAdded === 0 ? 'failed'
-                : itemsAdded < totalItems ? 'partial'
+                : itemsAdded < totalItems || incomplete ? 'partial'
                 : 'completed';
 
+            // Only a run that put something in the cart counts as ordering the favorite
+            if (status !== 'failed') {
+                FavoritesModel.markOrdered(favorite.id);
+            }
+
             OrderHistoryModel.add({
                 favoriteId: favorite.id,
                 favoriteName: favorite.name,
                 restaurantName: favorite.restaurant.name,
-                items: favorite.orderDetails.items,
+                jobId: jobId,
+                items: items,
                 itemsAdded: itemsAdded,
+                itemResults: itemResults,
+                cartCheck: cartCheck,
+                totals: result.totals || null,
+                eta: result.eta || null,
+                artifacts: result.artifacts || [],
+                addressApplied: result.addressApplied ?? null,
+                instructionsApplied: result.instructionsApplied ?? null,
                 status: status,
                 triggeredBy: triggerInfo.triggeredBy || 'manual',
                 scheduleId: triggerInfo.scheduleId || null,
-                scheduleName: triggerInfo.scheduleName || null
+                scheduleName: triggerInfo.scheduleName || null,
+                runId: triggerInfo.runId || null,
+                attempt: triggerInfo.attempt || null
             });
 
-            if (options.headless) {
+            const message = status === 'failed' ? `No items from ${favorite.name} made it into the cart` : result.message;
+            if (status === 'failed') {
+                UI.showToast(message, 'error', 5000);
+            } else if (status === 'partial') {
+                UI.showToast(`Cart partly filled (${itemsAdded} of ${totalItems} items). Review it before checkout.`, 'warning', 5000);
+            } else if (headless) {
                 UI.showToast('Cart filled! Open DoorDash to review and checkout.', 'success', 5000);
             } else {
                 UI.showToast('Cart filled! Review and checkout in browser.', 'success', 5000);
             }
             UI.renderFavorites();
+            UI.renderSpending();
 
-            return { success: true, message: result.message };
+            return {
+                success: status !== 'failed',
+                message,
+                remaining: items.filter((item, index) => !itemResults[index]?.added ||
+                    cartCheck?.[index]?.status === 'missing')
+            };
         } catch (error) {
-            console.error('Order automation error:', error);
+            // What the run added before it stopped is in the cart
+            return {
+                ...this.recordFailedOrder(favorite, jobId, triggerInfo, error),
+                remaining: items.filter((item, index) => !added.has(index))
+            };
+        } finally {
+            UI.hideJobProgress(jobId);
+        }
+    },
 
-            // Log failed order to history
-            OrderHistoryModel.add({
-                favoriteId: favorite.id,
-                favoriteName: favorite.name,
-                restaurantName: favorite.restaurant.name,
-                items: favorite.orderDetails.items,
-                itemsAdded: 0,
-                status: 'failed',
-                triggeredBy: triggerInfo.triggeredBy || 'manual',
-                scheduleId: triggerInfo.scheduleId || null,
-                scheduleName: triggerInfo.scheduleName || null,
-                errorMessage: error.message
-            });
+    /**
+     * Log a failed or cancelled order to history and tell the user
+     * @param {object} favorite - Favorite being ordered
+     * @param {string|null} jobId - Job ID, if the order got queued
+     * @param {object} triggerInfo - Trigger info (for scheduled orders)
+     * @param {Error} error - What went wrong
+     * @returns {object} Result with success status, message, whether it was cancelled and any store status
+     */
+    recordFailedOrder(favorite, jobId, triggerInfo, error) {
+        console.error('Order automation error:', error);
 
+        OrderHistoryModel.add({
+            favoriteId: favorite.id,
+            favoriteName: favorite.name,
+            restaurantName: favorite.restaurant.name,
+            jobId: jobId,
+            items: triggerInfo.items || favorite.orderDetails.items,
+            itemsAdded: 0,
+            artifacts: error.artifacts || [],
+            status: error.cancelled ? 'cancelled' : error.storeStatus ? 'unavailable' : 'failed',
+            storeStatus: error.storeStatus || null,
+            triggeredBy: triggerInfo.triggeredBy || 'manual',
+            scheduleId: triggerInfo.scheduleId || null,
+            scheduleName: triggerInfo.scheduleName || null,
+            runId: triggerInfo.runId || null,
+            attempt: triggerInfo.attempt || null,
+            errorMessage: error.cancelled ? null : error.message
+        });
+
+        if (error.cancelled) {
+            UI.showToast('Order automation cancelled', 'info');
+        } else {
             UI.showToast(error.message, 'error', 5000);
-            return { success: false, message: error.message };
-        } finally {
-            this.isAutomating = false;
+        }
+        return {
+            success: false,
+            message: error.message,
+            cancelled: error.cancelled || false,
+            storeStatus: error.storeStatus || null
+        };
+    },
+
+    /**
+     * Follow a job's progress stream until it finishes
+     * @param {string} jobId - Job ID returned by /api/order
+     * @param {Function} onEvent - Called with each progress event
+     * @returns {Promise<object>} Final result from the 'done' event
+     */
+    watchJob(jobId, onEvent) {
+        return new Promise((resolve, reject) => {
+            const source = new EventSource(`${this.SERVER_URL}/api/jobs/${encodeURIComponent(jobId)}/events`);
+
+            source.onmessage = (message) => {
+                const event = JSON.parse(message.data);
+                onEvent(event);
+
+                if (event.type === 'done') {
+                    source.close();
+                    resolve(event);
+                } else if (event.type === 'failed') {
+                    source.close();
+                    const error = new Error(event.error || 'Order automation failed');
+                    error.artifacts = event.artifacts || [];
+                    error.storeStatus = event.storeStatus || null;
+                    reject(error);
+                } else if (event.type === 'cancelled') {
+                    source.close();
+                    const error = new Error('Order automation cancelled');
+                    error.cancelled = true;
+                    reject(error);
+                }
+            };
+
+            // EventSource reconnects on its own; only give up once it stops trying
+            source.onerror = () => {
+                if (source.readyState === EventSource.CLOSED) {
+                    reject(new Error('Lost connection to automation server'));
+                }
+            };
+        });
+    },
+
+    /**
+     * Send the page's schedules to the server, which fires them from then on
+     * @param {Array} schedules - Schedules, each with the order request it places
+     * @param {object} budget - Budget caps to hold scheduled orders to
+     * @param {Array} spending - This page's spending ledger ({ id, total, at })
+     * @returns {Promise<object|null>} The server's schedules and spending ledger ({ schedules, spending }), or null if it is unreachable
+     */
+    async syncSchedules(schedules, budget, spending) {
+        try {
+            const response = await fetch(`${this.SERVER_URL}/api/schedules`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ schedules, budget, spending })
+            });
+            if (!response.ok) return null;
+            return await response.json();
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Place or drop a scheduled order the server held for going over budget
+     * @param {string} scheduleId - Schedule ID
+     * @param {boolean} approve - Place the order anyway
+     * @returns {Promise<boolean>} Whether the server still had the order waiting
+     */
+    async confirmHeldOrder(scheduleId, approve) {
+        try {
+            const response = await fetch(`${this.SERVER_URL}/api/schedules/${encodeURIComponent(scheduleId)}/confirm`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ approve })
+            });
+            return response.ok;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * URL of the server's calendar feed of scheduled orders
+     * @returns {string} URL
+     */
+    getCalendarFeedUrl() {
+        return `${this.SERVER_URL}/api/calendar.ics`;
+    },
+
+    /**
+     * Get the structured execution log of a job
+     * @param {string} jobId - Job ID
+     * @returns {Promise<object>} Run log ({ status, steps, entries, ... })
+     */
+    async getRunLog(jobId) {
+        const response = await fetch(`${this.SERVER_URL}/api/runs/${encodeURIComponent(jobId)}/log`);
+        const log = await response.json();
+        if (!response.ok) {
+            throw new Error(log.error || 'Could not load run log');
+        }
+        return log;
+    },
+
+    /**
+     * URL of a screenshot or HTML snapshot captured during a job
+     * @param {string} jobId - Job ID
+     * @param {string} file - Artifact file name
+     * @returns {string} Artifact URL
+     */
+    artifactUrl(jobId, file) {
+        return `${this.SERVER_URL}/api/artifacts/${encodeURIComponent(jobId)}/${encodeURIComponent(file)}`;
+    },
+
+    /**
+     * Cancel a queued or running job
+     * @param {string} jobId - Job ID
+     * @returns {Promise<boolean>} Whether the server accepted the cancellation
+     */
+    async cancelJob(jobId) {
+        try {
+            const response = await fetch(`${this.SERVER_URL}/api/jobs/${encodeURIComponent(jobId)}`, {
+                method: 'DELETE'
+            });
+            return response.ok;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Describe a job progress event for display
+     * @param {object} event - Job event
+     * @returns {string} Human-readable progress message
+     */
+    describeJobEvent(event) {
+        const position = event.total ? `Item ${event.index + 1}/${event.total}` : '';
+
+        switch (event.type) {
+            case 'queued':
+                return event.position > 1
+                    ? `Queued behind ${event.position - 1} other order(s)`
+                    : 'Queued';
+            case 'launched':
+                return 'Browser launched';
+            case 'navigated':
+                return 'Store page loaded';
+            case 'login-wait':
+                return 'Waiting for you to log in to DoorDash...';
+            case 'item-added': {
+                const wanted = event.substitute || event.name;
+                const matched = event.matchedName && event.matchedName !== wanted
+                    ? `"${wanted}" as "${event.matchedName}"`
+                    : `"${wanted}"`;
+                const name = event.substitute ? `${matched} instead of "${event.name}"` : matched;
+                if (event.optionsMissing?.length > 0) {
+                    return `${position}: added ${name} without ${event.optionsMissing.join(', ')}`;
+                }
+                return event.quantity < event.requestedQuantity
+                    ? `${position}: added ${event.quantity} of ${event.requestedQuantity}× ${name}`
+                    : `${position}: added ${event.quantity}× ${name}`;
+            }
+            case 'item-failed':
+                return `${position}: could not add "${event.name}" (${event.error})`;
+            case 'item-sold-out':
+                return event.substitutesSkipped?.length > 0
+                    ? `${position}: "${event.name}" is sold out and no substitute could be added`
+                    : `${position}: "${event.name}" is sold out`;
+            case 'address':
+                return event.applied
+                    ? `Delivery address set to ${event.address}`
+                    : `Could not set delivery address to ${event.address}`;
+            case 'instructions':
+                return event.applied
+                    ? 'Special instructions entered'
+                    : 'Could not enter special instructions';
+            case 'store-status':
+                if (event.status !== 'open') return event.message;
+                return event.eta ? `Store open, delivery in ${event.eta.text}` : 'Store open';
+            case 'cart-verified':
+                if (event.verified === null) return 'Could not open the cart to check it';
+                return event.missing?.length > 0
+                    ? `Cart checked: ${event.verified} verified, missing ${event.missing.join(', ')}`
+                    : `Cart checked: ${event.verified} verified`;
+            case 'cart-totals':
+                return event.total !== null
+                    ? `Cart total $${event.total.toFixed(2)}`
+                    : 'Cart total not shown';
+            case 'item-search':
+                return event.substitute
+                    ? `${position}: searching for "${event.substitute}" instead of "${event.name}"`
+                    : `${position}: searching for "${event.name}"`;
+            case 'item-scroll':
+                return event.substitute
+                    ? `${position}: scrolling menu for "${event.substitute}" instead of "${event.name}"`
+                    : `${position}: scrolling menu for "${event.name}"`;
+            case 'item-missing':
+                return `${position}: could not find "${event.name}"`;
+            case 'done':
+                return event.message || 'Order automation completed';
+            case 'failed':
+                return event.error || 'Order automation failed';
+            case 'cancelled':
+                return 'Cancelled';
+            default:
+                return event.type;
         }
     },
 
@@ -0,0 +1,529 @@
+/**
+ * Minimal iCalendar (ICS) support shared by the page and the automation server
+ * Loaded as a plain script in the browser (window.ICal, after timing.js) and with require() in Node.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./timing'));
+    } else {
+        root.ICal = factory(root.ScheduleTiming);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ScheduleTiming) {
+    // Calendar entries are markers for the order time, not meals
+    const EVENT_DURATION = 'PT15M';
+
+    // Longest skip range turned into excluded dates
+    const MAX_SKIP_DAYS = 366;
+
+    // Days past now that exclusion rules are written out as excluded dates for (subscribers re-read the feed long before)
+    const EXCLUSION_DAYS = 366;
+
+    // Years past now that timezone definitions list offset changes for; later times keep the last offset
+    const TIMEZONE_YEARS = 10;
+
+    const DAY_MS = 86400000;
+
+    const ICal = {
+        /**
+         * Read the events of a calendar as day ranges (e.g. a holiday list)
+         * Recurring events count only on their first date; timed events count for the day they start.
+         * @param {string} text - ICS file contents
+         * @returns {Array<object>} Events ({ summary, start, end }) with inclusive 'YYYY-MM-DD' dates, in date order
+         * @throws {Error} If the text is not a calendar
+         */
+        parseEvents(text) {
+            const lines = this.unfold(text);
+            if (!lines.some(line => line.toUpperCase() === 'BEGIN:VCALENDAR')) {
+                throw new Error('Not an iCalendar file');
+            }
+
+            const events = [];
+            let event = null;
+
+            lines.forEach(line => {
+                const property = parseLine(line);
+                if (!property) return;
+
+                if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VEVENT') {
+                    event = {};
+                } else if (property.name === 'END' && property.value.toUpperCase() === 'VEVENT') {
+                    // A stray END with no BEGIN is skipped like any other malformed block
+                    if (event?.start) {
+                        // All-day DTEND is exclusive; a timed event covers the day it starts
+                        const end = event.end && event.endIsDate ? addDays(event.end, -1) : event.start;
+                        events.push({
+                            summary: event.summary || '',
+                            start: event.start,
+                            end: end < event.start ? event.start : end
+                        });
+                    }
+                    event = null;
+                } else if (event) {
+                    if (property.name === 'SUMMARY') event.summary = unescapeText(property.value);
+                    if (property.name === 'DTSTART') event.start = toDate(property.value);
+                    if (property.name === 'DTEND') {
+                        event.end = toDate(property.value);
+                        event.endIsDate = property.params.VALUE === 'DATE' || /^\d{8}$/.test(property.value);
+                    }
+                }
+            });
+
+            return events.sort((a, b) => a.start.localeCompare(b.start));
+        },
+
+        /**
+         * Build a calendar feed of scheduled orders
+         * Recurring and advanced schedules become repeating events (one per order time) with their
+         * skip dates and exclusion rules as excluded dates; one-time schedules become single events.
+         * Times carry the schedule's IANA timezone as TZID, defined by a VTIMEZONE listing its offset changes.
+         * @param {Array<object>} schedules - Schedules as synced to the server (with favoriteName and order)
+         * @param {Date} now - Current time
+         * @returns {string} ICS text
+         */
+        buildFeed(schedules, now = new Date()) {
+            const lines = [
+                'BEGIN:VCALENDAR',
+                'VERSION:2.0',
+                'PRODID:-//DoorDash Scheduler//Scheduled Orders//EN',
+                'CALSCALE:GREGORIAN',
+                'METHOD:PUBLISH',
+                'X-WR-CALNAME:Scheduled Orders'
+            ];
+
+            const events = schedules
+                // Fired one-time schedules stay on the calendar as a record
+                .filter(schedule => schedule.settings.enabled ||
+                    (schedule.timing.type === 'once' && ScheduleTiming.STAGES.some(stage => schedule.metadata?.[stage]?.lastAt)))
+                .flatMap(schedule => scheduleEvents(schedule, now).map(event => ({ schedule, event })));
+
+            // Each timezone is defined once, from its earliest event on
+            const zoneStarts = new Map();
+            events.forEach(({ schedule, event }) => {
+                const timeZone = schedule.timing.timeZone || ScheduleTiming.getLocalTimeZone();
+                if (!zoneStarts.has(timeZone) || event.start < zoneStarts.get(timeZone)) {
+                    zoneStarts.set(timeZone, event.start);
+                }
+            });
+            const until = new Date(now.getTime() + TIMEZONE_YEARS * 366 * DAY_MS);
+            zoneStarts.forEach((start, timeZone) => lines.push(...timeZoneLines(timeZone, start, until)));
+
+            events.forEach(({ schedule, event }) => lines.push(...eventLines(schedule, event, now)));
+
+            lines.push('END:VCALENDAR');
+            return lines.map(fold).join('\r\n') + '\r\n';
+        },
+
+        /**
+         * Split ICS text into logical lines, joining folded continuation lines
+         * @param {string} text - ICS text
+         * @returns {Array<string>} Lines
+         */
+        unfold(text) {
+            return String(text)
+                .replace(/\r\n/g, '\n')
+                .replace(/\n[ \t]/g, '')
+                .split('\n')
+                .filter(line => line.trim());
+        },
+
+        /**
+         * Escape text for an ICS property value
+         * @param {string} value - Text
+         * @returns {string} Escaped text
+         */
+        escapeText(value) {
+            return String(value)
+                .replace(/\\/g, '\\\\')
+                .replace(/;/g, '\\;')
+                .replace(/,/g, '\\,')
+                .replace(/\r?\n/g, '\\n');
+        }
+    };
+
+    /**
+     * Events for one schedule
+     * @param {object} schedule - Schedule
+     * @param {Date} now - Current time
+     * @returns {Array<object>} Events ({ uid, start, rrule, exdates })
+     */
+    function scheduleEvents(schedule, now) {
+        const timing = schedule.timing;
+        const timeZone = timing.timeZone || ScheduleTiming.getLocalTimeZone();
+        const since = new Date(schedule.metadata?.createdAt || now);
+
+        if (timing.type === 'once') {
+            if (!timing.dateTime) return [];
+            return [{ uid: schedule.id, start: ScheduleTiming.parseDateTime(timing.dateTime, timeZone) }];
+        }
+
+        if (timing.type === 'recurring') {
+            if (!timing.time || !timing.daysOfWeek?.length) return [];
+
+            const data = { ...timing, timeZone, skipDates: [], reminderMinutesBefore: 0 };
+            const first = ScheduleTiming.calculateNextTrigger(data, since);
+            if (!first) return [];
+
+            const days = timing.daysOfWeek.map(day => ScheduleTiming.WEEKDAYS[day]).join(',');
+            return [{
+                uid: schedule.id,
+                start: new Date(first),
+                rrule: `FREQ=WEEKLY;BYDAY=${days}`,
+                exdates: skippedOccurrences(data, timing.skipDates, new Date(first))
+            }];
+        }
+
+        if (timing.type === 'advanced') {
+            try {
+                ScheduleTiming.parseRule(timing.rrule);
+            } catch (error) {
+                return [];
+            }
+
+            const startDate = ScheduleTiming.getStartDate(timing, since);
+            const horizon = new Date(now.getTime() + EXCLUSION_DAYS * DAY_MS);
+            return (timing.times || []).map(time => {
+                const data = { ...timing, timeZone, startDate, times: [time], skipDates: [] };
+                const [first] = ScheduleTiming.getOccurrences(data, 1, since);
+                return first && {
+                    uid: `${schedule.id}-${time.replace(':', '')}`,
+                    start: first,
+                    rrule: withUntilTime(timing.rrule, timeZone),
+                    exdates: mergeDates(
+                        skippedOccurrences(data, timing.skipDates, first),
+                        excludedOccurrences(data, first, horizon)
+                    )
+                };
+            }).filter(Boolean);
+        }
+
+        return [];
+    }
+
+    /**
+     * Order times that fall in skip ranges, for EXDATE
+     * @param {object} data - Schedule timing data without skip dates
+     * @param {Array<object>} skipDates - Skip ranges ({ start, end })
+     * @param {Date} first - First occurrence; earlier days are left out
+     * @returns {Array<Date>} Skipped order times
+     */
+    function skippedOccurrences(data, skipDates, first) {
+        const firstDate = ScheduleTiming.toWallTime(first, data.timeZone).slice(0, 10);
+        const skipped = [];
+
+        (skipDates || []).forEach(range => {
+            let date = range.start < firstDate ? firstDate : range.start;
+            for (let i = 0; i < MAX_SKIP_DAYS && date <= (range.end || range.start); i++, date = addDays(date, 1)) {
+                skipped.push(...ScheduleTiming.getOccurrencesOn(data, date));
+            }
+        });
+
+        return mergeDates(skipped);
+    }
+
+    /**
+     * Order times an advanced schedule's exclusion rule leaves out, for EXDATE
+     * (EXRULE itself was dropped from iCalendar, so calendar apps don't all read it)
+     * @param {object} data - Schedule timing data without skip dates
+     * @param {Date} first - First occurrence
+     * @param {Date} until - Last time to list
+     * @returns {Array<Date>} Excluded order times
+     */
+    function excludedOccurrences(data, first, until) {
+        if (!data.exrule) return [];
+
+        const kept = new Set(occurrencesBetween(data, first, until).map(at => at.getTime()));
+        return occurrencesBetween({ ...data, exrule: null }, first, until).filter(at => !kept.has(at.getTime()));
+    }
+
+    /**
+     * Every order time of an advanced schedule in a span
+     * @param {object} data - Schedule timing data
+     * @param {Date} from - First time to include
+     * @param {Date} until - Last time to include
+     * @returns {Array<Date>} Order times, earliest first
+     */
+    function occurrencesBetween(data, from, until) {
+        const batchSize = 100;
+        const found = [];
+
+        for (let after = new Date(from.getTime() - 1); ;) {
+            const batch = ScheduleTiming.getOccurrences(data, batchSize, after);
+            for (const at of batch) {
+                if (at > until) return found;
+                found.push(at);
+            }
+            if (batch.length < batchSize) return found;
+            after = batch[batch.length - 1];
+        }
+    }
+
+    /**
+     * Combine lists of instants, dropping duplicates
+     * @param {...Array<Date>} lists - Instants
+     * @returns {Array<Date>} Instants, earliest first
+     */
+    function mergeDates(...lists) {
+        const all = lists.flat();
+        return all
+            .filter((at, index) => all.findIndex(other => other.getTime() === at.getTime()) === index)
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * VTIMEZONE component for a timezone, listing each offset change in a span
+     * @param {string} timeZone - IANA timezone
+     * @param {Date} from - Earliest time the calendar uses
+     * @param {Date} until - Latest offset change to list
+     * @returns {Array<string>} Unfolded lines
+     */
+    function timeZoneLines(timeZone, from, until) {
+        const offset = ScheduleTiming.getOffset(from, timeZone);
+        const nextOffset = ScheduleTiming.getOffset(new Date(from.getTime() + 183 * DAY_MS), timeZone);
+        const lines = [
+            'BEGIN:VTIMEZONE',
+            `TZID:${timeZone}`,
+            ...observanceLines(offset > nextOffset ? 'DAYLIGHT' : 'STANDARD', from, offset, offset)
+        ];
+
+        offsetChanges(timeZone, from, until).forEach(change => {
+            const type = change.to > change.from ? 'DAYLIGHT' : 'STANDARD';
+            lines.push(...observanceLines(type, change.at, change.from, change.to));
+        });
+
+        lines.push('END:VTIMEZONE');
+        return lines;
+    }
+
+    /**
+     * Lines of one STANDARD or DAYLIGHT observance
+     * @param {string} type - 'STANDARD' or 'DAYLIGHT'
+     * @param {Date} at - When it takes effect
+     * @param {number} from - Offset before, in minutes
+     * @param {number} to - Offset from then on, in minutes
+     * @returns {Array<string>} Unfolded lines
+     */
+    function observanceLines(type, at, from, to) {
+        // DTSTART is the local time the change happens at, on the clock before it
+        const local = new Date(at.getTime() + from * 60000).toISOString().slice(0, 19).replace(/[-:]/g, '');
+        return [
+            `BEGIN:${type}`,
+            `DTSTART:${local}`,
+            `TZOFFSETFROM:${formatOffset(from)}`,
+            `TZOFFSETTO:${formatOffset(to)}`,
+            `END:${type}`
+        ];
+    }
+
+    /**
+     * Times a timezone's offset changes in a span, to the minute
+     * @param {string} timeZone - IANA timezone
+     * @param {Date} from - Start of the span
+     * @param {Date} until - End of the span
+     * @returns {Array<object>} Changes ({ at, from, to }) with offsets in minutes
+     */
+    function offsetChanges(timeZone, from, until) {
+        const changes = [];
+        let before = from.getTime();
+        let offset = ScheduleTiming.getOffset(from, timeZone);
+
+        // Offsets change at most a few times a year, so checking daily and then narrowing down finds each one
+        for (let day = before + DAY_MS; before < until.getTime(); before = day, day += DAY_MS) {
+            const next = ScheduleTiming.getOffset(new Date(day), timeZone);
+            if (next === offset) continue;
+
+            let low = before;
+            let high = day;
+            while (high - low > 60000) {
+                const middle = Math.floor((low + high) / 2 / 60000) * 60000;
+                if (ScheduleTiming.getOffset(new Date(middle), timeZone) === offset) {
+                    low = middle;
+                } else {
+                    high = middle;
+                }
+            }
+
+            changes.push({ at: new Date(high), from: offset, to: next });
+            offset = next;
+        }
+
+        return changes;
+    }
+
+    /**
+     * Format a UTC offset for TZOFFSETFROM / TZOFFSETTO
+     * @param {number} minutes - Offset in minutes
+     * @returns {string} e.g. '-0500'
+     */
+    function formatOffset(minutes) {
+        const pad = (n) => String(n).padStart(2, '0');
+        const abs = Math.abs(minutes);
+        return `${minutes < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+    }
+
+    /**
+     * Rewrite a rule's date-only UNTIL as the end of that day in the schedule's timezone
+     * (RRULEs on timed events need UNTIL as a UTC date-time)
+     * @param {string} rule - Rule text
+     * @param {string} timeZone - IANA timezone
+     * @returns {string} Rule without an 'RRULE:' prefix
+     */
+    function withUntilTime(rule, timeZone) {
+        return rule.trim().replace(/^RRULE:/i, '').replace(/UNTIL=(\d{4})(\d{2})(\d{2})(?![\dT])/i, (match, year, month, day) => {
+            return `UNTIL=${formatUtc(ScheduleTiming.parseDateTime(`${year}-${month}-${day}T23:59:59`, timeZone))}`;
+        });
+    }
+
+    /**
+     * Content lines of one event
+     * @param {object} schedule - Schedule
+     * @param {object} event - Event from scheduleEvents
+     * @param {Date} now - Current time
+     * @returns {Array<string>} Unfolded lines
+     */
+    function eventLines(schedule, event, now) {
+        const timeZone = schedule.timing.timeZone || ScheduleTiming.getLocalTimeZone();
+        const order = schedule.order || {};
+        const restaurant = order.storeName || 'DoorDash';
+        const summary = `${schedule.favoriteName || schedule.name} from ${restaurant}`;
+
+        const description = [`Schedule: ${schedule.name}`, `Restaurant: ${restaurant}`];
+        if (order.items?.length) {
+            description.push('Items:', ...order.items.map(item => `- ${formatItem(item)}`));
+        }
+        if (order.specialInstructions) {
+            description.push(`Instructions: ${order.specialInstructions}`);
+        }
+
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${event.uid}@doordash-scheduler`,
+            `DTSTAMP:${formatUtc(now)}`,
+            `DTSTART;TZID=${timeZone}:${ScheduleTiming.toWallTime(event.start, timeZone).replace(/[-:]/g, '')}`,
+            `DURATION:${EVENT_DURATION}`
+        ];
+
+        if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+        if (event.exdates?.length) lines.push(`EXDATE:${event.exdates.map(formatUtc).join(',')}`);
+
+        lines.push(
+            `SUMMARY:${ICal.escapeText(summary)}`,
+            `DESCRIPTION:${ICal.escapeText(description.join('\n'))}`
+        );
+        if (order.storeUrl) lines.push(`URL:${order.storeUrl}`);
+
+        const reminder = schedule.settings.reminderMinutesBefore;
+        if (reminder > 0) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${ICal.escapeText(summary)}`,
+                `TRIGGER:-PT${reminder}M`,
+                'END:VALARM'
+            );
+        }
+
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    /**
+     * Describe an order item on one line
+     * @param {string|object} item - Item name or { name, quantity, options, instructions }
+     * @returns {string} e.g. '2× Burrito Bowl (Protein: Chicken) – "no beans"'
+     */
+    function formatItem(item) {
+        if (typeof item === 'string') return item;
+
+        const name = item.quantity > 1 ? `${item.quantity}× ${item.name}` : item.name;
+        const options = (item.options || [])
+            .map(option => option.group ? `${option.group}: ${option.choice}` : option.choice)
+            .join('; ');
+        const label = options ? `${name} (${options})` : name;
+        return item.instructions ? `${label} – "${item.instructions}"` : label;
+    }
+
+    /**
+     * Format an instant as an ICS UTC date-time
+     * @param {Date} date - Instant
+     * @returns {string} e.g. '20261126T170000Z'
+     */
+    function formatUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Fold a content line to 75 octets, continuing with a leading space
+     * @param {string} line - Line
+     * @returns {string} Folded line
+     */
+    function fold(line) {
+        const encoder = new TextEncoder();
+        let folded = '';
+        let length = 0;
+
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            if (length + size > 75) {
+                folded += '\r\n ';
+                length = 1;
+            }
+            folded += char;
+            length += size;
+        }
+
+        return folded;
+    }
+
+    /**
+     * Split a content line into name, parameters and value
+     * @param {string} line - Unfolded line, e.g. 'DTSTART;VALUE=DATE:20261126'
+     * @returns {object|null} { name, params, value }, or null if the line has no value
+     */
+    function parseLine(line) {
+        const colon = line.indexOf(':');
+        if (colon === -1) return null;
+
+        const [name, ...params] = line.slice(0, colon).split(';');
+        return {
+            name: name.toUpperCase(),
+            params: Object.fromEntries(params.map(param => {
+                const [key, value = ''] = param.split('=');
+                return [key.toUpperCase(), value.toUpperCase()];
+            })),
+            value: line.slice(colon + 1).trim()
+        };
+    }
+
+    /**
+     * Date part of a DATE or DATE-TIME value
+     * @param {string} value - e.g. '20261126' or '20261126T090000Z'
+     * @returns {string|null} 'YYYY-MM-DD', or null if unreadable
+     */
+    function toDate(value) {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+        return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+    }
+
+    /**
+     * Shift a 'YYYY-MM-DD' date by whole days
+     * @param {string} date - Date
+     * @param {number} days - Days to add
+     * @returns {string} Date
+     */
+    function addDays(date, days) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Undo ICS text escaping
+     * @param {string} value - Escaped text
+     * @returns {string} Text
+     */
+    function unescapeText(value) {
+        return value.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+    }
+
+    return ICal;
+});
@@ -8,7 +8,14 @@ const FavoritesModel = {
      * @returns {Array} Array of favorites
      */
     getAll() {
-        return Storage.get(Storage.KEYS.FAVORITES) || [];
+        const favorites = Storage.get(Storage.KEYS.FAVORITES) || [];
+
+        // Older favorites stored items as plain strings
+        favorites.forEach(favorite => {
+            favorite.orderDetails.items = (favorite.orderDetails.items || []).map(item => this.normalizeItem(item));
+        });
+
+        return favorites;
     },
 
     /**
@@ -39,7 +46,7 @@ const FavoritesModel = {
                 storeId: this.extractStoreId(data.storeUrl)
             },
             orderDetails: {
-                items: data.items || [],
+                items: (data.items || []).map(item => this.normalizeItem(item)),
                 specialInstructions: data.specialInstructions || '',
                 estimatedTotal: data.estimatedTotal || null
             },
@@ -77,7 +84,9 @@ const FavoritesModel = {
             favorite.restaurant.storeUrl = data.storeUrl;
             favorite.restaurant.storeId = this.extractStoreId(data.storeUrl);
         }
-        if (data.items !== undefined) favorite.orderDetails.items = data.items;
+        if (data.items !== undefined) {
+            favorite.orderDetails.items = data.items.map(item => this.normalizeItem(item));
+        }
         if (data.specialInstructions !== undefined) {
             favorite.orderDetails.specialInstructions = data.specialInstructions;
         }
@@ -126,6 +135,61 @@ const FavoritesModel = {
         Storage.set(Storage.KEYS.FAVORITES, favorites);
     },
 
+    /**
+     * Normalize an order item to { name, quantity, instructions, options, substitutes }
+     * @param {string|object} item - Item name or item object
+     * @returns {object} Normalized item
+     */
+    normalizeItem(item) {
+        if (typeof item === 'string') {
+            return { name: item, quantity: 1, instructions: '', options: [], substitutes: [] };
+        }
+
+        return {
+            ...item,
+            name: item.name || '',
+            quantity: Math.max(1, parseInt(item.quantity, 10) || 1),
+            instructions: item.instructions || '',
+            options: (item.options || []).filter(option => option && option.choice),
+            substitutes: (item.substitutes || []).filter(name => name) // tried in order when the item is sold out
+        };
+    },
+
+    /**
+     * Parse item options typed as "Size: Large; Add: Extra cheese"
+     * Entries without a colon are treated as a choice in any group
+     * @param {string} text - Options text
+     * @returns {Array} Array of { group, choice }
+     */
+    parseItemOptions(text) {
+        return (text || '')
+            .split(/[;\n]/)
+            .map(part => part.trim())
+            .filter(part => part)
+            .map(part => {
+                const separator = part.indexOf(':');
+                if (separator === -1) {
+                    return { group: null, choice: part };
+                }
+                return {
+                    group: part.slice(0, separator).trim() || null,
+                    choice: part.slice(separator + 1).trim()
+                };
+            })
+            .filter(option => option.choice);
+    },
+
+    /**
+     * Format item options back to "Size: Large; Add: Extra cheese"
+     * @param {Array} options - Array of { group, choice }
+     * @returns {string} Options text
+     */
+    formatItemOptions(options) {
+        return (options || [])
+            .map(option => option.group ? `${option.group}: ${option.choice}` : option.choice)
+            .join('; ');
+    },
+
     /**
      * Extract store ID from DoorDash URL
      * @param {string} url - DoorDash store URL
@@ -163,7 +227,22 @@ const SchedulesModel = {
      * @returns {Array} Array of schedules
      */
     getAll() {
-        return Storage.get(Storage.KEYS.SCHEDULES) || [];
+        const schedules = Storage.get(Storage.KEYS.SCHEDULES) || [];
+
+        schedules.forEach(schedule => {
+            // Older schedules without a start date count from the day they were created
+            schedule.timing.startDate = ScheduleTiming.getStartDate(schedule.timing, schedule.metadata.createdAt);
+
+            // Older schedules had one trigger time for the reminder and the order together
+            if (schedule.metadata.reminder) return;
+
+            const { lastTriggeredAt, nextTriggerAt, ...metadata } = schedule.metadata;
+            const fired = { lastAt: lastTriggeredAt || null, lastDueAt: null };
+            schedule.metadata = { ...metadata, reminder: { ...fired }, order: { ...fired } };
+            Object.assign(schedule.metadata, this.calculateStages(schedule));
+        });
+
+        return schedules;
     },
 
     /**
@@ -200,23 +279,32 @@ const SchedulesModel = {
             favoriteId: data.favoriteId,
             name: data.name,
             timing: {
-                type: data.type, // 'once' or 'recurring'
+                type: data.type, // 'once', 'recurring' or 'advanced'
                 daysOfWeek: data.daysOfWeek || [], // [0-6] for recurring
                 time: data.time || null, // 'HH:MM' for recurring
-                dateTime: data.dateTime || null // ISO string for one-time
+                dateTime: data.dateTime || null, // ISO string for one-time
+                rrule: data.rrule || null, // recurrence rule for advanced (see ScheduleTiming.parseRule)
+                exrule: data.exrule || null, // days to leave out, same rule format
+                times: data.times || [], // ['HH:MM', ...] for advanced
+                startDate: ScheduleTiming.getStartDate(data, now), // 'YYYY-MM-DD' the advanced rule counts from; the creation date if not given
+                timeZone: data.timeZone || ScheduleTiming.getLocalTimeZone(), // IANA zone the times are in
+                skipDates: data.skipDates || [] // [{ id, start, end, label }] days this schedule doesn't fire, on top of the global ones
             },
             settings: {
-                reminderMinutesBefore: data.reminderMinutesBefore || 15,
+                reminderMinutesBefore: data.reminderMinutesBefore ?? 15,
                 autoOpen: data.autoOpen || false,
+                retry: ScheduleTiming.getRetryPolicy(data.retry), // { maxAttempts, backoffMinutes, giveUpMinutes } for failed auto-orders
                 enabled: true
             },
             metadata: {
-                createdAt: now,
-                lastTriggeredAt: null,
-                nextTriggerAt: this.calculateNextTrigger(data)
+                createdAt: now
             }
         };
 
+        // Each stage ({ nextAt, lastAt, lastDueAt }) is fired and tracked on its own; the order stage
+        // also keeps its retry run ({ id, attempt, dueAt, items, status, retryAt, jobId, updatedAt })
+        Object.assign(schedule.metadata, this.calculateStages(schedule));
+
         schedules.push(schedule);
         Storage.set(Storage.KEYS.SCHEDULES, schedules);
         return schedule;
@@ -243,20 +331,23 @@ const SchedulesModel = {
         if (data.daysOfWeek !== undefined) schedule.timing.daysOfWeek = data.daysOfWeek;
         if (data.time !== undefined) schedule.timing.time = data.time;
         if (data.dateTime !== undefined) schedule.timing.dateTime = data.dateTime;
+        if (data.rrule !== undefined) schedule.timing.rrule = data.rrule;
+        if (data.exrule !== undefined) schedule.timing.exrule = data.exrule;
+        if (data.times !== undefined) schedule.timing.times = data.times;
+        if (data.startDate !== undefined) schedule.timing.startDate = data.startDate;
+        if (data.timeZone) schedule.timing.timeZone = data.timeZone;
+        if (data.skipDates !== undefined) schedule.timing.skipDates = data.skipDates;
+        // A cleared start date goes back to the creation date
+        schedule.timing.startDate = ScheduleTiming.getStartDate(schedule.timing, schedule.metadata.createdAt);
         if (data.reminderMinutesBefore !== undefined) {
             schedule.settings.reminderMinutesBefore = data.reminderMinutesBefore;
         }
         if (data.autoOpen !== undefined) schedule.settings.autoOpen = data.autoOpen;
+        if (data.retry !== undefined) schedule.settings.retry = ScheduleTiming.getRetryPolicy(data.retry);
         if (data.enabled !== undefined) schedule.settings.enabled = data.enabled;
 
-        // Recalculate next trigger
-        schedule.metadata.nextTriggerAt = this.calculateNextTrigger({
-            type: schedule.timing.type,
-            daysOfWeek: schedule.timing.daysOfWeek,
-            time: schedule.timing.time,
-            dateTime: schedule.timing.dateTime,
-            reminderMinutesBefore: schedule.settings.reminderMinutesBefore
-        });
+        // Recalculate when each stage fires next
+        Object.assign(schedule.metadata, this.calculateStages(schedule));
 
         schedules[index] = schedule;
         Storage.set(Storage.KEYS.SCHEDULES, schedules);
@@ -300,30 +391,25 @@ const SchedulesModel = {
     },
 
     /**
-     * Mark a schedule as triggered
+     * Mark a stage of a schedule as fired and move it on to its next time
+     * A one-time schedule switches off once neither stage is left
      * @param {string} id - Schedule ID
+     * @param {string} stage - 'reminder' or 'order'
      */
-    markTriggered(id) {
+    markStageFired(id, stage) {
         const schedules = this.getAll();
         const index = schedules.findIndex(s => s.id === id);
 
         if (index === -1) return;
 
         const schedule = schedules[index];
-        schedule.metadata.lastTriggeredAt = new Date().toISOString();
+        const state = schedule.metadata[stage];
+        state.lastAt = new Date().toISOString();
+        state.lastDueAt = state.nextAt;
+        state.nextAt = this.calculateStageTrigger(schedule, stage);
 
-        // For one-time schedules, disable after trigger
-        if (schedule.timing.type === 'once') {
+        if (schedule.timing.type === 'once' && ScheduleTiming.STAGES.every(s => !schedule.metadata[s].nextAt)) {
             schedule.settings.enabled = false;
-            schedule.metadata.nextTriggerAt = null;
-        } else {
-            // Recalculate next trigger for recurring
-            schedule.metadata.nextTriggerAt = this.calculateNextTrigger({
-                type: schedule.timing.type,
-                daysOfWeek: schedule.timing.daysOfWeek,
-                time: schedule.timing.time,
-                reminderMinutesBefore: schedule.settings.reminderMinutesBefore
-            });
         }
 
         schedules[index] = schedule;
@@ -331,81 +417,278 @@ const SchedulesModel = {
     },
 
     /**
-     * Calculate next trigger time
+     * Take trigger state from the server's copy of the schedules
+     * The server fires schedules, so its stage times and one-time disabling win
+     * @param {Array} serverSchedules - Schedules returned by the server
+     * @returns {Array} Stages the server fired or whose order outcome changed since this page last synced
+     *   ({ schedule, stage }, schedule as the server has it)
+     */
+    applyServerState(serverSchedules) {
+        const byId = new Map(serverSchedules.map(s => [s.id, s]));
+        const fired = [];
+
+        const schedules = this.getAll().map(schedule => {
+            const server = byId.get(schedule.id);
+            if (!server) return schedule;
+
+            ScheduleTiming.STAGES.forEach(stage => {
+                const lastFired = schedule.metadata[stage]?.lastAt || 0;
+                if (new Date(server.metadata[stage]?.lastAt || 0) > new Date(lastFired)) {
+                    fired.push({ schedule: server, stage });
+                } else if (stage === 'order' && server.metadata.order?.lastOutcome &&
+                    server.metadata.order.lastOutcome.at !== schedule.metadata.order?.lastOutcome?.at) {
+                    // A retry of an earlier order, or a held order that was confirmed, declined or timed out
+                    fired.push({ schedule: server, stage });
+                }
+            });
+
+            schedule.settings.enabled = server.settings.enabled;
+            schedule.metadata = { ...schedule.metadata, ...server.metadata };
+            return schedule;
+        });
+
+        Storage.set(Storage.KEYS.SCHEDULES, schedules);
+        return fired;
+    },
+
+    /**
+     * Set or replace the retry run of a schedule's order stage
+     * @param {string} id - Schedule ID
+     * @param {object|null} run - Run ({ id, attempt, dueAt, items, status, retryAt, jobId, updatedAt })
+     */
+    setRun(id, run) {
+        const schedules = this.getAll();
+        const schedule = schedules.find(s => s.id === id);
+        if (!schedule) return;
+
+        schedule.metadata.order = { ...schedule.metadata.order, run };
+        Storage.set(Storage.KEYS.SCHEDULES, schedules);
+    },
+
+    /**
+     * Get schedules whose failed order is waiting for a retry that is due
+     * @param {Date} now - Current time
+     * @returns {Array} Schedules
+     */
+    getDueRuns(now = new Date()) {
+        return this.getAll().filter(schedule => {
+            const run = schedule.metadata.order?.run;
+            return run?.status === 'waiting' && new Date(run.retryAt) <= now;
+        });
+    },
+
+    /**
+     * Recalculate every schedule's next trigger (e.g. after the global skip dates change)
+     */
+    recalculateAll() {
+        const schedules = this.getAll();
+
+        schedules.forEach(schedule => {
+            if (schedule.timing.type === 'once' || !schedule.settings.enabled) return;
+            Object.assign(schedule.metadata, this.calculateStages(schedule));
+        });
+
+        Storage.set(Storage.KEYS.SCHEDULES, schedules);
+    },
+
+    /**
+     * Stage state with each stage's next time recalculated, keeping when it last fired
+     * @param {object} schedule - Schedule
+     * @returns {object} { reminder, order }, each { nextAt, lastAt, lastDueAt }
+     */
+    calculateStages(schedule) {
+        return Object.fromEntries(ScheduleTiming.STAGES.map(stage => [stage, {
+            lastAt: null,
+            lastDueAt: null,
+            ...schedule.metadata[stage],
+            nextAt: this.calculateStageTrigger(schedule, stage)
+        }]));
+    },
+
+    /**
+     * Calculate when a stage of a schedule fires next
+     * @param {object} schedule - Schedule
+     * @param {string} stage - 'reminder' or 'order'
+     * @returns {string|null} ISO string or null
+     */
+    calculateStageTrigger(schedule, stage) {
+        return ScheduleTiming.calculateStageTrigger({
+            ...schedule.timing,
+            skipDates: this.withGlobalSkipDates(schedule.timing.skipDates),
+            reminderMinutesBefore: schedule.settings.reminderMinutesBefore,
+            autoOpen: schedule.settings.autoOpen
+        }, stage);
+    },
+
+    /**
+     * Calculate next order time (less any reminder lead), skipping the schedule's own and the global skip dates
      * @param {object} data - Schedule timing data
      * @returns {string|null} ISO string of next trigger or null
      */
     calculateNextTrigger(data) {
+        return ScheduleTiming.calculateNextTrigger({ ...data, skipDates: this.withGlobalSkipDates(data.skipDates) });
+    },
+
+    /**
+     * The next order time a schedule will skip, if it comes before the next one it fires
+     * @param {object} schedule - Schedule
+     * @returns {Date|null} Skipped order time, or null
+     */
+    getNextSkipped(schedule) {
+        if (!schedule.settings.enabled || schedule.timing.type === 'once') return null;
+
+        const skipped = ScheduleTiming.getNextSkippedTrigger({
+            ...schedule.timing,
+            skipDates: this.withGlobalSkipDates(schedule.timing.skipDates)
+        });
+        return skipped ? new Date(skipped) : null;
+    },
+
+    /**
+     * A schedule's skip ranges together with the global ones from settings
+     * @param {Array} skipDates - Schedule's own ranges
+     * @returns {Array} All ranges that apply
+     */
+    withGlobalSkipDates(skipDates) {
+        const global = (Storage.get(Storage.KEYS.SETTINGS) || {}).skipDates || [];
+        return [...global, ...(skipDates || [])];
+    },
+
+    /**
+     * Get the stages of active schedules that should fire now
+     * @param {number} threshold - How late a stage may be (default 30 seconds)
+     * @returns {Array} Due stages ({ schedule, stage }), reminders before orders
+     */
+    getDueStages(threshold = 30 * 1000) {
         const now = new Date();
-        const reminderOffset = (data.reminderMinutesBefore || 0) * 60 * 1000;
+        return this.getAll().flatMap(schedule => ScheduleTiming.STAGES
+            .filter(stage => ScheduleTiming.isDue(schedule, stage, now, threshold))
+            .map(stage => ({ schedule, stage })));
+    }
+};
 
-        if (data.type === 'once') {
-            if (!data.dateTime) return null;
-            const triggerTime = new Date(data.dateTime).getTime() - reminderOffset;
-            return triggerTime > now.getTime() ? new Date(triggerTime).toISOString() : null;
-        }
+const SnoozesModel = {
+    /**
+     * Get all snoozed reminders
+     * @returns {Array} Snoozes ({ scheduleId, until, snoozedAt })
+     */
+    getAll() {
+        return Storage.get(Storage.KEYS.SNOOZES) || [];
+    },
 
-        if (data.type === 'recurring') {
-            if (!data.time || !data.daysOfWeek || data.daysOfWeek.length === 0) {
-                return null;
-            }
+    /**
+     * Snooze a schedule's reminder, replacing any earlier snooze for it
+     * @param {string} scheduleId - Schedule ID
+     * @param {Date} until - When to remind again
+     * @returns {object} Snooze
+     */
+    set(scheduleId, until) {
+        const snooze = { scheduleId, until: until.toISOString(), snoozedAt: new Date().toISOString() };
+        Storage.set(Storage.KEYS.SNOOZES, [...this.getAll().filter(s => s.scheduleId !== scheduleId), snooze]);
+        return snooze;
+    },
 
-            const [hours, minutes] = data.time.split(':').map(Number);
-            const daysOfWeek = data.daysOfWeek.map(Number).sort((a, b) => a - b);
+    /**
+     * Drop a schedule's snooze
+     * @param {string} scheduleId - Schedule ID
+     */
+    remove(scheduleId) {
+        Storage.set(Storage.KEYS.SNOOZES, this.getAll().filter(s => s.scheduleId !== scheduleId));
+    },
+
+    /**
+     * Take the snoozes that have run out
+     * Snoozes of deleted schedules are dropped too
+     * @param {Date} now - Current time
+     * @returns {Array} Expired snoozes
+     */
+    takeDue(now = new Date()) {
+        const snoozes = this.getAll();
+        const due = snoozes.filter(s => new Date(s.until) <= now);
+        const pending = snoozes.filter(s => !due.includes(s) && SchedulesModel.getById(s.scheduleId));
 
-            // Check each day in the next week
-            for (let i = 0; i < 7; i++) {
-                const checkDate = new Date(now);
-                checkDate.setDate(checkDate.getDate() + i);
-                const dayOfWeek = checkDate.getDay();
+        Storage.set(Storage.KEYS.SNOOZES, pending);
+        return due;
+    }
+};
 
-                if (daysOfWeek.includes(dayOfWeek)) {
-                    checkDate.setHours(hours, minutes, 0, 0);
-                    const triggerTime = checkDate.getTime() - reminderOffset;
+// Reminder actions are logged apart from orders so they never push orders out of the history
+const ReminderLogModel = {
+    /**
+     * Get all reminder log entries
+     * @returns {Array} Entries (newest first), shaped like order history entries with status 'reminder'
+     */
+    getAll() {
+        const log = Storage.get(Storage.KEYS.REMINDER_LOG) || [];
+        return log.sort((a, b) => new Date(b.orderedAt) - new Date(a.orderedAt));
+    },
 
-                    if (triggerTime > now.getTime()) {
-                        return new Date(triggerTime).toISOString();
-                    }
-                }
-            }
+    /**
+     * Log what was done with a reminder
+     * @param {object} data - Entry data
+     * @returns {object} Created entry
+     */
+    add(data) {
+        const entry = {
+            id: Storage.generateId(),
+            favoriteId: data.favoriteId,
+            favoriteName: data.favoriteName,
+            restaurantName: data.restaurantName,
+            items: data.items || [],
+            status: 'reminder',
+            reminderAction: data.reminderAction, // 'remind' (shown), 'order', 'snooze' or 'dismiss'
+            snoozedUntil: data.snoozedUntil || null,
+            orderedAt: new Date().toISOString(),
+            triggeredBy: 'schedule',
+            scheduleId: data.scheduleId || null,
+            scheduleName: data.scheduleName || null
+        };
+
+        this.addEntries([entry]);
+        return entry;
+    },
+
+    /**
+     * Append entries, keeping only the last 100
+     * @param {Array} entries - Entries
+     */
+    addEntries(entries) {
+        const log = [...(Storage.get(Storage.KEYS.REMINDER_LOG) || []), ...entries];
+
+        if (log.length > 100) {
+            log.splice(0, log.length - 100);
         }
 
-        return null;
+        Storage.set(Storage.KEYS.REMINDER_LOG, log);
     },
 
     /**
-     * Get all active schedules that should trigger now
-     * @returns {Array} Array of schedules to trigger
+     * Clear the reminder log
      */
-    getDueSchedules() {
-        const schedules = this.getAll();
-        const now = new Date().getTime();
-        const threshold = 30 * 1000; // 30 second window
-
-        return schedules.filter(schedule => {
-            if (!schedule.settings.enabled) return false;
-            if (!schedule.metadata.nextTriggerAt) return false;
-
-            const triggerTime = new Date(schedule.metadata.nextTriggerAt).getTime();
-            const lastTriggered = schedule.metadata.lastTriggeredAt
-                ? new Date(schedule.metadata.lastTriggeredAt).getTime()
-                : 0;
-
-            // Check if within trigger window and not already triggered
-            return triggerTime <= now &&
-                   triggerTime > now - threshold &&
-                   lastTriggered < triggerTime;
-        });
+    clearAll() {
+        Storage.set(Storage.KEYS.REMINDER_LOG, []);
     }
 };
 
 const OrderHistoryModel = {
+    // Budget caps and the reporting period each one covers
+    BUDGET_PERIODS: ScheduleTiming.BUDGET_PERIODS,
+
     /**
      * Get all order history entries
      * @returns {Array} Array of order history entries (newest first)
      */
     getAll() {
-        const history = Storage.get(Storage.KEYS.ORDER_HISTORY) || [];
+        let history = Storage.get(Storage.KEYS.ORDER_HISTORY) || [];
+
+        // Reminder actions used to be logged here; move them to their own log
+        const reminders = history.filter(entry => entry.status === 'reminder');
+        if (reminders.length > 0) {
+            history = history.filter(entry => entry.status !== 'reminder');
+            ReminderLogModel.addEntries(reminders);
+            Storage.set(Storage.KEYS.ORDER_HISTORY, history);
+        }
+
         return history.sort((a, b) => new Date(b.orderedAt) - new Date(a.orderedAt));
     },
 
@@ -415,34 +698,56 @@ const OrderHistoryModel = {
      * @returns {object} Created history entry
      */
     add(data) {
-        const history = Storage.get(Storage.KEYS.ORDER_HISTORY) || [];
+        const history = this.getAll();
 
         const entry = {
             id: Storage.generateId(),
             favoriteId: data.favoriteId,
             favoriteName: data.favoriteName,
             restaurantName: data.restaurantName,
+            jobId: data.jobId || null,
             items: data.items || [],
             itemsAdded: data.itemsAdded || 0,
-            status: data.status || 'completed', // 'completed', 'failed', 'partial'
+            itemResults: data.itemResults || [], // [{ name, requestedQuantity, quantity, added, matchedName, matchScore, soldOut, substitute, substitutesSkipped, optionsMissing, instructionsApplied, error }]
+            cartCheck: data.cartCheck || null, // [{ name, status, requestedQuantity, cartName, cartQuantity, matchScore }], null if the cart wasn't read
+            totals: data.totals || null, // { subtotal, deliveryFee, serviceFee, total }, each null when not shown
+            eta: data.eta || null, // { text, minMinutes, maxMinutes } delivery estimate shown on the store page
+            artifacts: data.artifacts || [], // [{ step, failed, screenshot, html, at }] served from /api/artifacts/:jobId
+            addressApplied: data.addressApplied ?? null, // null when no address was requested
+            instructionsApplied: data.instructionsApplied ?? null,
+            status: data.status || 'completed', // 'completed', 'failed', 'partial', 'cancelled', 'blocked', 'unavailable'
+            storeStatus: data.storeStatus || null, // why an 'unavailable' store couldn't take the order ('store_closed', 'store_paused', 'store_too_far', 'out_of_range')
             orderedAt: new Date().toISOString(),
             triggeredBy: data.triggeredBy || 'manual', // 'manual', 'schedule'
             scheduleId: data.scheduleId || null,
             scheduleName: data.scheduleName || null,
+            runId: data.runId || null, // shared by every attempt at one scheduled order
+            attempt: data.attempt || null,
             errorMessage: data.errorMessage || null
         };
 
-        history.push(entry);
+        history.unshift(entry);
 
-        // Keep only last 100 entries
+        // Keep only the last 100 orders
         if (history.length > 100) {
-            history.splice(0, history.length - 100);
+            history.splice(100);
         }
 
         Storage.set(Storage.KEYS.ORDER_HISTORY, history);
         return entry;
     },
 
+    /**
+     * Get every attempt at one scheduled order
+     * @param {string} runId - Run ID
+     * @returns {Array} History entries, first attempt first
+     */
+    getAttempts(runId) {
+        return this.getAll()
+            .filter(entry => entry.runId === runId)
+            .sort((a, b) => a.attempt - b.attempt);
+    },
+
     /**
      * Clear all order history
      */
@@ -462,11 +767,111 @@ const OrderHistoryModel = {
         ).length;
     },
 
+    /**
+     * Get the most recent cart total recorded for a favorite
+     * @param {string} favoriteId - Favorite ID
+     * @returns {object|null} Latest filled run with a cart total, or null if none
+     */
+    getLastTotal(favoriteId) {
+        return this.getAll().find(entry =>
+            entry.favoriteId === favoriteId && this.getSpentAmount(entry) > 0
+        ) || null;
+    },
+
     /**
      * Get total order count
      * @returns {number} Total number of orders
      */
     getTotalCount() {
         return this.getAll().length;
+    },
+
+    /**
+     * Get the start of a reporting period
+     * Weeks start on Sunday
+     * @param {string} period - 'today', 'week' or 'month' (anything else means all time)
+     * @returns {Date|null} Period start, or null for all time
+     */
+    getPeriodStart(period) {
+        return ScheduleTiming.getPeriodStart(period);
+    },
+
+    /**
+     * Get what an order cost, going by the cart total it recorded
+     * Only runs that left items in the cart count
+     * @param {object} entry - History entry
+     * @returns {number} Amount spent (0 if none was recorded)
+     */
+    getSpentAmount(entry) {
+        const filled = entry.status === 'completed' || entry.status === 'partial';
+        return filled && typeof entry.totals?.total === 'number' ? entry.totals.total : 0;
+    },
+
+    /**
+     * Total spending for a period, broken down by restaurant and by favorite
+     * @param {string} period - 'today', 'week', 'month' or 'all'
+     * @returns {object} Spending ({ total, orders, byRestaurant, byFavorite }); breakdowns are [{ name, total, orders }], largest first
+     */
+    getSpending(period) {
+        const start = this.getPeriodStart(period);
+        const entries = this.getAll().filter(entry =>
+            (!start || new Date(entry.orderedAt) >= start) && this.getSpentAmount(entry) > 0
+        );
+
+        const breakdown = (field) => {
+            const groups = new Map();
+            entries.forEach(entry => {
+                const group = groups.get(entry[field]) || { name: entry[field], total: 0, orders: 0 };
+                group.total += this.getSpentAmount(entry);
+                group.orders++;
+                groups.set(entry[field], group);
+            });
+            return Array.from(groups.values()).sort((a, b) => b.total - a.total);
+        };
+
+        return {
+            total: entries.reduce((sum, entry) => sum + this.getSpentAmount(entry), 0),
+            orders: entries.length,
+            byRestaurant: breakdown('restaurantName'),
+            byFavorite: breakdown('favoriteName')
+        };
+    },
+
+    /**
+     * Spending ledger of the orders in this page's history, as sent to the server
+     * @returns {Array} Entries ({ id, total, at }), keyed by job ID
+     */
+    getSpendingLedger() {
+        return this.getAll()
+            .filter(entry => this.getSpentAmount(entry) > 0)
+            .map(entry => ({ id: entry.jobId || entry.id, total: entry.totals.total, at: entry.orderedAt }));
+    },
+
+    /**
+     * Spending ledger budget caps count: the server's, which covers every page and profile,
+     * plus any orders here it hasn't heard of yet
+     * @returns {Array} Entries ({ id, total, at })
+     */
+    getBudgetLedger() {
+        return ScheduleTiming.mergeSpending(Storage.get(Storage.KEYS.SPENDING) || [], this.getSpendingLedger());
+    },
+
+    /**
+     * Amount a budget cap has used up so far
+     * @param {string} period - 'today', 'week' or 'month'
+     * @returns {number} Amount spent
+     */
+    getBudgetSpent(period) {
+        return ScheduleTiming.getSpent(this.getBudgetLedger(), period);
+    },
+
+    /**
+     * Find the budget caps an order would push spending over
+     * @param {number} amount - Expected cost of the order
+     * @param {object} budget - Caps ({ daily, weekly, monthly }), each null when unset
+     * @returns {Array} Exceeded caps ({ cap, limit, spent })
+     */
+    getBudgetOverruns(amount, budget = {}) {
+        return ScheduleTiming.getBudgetOverruns(amount, budget, this.getBudgetLedger());
     }
 };
@@ -5,7 +5,7 @@
 const Scheduler = {
     intervalId: null,
     CHECK_INTERVAL: 30000, // 30 seconds
-    snoozedSchedules: new Map(), // Map of scheduleId -> snooze end time
+    checking: false,
 
     /**
      * Initialize scheduler
@@ -13,7 +13,6 @@ const Scheduler = {
     init() {
         this.startPolling();
         this.setupVisibilityHandler();
-        this.checkMissedReminders();
     },
 
     /**
@@ -28,8 +27,8 @@ const Scheduler = {
             this.checkSchedules();
         }, this.CHECK_INTERVAL);
 
-        // Also check immediately
-        this.checkSchedules();
+        // Also check immediately, catching up on anything missed while the page was closed
+        this.checkSchedules(true);
     },
 
     /**
@@ -43,45 +42,173 @@ const Scheduler = {
     },
 
     /**
-     * Check for due schedules
+     * Sync with the server, which fires schedules; if it can't be reached, check for due schedules here
+     * Snoozed reminders are re-shown here either way.
+     * @param {boolean} catchUp - Also remind about triggers missed in the last few minutes
      */
-    checkSchedules() {
-        const dueSchedules = SchedulesModel.getDueSchedules();
+    async checkSchedules(catchUp = false) {
+        if (this.checking) return;
+        this.checking = true;
+
+        try {
+            this.checkSnoozes();
+
+            if (await this.syncWithServer()) return;
+
+            SchedulesModel.getDueStages().forEach(({ schedule, stage }) => this.fireStage(schedule, stage));
+            SchedulesModel.getDueRuns().forEach(schedule => this.retryOrder(schedule));
 
-        dueSchedules.forEach(schedule => {
-            // Check if snoozed
-            const snoozeEnd = this.snoozedSchedules.get(schedule.id);
-            if (snoozeEnd && Date.now() < snoozeEnd) {
-                return; // Still snoozed
+            if (catchUp) {
+                this.checkMissedReminders();
             }
+        } finally {
+            this.checking = false;
+        }
+    },
+
+    /**
+     * Send schedules to the server and act on any it fired since the last sync
+     * Each schedule carries the order it places, so the server can queue it with no page open.
+     * Spending goes both ways, so budget caps here and on the server count the same orders.
+     * @returns {Promise<boolean>} Whether the server took the schedules
+     */
+    async syncWithServer() {
+        const settings = Storage.get(Storage.KEYS.SETTINGS) || {};
+
+        const synced = await DoorDash.syncSchedules(
+            this.buildServerSchedules(),
+            settings.budget || {},
+            OrderHistoryModel.getSpendingLedger()
+        );
+        if (!synced) return false;
+
+        Storage.set(Storage.KEYS.SPENDING, synced.spending || []);
+        const fired = SchedulesModel.applyServerState(synced.schedules);
+        fired.forEach(({ schedule, stage }) => this.handleServerTrigger(schedule, stage));
+        UI.renderSchedules();
+        return true;
+    },
 
-            this.snoozedSchedules.delete(schedule.id);
-            this.triggerSchedule(schedule);
+    /**
+     * Schedules as the server keeps them: each with the order it places and the details
+     * the server can't look up itself (favorite name, expected cost, global skip dates)
+     * @returns {Array} Schedules
+     */
+    buildServerSchedules() {
+        return SchedulesModel.getAll().map(schedule => {
+            const favorite = FavoritesModel.getById(schedule.favoriteId);
+            return {
+                ...schedule,
+                // Schedules from before timezones were stored use this page's zone; the server
+                // has no copy of the settings, so the global skip dates go along with each schedule
+                timing: {
+                    ...schedule.timing,
+                    timeZone: schedule.timing.timeZone || ScheduleTiming.getLocalTimeZone(),
+                    skipDates: SchedulesModel.withGlobalSkipDates(schedule.timing.skipDates)
+                },
+                order: favorite ? DoorDash.buildOrderRequest(favorite, {
+                    triggeredBy: 'schedule',
+                    scheduleId: schedule.id,
+                    scheduleName: schedule.name
+                }) : null,
+                favoriteName: favorite ? favorite.name : null,
+                estimatedCost: favorite ? this.estimateCost(favorite) : 0
+            };
         });
     },
 
     /**
-     * Check for missed reminders when tab becomes visible
+     * Act on a stage the server fired: show the reminder, or follow or log what it did with the order
+     * @param {object} schedule - Server's copy of the schedule
+     * @param {string} stage - 'reminder' or 'order'
      */
-    checkMissedReminders() {
-        const schedules = SchedulesModel.getAll();
+    handleServerTrigger(schedule, stage) {
+        const favorite = FavoritesModel.getById(schedule.favoriteId);
+        if (!favorite) return;
+
+        const { lastOutcome, lastJobId, lastAt } = schedule.metadata[stage];
+
+        if (stage === 'reminder') {
+            this.remind(schedule, favorite, Date.now() - new Date(lastAt).getTime() > this.CHECK_INTERVAL * 2);
+            return;
+        }
+
+        const triggerInfo = {
+            triggeredBy: 'schedule',
+            scheduleId: schedule.id,
+            scheduleName: schedule.name,
+            runId: lastOutcome?.runId,
+            attempt: lastOutcome?.attempt,
+            items: lastOutcome?.items
+        };
+
+        if (lastOutcome?.status === 'queued' && lastJobId) {
+            DoorDash.followJob(favorite, lastJobId, triggerInfo);
+        } else if (lastOutcome?.status === 'blocked') {
+            this.recordBlocked(favorite, triggerInfo, lastOutcome.reason);
+        } else if (lastOutcome?.status === 'held') {
+            this.confirmHeldOrder(schedule, favorite, lastOutcome.reason);
+        }
+    },
+
+    /**
+     * Ask whether to place a scheduled order the server held for going over budget
+     * The server queues or blocks it, and the next sync follows or logs that as usual.
+     * @param {object} schedule - Server's copy of the schedule
+     * @param {object} favorite - Favorite it orders
+     * @param {string} reason - Which caps it would go over
+     */
+    async confirmHeldOrder(schedule, favorite, reason) {
+        const approve = await UI.confirm(
+            'Over Budget',
+            `${schedule.name}: ${favorite.name} (about ${UI.formatMoney(schedule.estimatedCost || 0)}) would go over your ${reason.replace(/^Over /, '')}. Order anyway?`
+        );
+
+        await DoorDash.confirmHeldOrder(schedule.id, approve);
+        this.checkSchedules();
+    },
+
+    /**
+     * Show a schedule's reminder and log it in the history
+     * A new reminder replaces a snoozed one
+     * @param {object} schedule - Schedule
+     * @param {object} favorite - Favorite it orders
+     * @param {boolean} missed - Whether the reminder is late
+     */
+    remind(schedule, favorite, missed = false) {
+        SnoozesModel.remove(schedule.id);
+        this.showBrowserNotification(schedule, favorite, missed);
+        UI.showNotificationBanner(schedule, favorite);
+        this.recordReminderAction(schedule.id, 'remind');
+    },
+
+    /**
+     * Remind again about schedules whose snooze has run out
+     * A snooze that ran out while the page was closed shows as a missed reminder
+     */
+    checkSnoozes() {
         const now = Date.now();
-        const missedWindow = 5 * 60 * 1000; // 5 minutes
 
-        schedules.forEach(schedule => {
-            if (!schedule.settings.enabled || !schedule.metadata.nextTriggerAt) {
-                return;
-            }
+        SnoozesModel.takeDue().forEach(snooze => {
+            const schedule = SchedulesModel.getById(snooze.scheduleId);
+            const favorite = schedule && FavoritesModel.getById(schedule.favoriteId);
+            if (!favorite) return;
+
+            const missed = now - new Date(snooze.until).getTime() > this.CHECK_INTERVAL * 2;
+            this.showBrowserNotification(schedule, favorite, missed);
+            UI.showNotificationBanner(schedule, favorite, true);
+        });
+    },
 
-            const triggerTime = new Date(schedule.metadata.nextTriggerAt).getTime();
-            const lastTriggered = schedule.metadata.lastTriggeredAt
-                ? new Date(schedule.metadata.lastTriggeredAt).getTime()
-                : 0;
+    /**
+     * Check for missed reminders and orders when tab becomes visible
+     */
+    checkMissedReminders() {
+        const missedWindow = 5 * 60 * 1000; // 5 minutes
 
-            // If trigger time was in the past (but within missed window) and hasn't been triggered
-            if (triggerTime < now && triggerTime > now - missedWindow && lastTriggered < triggerTime) {
-                this.triggerSchedule(schedule, true);
-            }
+        // Stages that came up in the missed window and haven't fired
+        SchedulesModel.getDueStages(missedWindow).forEach(({ schedule, stage }) => {
+            this.fireStage(schedule, stage, true);
         });
     },
 
@@ -91,46 +218,177 @@ const Scheduler = {
     setupVisibilityHandler() {
         document.addEventListener('visibilitychange', () => {
             if (document.visibilityState === 'visible') {
-                this.checkMissedReminders();
-                this.checkSchedules();
+                this.checkSchedules(true);
             }
         });
     },
 
     /**
-     * Trigger a schedule (show notification)
-     * @param {object} schedule - Schedule to trigger
-     * @param {boolean} missed - Whether this is a missed reminder
+     * Fire a stage of a schedule from this page, used while the server is unreachable
+     * The reminder stage notifies; the order stage starts the order (queued on the server behind any order already running)
+     * @param {object} schedule - Schedule
+     * @param {string} stage - 'reminder' or 'order'
+     * @param {boolean} missed - Whether the stage is late
      */
-    triggerSchedule(schedule, missed = false) {
+    fireStage(schedule, stage, missed = false) {
         const favorite = FavoritesModel.getById(schedule.favoriteId);
         if (!favorite) {
             console.warn('Favorite not found for schedule:', schedule.id);
             return;
         }
 
-        // Mark as triggered
-        SchedulesModel.markTriggered(schedule.id);
+        SchedulesModel.markStageFired(schedule.id, stage);
+
+        if (stage === 'reminder') {
+            this.remind(schedule, favorite, missed);
+        } else {
+            const retrying = ScheduleTiming.getRetryPolicy(schedule.settings.retry).maxAttempts > 1;
+            this.attemptOrder(schedule, favorite, retrying ? {
+                id: Storage.generateId(),
+                attempt: 0,
+                dueAt: schedule.metadata.order.nextAt,
+                items: favorite.orderDetails.items
+            } : null);
+        }
 
-        // Show browser notification
-        this.showBrowserNotification(schedule, favorite, missed);
+        // Refresh UI
+        UI.renderSchedules();
+    },
 
-        // Show in-app banner
-        UI.showNotificationBanner(schedule, favorite);
+    /**
+     * Retry the items a scheduled order didn't add, used while the server is unreachable
+     * @param {object} schedule - Schedule whose retry is due
+     */
+    retryOrder(schedule) {
+        const favorite = FavoritesModel.getById(schedule.favoriteId);
+        if (!favorite) return;
+
+        this.attemptOrder(schedule, favorite, schedule.metadata.order.run);
+        UI.renderSchedules();
+    },
 
-        // Auto-open if enabled
-        if (schedule.settings.autoOpen) {
-            DoorDash.triggerOrder(favorite, {
-                triggeredBy: 'schedule',
-                scheduleId: schedule.id,
-                scheduleName: schedule.name
-            });
+    /**
+     * Make one attempt at a scheduled order, then schedule a retry of whatever it didn't add
+     * The run is marked running first, so the server leaves it alone if it comes back meanwhile.
+     * @param {object} schedule - Schedule
+     * @param {object} favorite - Favorite it orders
+     * @param {object|null} run - Retry run the attempt belongs to, or null if the schedule doesn't retry
+     */
+    async attemptOrder(schedule, favorite, run) {
+        const triggerInfo = {
+            triggeredBy: 'schedule',
+            scheduleId: schedule.id,
+            scheduleName: schedule.name
+        };
+
+        if (!run) {
+            this.orderWithinBudget(favorite, triggerInfo);
+            return;
         }
 
-        // Refresh UI
+        const attempt = run.attempt + 1;
+        SchedulesModel.setRun(schedule.id, {
+            ...run,
+            attempt,
+            status: 'running',
+            retryAt: null,
+            jobId: null,
+            updatedAt: new Date().toISOString()
+        });
+
+        const result = await this.orderWithinBudget(favorite, { ...triggerInfo, runId: run.id, attempt, items: run.items });
+
+        const now = new Date();
+        const remaining = result?.remaining || [];
+        const retryAt = ScheduleTiming.getRetryAt(schedule.settings.retry, attempt, run.dueAt, now);
+        const next = { ...run, attempt, retryAt: null, jobId: null, updatedAt: now.toISOString() };
+
+        if (!result) {
+            next.status = 'blocked';
+        } else if (result.cancelled) {
+            next.status = 'cancelled';
+        } else if (!ScheduleTiming.isRetryable(result.storeStatus)) {
+            next.status = 'unavailable';
+        } else if (remaining.length === 0) {
+            next.status = 'done';
+        } else if (!retryAt) {
+            next.status = 'gave-up';
+            UI.showToast(`Gave up on ${favorite.name} after ${attempt} attempts`, 'error', 5000);
+        } else {
+            Object.assign(next, { status: 'waiting', retryAt, items: remaining });
+            UI.showToast(`Will retry ${remaining.length} item(s) from ${favorite.name} at ${UI.formatSnoozeTime(new Date(retryAt))}`, 'info', 5000);
+        }
+
+        SchedulesModel.setRun(schedule.id, next);
         UI.renderSchedules();
     },
 
+    /**
+     * Start a scheduled order unless it would go over a budget cap
+     * Depending on settings, going over either blocks the order or asks first
+     * @param {object} favorite - Favorite to order
+     * @param {object} triggerInfo - Schedule trigger info passed on to DoorDash.triggerOrder
+     * @returns {Promise<object|null>} Order result, or null if a budget cap held it back
+     */
+    async orderWithinBudget(favorite, triggerInfo) {
+        const budget = (Storage.get(Storage.KEYS.SETTINGS) || {}).budget || {};
+        const cost = this.estimateCost(favorite);
+
+        const overruns = OrderHistoryModel.getBudgetOverruns(cost, budget);
+        if (overruns.length > 0) {
+            const reason = overruns
+                .map(o => `${o.cap} budget (${UI.formatMoney(o.spent)} of ${UI.formatMoney(o.limit)} spent)`)
+                .join(', ');
+
+            const allowed = budget.onExceed === 'block'
+                ? false
+                : await UI.confirm(
+                    'Over Budget',
+                    `${favorite.name} (about ${UI.formatMoney(cost)}) would go over your ${reason}. Order anyway?`
+                );
+
+            if (!allowed) {
+                this.recordBlocked(favorite, triggerInfo, `Over ${reason}`);
+                return null;
+            }
+        }
+
+        return DoorDash.triggerOrder(favorite, triggerInfo);
+    },
+
+    /**
+     * Expected cost of ordering a favorite: what it cost last time, or the estimate if it has never run
+     * @param {object} favorite - Favorite
+     * @returns {number} Expected total
+     */
+    estimateCost(favorite) {
+        const lastRun = OrderHistoryModel.getLastTotal(favorite.id);
+        return lastRun ? lastRun.totals.total : (favorite.orderDetails.estimatedTotal || 0);
+    },
+
+    /**
+     * Log a scheduled order that was held back by a budget cap
+     * @param {object} favorite - Favorite that was not ordered
+     * @param {object} triggerInfo - Schedule trigger info
+     * @param {string} reason - Which caps it would have gone over
+     */
+    recordBlocked(favorite, triggerInfo, reason) {
+        OrderHistoryModel.add({
+            favoriteId: favorite.id,
+            favoriteName: favorite.name,
+            restaurantName: favorite.restaurant.name,
+            items: triggerInfo.items || favorite.orderDetails.items,
+            status: 'blocked',
+            triggeredBy: triggerInfo.triggeredBy,
+            scheduleId: triggerInfo.scheduleId,
+            scheduleName: triggerInfo.scheduleName,
+            runId: triggerInfo.runId,
+            attempt: triggerInfo.attempt,
+            errorMessage: reason
+        });
+        UI.showToast(`${favorite.name} not ordered: ${reason.charAt(0).toLowerCase()}${reason.slice(1)}`, 'error', 5000);
+    },
+
     /**
      * Show browser notification
      * @param {object} schedule - Schedule data
@@ -180,15 +438,77 @@ const Scheduler = {
     },
 
     /**
-     * Snooze a schedule
+     * Snooze a schedule's reminder; it shows again once the time is up, even after a reload
+     * @param {string} scheduleId - Schedule ID
+     * @param {Date} until - When to remind again
+     */
+    snooze(scheduleId, until) {
+        SnoozesModel.set(scheduleId, until);
+        this.recordReminderAction(scheduleId, 'snooze', { snoozedUntil: until.toISOString() });
+        UI.hideNotificationBanner();
+        UI.showToast(`Snoozed until ${UI.formatSnoozeTime(until)}`, 'info');
+    },
+
+    /**
+     * Work out when a snooze ends
+     * @param {string} choice - Minutes (e.g. '15'), or 'until' to use the given time
+     * @param {string} untilTime - 'HH:MM' for 'until'; a time already past today means tomorrow
+     * @param {Date} now - Current time
+     * @returns {Date|null} Snooze end, or null if no time was given
+     */
+    getSnoozeEnd(choice, untilTime, now = new Date()) {
+        if (choice !== 'until') {
+            return new Date(now.getTime() + (parseInt(choice, 10) || 5) * 60 * 1000);
+        }
+        if (!untilTime) return null;
+
+        const [hours, minutes] = untilTime.split(':').map(Number);
+        const until = new Date(now);
+        until.setHours(hours, minutes, 0, 0);
+        if (until <= now) until.setDate(until.getDate() + 1);
+        return until;
+    },
+
+    /**
+     * Close a reminder without ordering
+     * @param {string} scheduleId - Schedule ID
+     */
+    dismiss(scheduleId) {
+        this.recordReminderAction(scheduleId, 'dismiss');
+        UI.hideNotificationBanner();
+    },
+
+    /**
+     * Order from a reminder
      * @param {string} scheduleId - Schedule ID
-     * @param {number} minutes - Minutes to snooze
      */
-    snooze(scheduleId, minutes = 5) {
-        const snoozeEnd = Date.now() + (minutes * 60 * 1000);
-        this.snoozedSchedules.set(scheduleId, snoozeEnd);
+    orderFromReminder(scheduleId) {
+        this.recordReminderAction(scheduleId, 'order');
         UI.hideNotificationBanner();
-        UI.showToast(`Snoozed for ${minutes} minutes`, 'info');
+        this.manualTrigger(scheduleId);
+    },
+
+    /**
+     * Log what was done with a reminder in the reminder log
+     * @param {string} scheduleId - Schedule ID
+     * @param {string} action - 'remind' (shown), 'order', 'snooze' or 'dismiss'
+     * @param {object} details - Extra entry fields (e.g. { snoozedUntil })
+     */
+    recordReminderAction(scheduleId, action, details = {}) {
+        const schedule = SchedulesModel.getById(scheduleId);
+        const favorite = schedule && FavoritesModel.getById(schedule.favoriteId);
+        if (!favorite) return;
+
+        ReminderLogModel.add({
+            favoriteId: favorite.id,
+            favoriteName: favorite.name,
+            restaurantName: favorite.restaurant.name,
+            items: favorite.orderDetails.items,
+            reminderAction: action,
+            scheduleId: schedule.id,
+            scheduleName: schedule.name,
+            ...details
+        });
     },
 
     /**
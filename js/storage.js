@@ -6,7 +6,10 @@ const Storage = {
         FAVORITES: 'doordash_favorites',
         SCHEDULES: 'doordash_schedules',
         SETTINGS: 'doordash_settings',
-        ORDER_HISTORY: 'doordash_order_history'
+        ORDER_HISTORY: 'doordash_order_history',
+        SNOOZES: 'doordash_snoozes',
+        REMINDER_LOG: 'doordash_reminder_log',
+        SPENDING: 'doordash_spending' // the server's spending ledger as of the last sync
     },
 
     /**
@@ -100,6 +103,10 @@ const Storage = {
                 this.set(this.KEYS.ORDER_HISTORY, data.order_history);
             }
 
+            if (data.reminder_log && Array.isArray(data.reminder_log)) {
+                this.set(this.KEYS.REMINDER_LOG, data.reminder_log);
+            }
+
             return { success: true, message: 'Data imported successfully' };
         } catch (error) {
             console.error('Error importing data:', error);
@@ -0,0 +1,749 @@
+/**
+ * Schedule and budget-period timing shared by the page and the automation server
+ * Loaded as a plain script in the browser (window.ScheduleTiming) and with require() in Node.
+ * Schedule times are wall-clock times in the schedule's IANA timezone. Calendar math runs on
+ * "floating" days (UTC midnights standing for a date), which are only turned into real instants
+ * in that zone at the end, so DST changes never shift a day.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ScheduleTiming = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+    const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+    // Periods to look ahead before deciding a rule never matches (e.g. BYMONTHDAY=31;BYMONTH=2)
+    const MAX_PERIODS = 1000;
+
+    // Days a recurring schedule looks ahead for a day that isn't skipped
+    const MAX_SKIP_DAYS = 366;
+
+    const DAY_MS = 86400000;
+
+    // Failed scheduled orders aren't retried unless a schedule asks for more attempts
+    const RETRY_DEFAULTS = { maxAttempts: 1, backoffMinutes: 5, giveUpMinutes: 60 };
+
+    // Store states a later attempt can't fix: the delivery address is the problem, not the time
+    const PERMANENT_STORE_STATUSES = ['store_too_far', 'out_of_range'];
+
+    // Intl formatters by timezone (creating them is slow)
+    const formatters = new Map();
+
+    const ScheduleTiming = {
+        WEEKDAYS,
+
+        // A schedule fires in two stages: a reminder ahead of the order time, then the order itself
+        STAGES: ['reminder', 'order'],
+
+        // Budget caps and the reporting period each one covers
+        BUDGET_PERIODS: {
+            daily: 'today',
+            weekly: 'week',
+            monthly: 'month'
+        },
+
+        /**
+         * Calculate when a stage of a schedule fires next
+         * The reminder comes reminderMinutesBefore the order time; the order stage only exists for auto-order schedules.
+         * @param {object} data - Schedule timing data, plus reminderMinutesBefore and autoOpen
+         * @param {string} stage - 'reminder' or 'order'
+         * @param {Date} now - Current time
+         * @returns {string|null} ISO string of the stage's next time or null
+         */
+        calculateStageTrigger(data, stage, now = new Date()) {
+            if (stage === 'order' && !data.autoOpen) return null;
+
+            return this.calculateNextTrigger({
+                ...data,
+                reminderMinutesBefore: stage === 'reminder' ? data.reminderMinutesBefore : 0
+            }, now);
+        },
+
+        /**
+         * Calculate a schedule's next order time, less an optional lead (reminderMinutesBefore)
+         * Recurring and advanced schedules jump past days in any skip range; one-time schedules ignore them.
+         * @param {object} data - Schedule timing data ({ type, daysOfWeek, time, dateTime, timeZone, skipDates, reminderMinutesBefore })
+         * @param {Date} now - Current time
+         * @returns {string|null} ISO string of next trigger or null
+         */
+        calculateNextTrigger(data, now = new Date()) {
+            const reminderOffset = (data.reminderMinutesBefore || 0) * 60 * 1000;
+            const timeZone = data.timeZone || this.getLocalTimeZone();
+
+            if (data.type === 'once') {
+                if (!data.dateTime) return null;
+                const triggerTime = this.parseDateTime(data.dateTime, timeZone).getTime() - reminderOffset;
+                return triggerTime > now.getTime() ? new Date(triggerTime).toISOString() : null;
+            }
+
+            if (data.type === 'advanced') {
+                try {
+                    const [next] = this.getOccurrences(data, 1, new Date(now.getTime() + reminderOffset));
+                    return next ? new Date(next.getTime() - reminderOffset).toISOString() : null;
+                } catch (error) {
+                    return null;
+                }
+            }
+
+            if (data.type === 'recurring') {
+                if (!data.time || !data.daysOfWeek || data.daysOfWeek.length === 0) {
+                    return null;
+                }
+
+                const [hours, minutes] = data.time.split(':').map(Number);
+                const daysOfWeek = data.daysOfWeek.map(Number);
+
+                // Check from today (as seen in the schedule's zone) until a day that isn't skipped comes up
+                const today = floatingDay(now, timeZone);
+                for (let i = 0; i <= MAX_SKIP_DAYS; i++) {
+                    const day = addDays(today, i);
+
+                    if (daysOfWeek.includes(day.getUTCDay()) && !isSkipped(day, data.skipDates)) {
+                        const triggerTime = zonedTime(day, hours, minutes, timeZone).getTime() - reminderOffset;
+
+                        if (triggerTime > now.getTime()) {
+                            return new Date(triggerTime).toISOString();
+                        }
+                    }
+                }
+            }
+
+            return null;
+        },
+
+        /**
+         * The trigger a schedule would have next if it weren't for its skip dates
+         * @param {object} data - Schedule timing data, as for calculateNextTrigger
+         * @param {Date} now - Current time
+         * @returns {string|null} ISO string of the skipped trigger, or null if the next one isn't skipped
+         */
+        getNextSkippedTrigger(data, now = new Date()) {
+            if (!data.skipDates || data.skipDates.length === 0) return null;
+
+            const unskipped = this.calculateNextTrigger({ ...data, skipDates: [] }, now);
+            const next = this.calculateNextTrigger(data, now);
+            return unskipped && unskipped !== next ? unskipped : null;
+        },
+
+        /**
+         * Order times a schedule has on a date, leaving its skip dates aside
+         * @param {object} data - Schedule timing data
+         * @param {string} date - 'YYYY-MM-DD' in the schedule's timezone
+         * @returns {Array<Date>} Order times that day
+         */
+        getOccurrencesOn(data, date) {
+            const timeZone = data.timeZone || this.getLocalTimeZone();
+            const day = parseDate(date);
+            const dayStart = zonedTime(day, 0, 0, timeZone);
+            const nextDay = zonedTime(addDays(day, 1), 0, 0, timeZone);
+            const unskipped = { ...data, skipDates: [], reminderMinutesBefore: 0 };
+
+            if (data.type === 'advanced') {
+                try {
+                    return this.getOccurrences(unskipped, (data.times || []).length, new Date(dayStart.getTime() - 1))
+                        .filter(at => at < nextDay);
+                } catch (error) {
+                    return [];
+                }
+            }
+
+            if (data.type === 'recurring') {
+                const next = this.calculateNextTrigger(unskipped, new Date(dayStart.getTime() - 1));
+                return next && new Date(next) < nextDay ? [new Date(next)] : [];
+            }
+
+            return [];
+        },
+
+        /**
+         * Whether a date falls in any skip range
+         * @param {string} date - 'YYYY-MM-DD'
+         * @param {Array<object>} skipDates - Ranges ({ start, end }) of inclusive 'YYYY-MM-DD' dates
+         * @returns {boolean} Is skipped
+         */
+        isSkippedDate(date, skipDates) {
+            return (skipDates || []).some(range => date >= range.start && date <= (range.end || range.start));
+        },
+
+        /**
+         * Date an advanced schedule's rule counts from: its start date, else the day it was created
+         * A fixed anchor keeps INTERVAL>1 rules on the same weeks (or months) however late they're worked out.
+         * @param {object} timing - Schedule timing ({ startDate, timeZone })
+         * @param {string|Date} createdAt - When the schedule was created
+         * @returns {string} 'YYYY-MM-DD' in the schedule's timezone
+         */
+        getStartDate(timing, createdAt) {
+            if (timing.startDate) return timing.startDate;
+            return this.toWallTime(new Date(createdAt || Date.now()), timing.timeZone || this.getLocalTimeZone()).slice(0, 10);
+        },
+
+        /**
+         * Next order times of an advanced schedule
+         * Without a start date the rule counts from the day of `after`; saved schedules always have one (see getStartDate).
+         * @param {object} data - Timing data ({ rrule, exrule, times, startDate, timeZone, skipDates })
+         * @param {number} count - How many to return
+         * @param {Date} after - Only times after this
+         * @returns {Array<Date>} Order times, earliest first (fewer than count if the rule ends)
+         * @throws {Error} If a rule is invalid
+         */
+        getOccurrences(data, count, after = new Date()) {
+            const rule = this.parseRule(data.rrule);
+            const exclude = data.exrule ? this.parseRule(data.exrule) : null;
+            const timeZone = data.timeZone || this.getLocalTimeZone();
+            const afterDay = floatingDay(after, timeZone);
+            const start = data.startDate ? parseDate(data.startDate) : afterDay;
+            const times = (data.times || []).map(time => time.split(':').map(Number))
+                .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+            const occurrences = [];
+
+            if (times.length === 0) return occurrences;
+
+            // Jump to the first period in step with the interval that can still hold a later time
+            const first = periodStart(rule.freq, start);
+            const current = periodIndex(rule.freq, first, periodStart(rule.freq, afterDay < start ? start : afterDay));
+            let index = Math.ceil(current / rule.interval) * rule.interval;
+
+            for (let i = 0; i < MAX_PERIODS; i++, index += rule.interval) {
+                for (const day of matchingDays(rule, start, addPeriods(rule.freq, first, index))) {
+                    if (day < start) continue;
+                    if (rule.until && day > rule.until) return occurrences;
+                    if (exclude && matchesDay(exclude, start, day)) continue;
+                    if (isSkipped(day, data.skipDates)) continue;
+
+                    for (const [hours, minutes] of times) {
+                        const at = zonedTime(day, hours, minutes, timeZone);
+                        if (at > after) occurrences.push(at);
+                        if (occurrences.length === count) return occurrences;
+                    }
+                }
+            }
+
+            return occurrences;
+        },
+
+        /**
+         * Parse a recurrence rule (a subset of iCalendar RRULE)
+         * Supports FREQ=DAILY|WEEKLY|MONTHLY with INTERVAL, BYDAY (ordinals like 1MO or -1FR for monthly rules),
+         * BYMONTHDAY, BYMONTH, BYSETPOS and UNTIL. Weeks start on Monday.
+         * @param {string} text - Rule, e.g. 'FREQ=WEEKLY;INTERVAL=2;BYDAY=FR'
+         * @returns {object} Parsed rule ({ freq, interval, byDay, byMonthDay, byMonth, bySetPos, until })
+         * @throws {Error} If the rule is invalid or uses unsupported parts
+         */
+        parseRule(text) {
+            const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], byMonth: [], bySetPos: [], until: null };
+            const body = String(text || '').trim().replace(/^RRULE:/i, '');
+            if (!body) throw new Error('Rule is empty');
+
+            body.split(';').filter(Boolean).forEach(part => {
+                const [key, value = ''] = part.split('=').map(piece => piece.trim().toUpperCase());
+                const list = value.split(',').filter(Boolean);
+
+                switch (key) {
+                    case 'FREQ':
+                        if (!FREQUENCIES.includes(value)) throw new Error(`Unsupported FREQ: ${value || '(none)'}`);
+                        rule.freq = value;
+                        break;
+                    case 'INTERVAL':
+                        rule.interval = parseInteger(value, key, 1, 99);
+                        break;
+                    case 'BYDAY':
+                        rule.byDay = list.map(day => {
+                            const match = day.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+                            if (!match) throw new Error(`Invalid BYDAY: ${day}`);
+                            const nth = match[1] ? parseInteger(match[1], key, -5, 5) : 0;
+                            if (match[1] && nth === 0) throw new Error(`Invalid BYDAY: ${day}`);
+                            return { weekday: WEEKDAYS.indexOf(match[2]), nth };
+                        });
+                        break;
+                    case 'BYMONTHDAY':
+                        rule.byMonthDay = list.map(day => parseInteger(day, key, -31, 31));
+                        break;
+                    case 'BYMONTH':
+                        rule.byMonth = list.map(month => parseInteger(month, key, 1, 12));
+                        break;
+                    case 'BYSETPOS':
+                        rule.bySetPos = list.map(pos => parseInteger(pos, key, -366, 366));
+                        break;
+                    case 'UNTIL': {
+                        const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+                        if (!match) throw new Error(`Invalid UNTIL: ${value}`);
+                        rule.until = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+                        break;
+                    }
+                    case 'WKST':
+                        if (value !== 'MO') throw new Error('Only WKST=MO is supported');
+                        break;
+                    default:
+                        throw new Error(`Unsupported rule part: ${key}${key === 'BYHOUR' || key === 'BYMINUTE' ? ' (set the times instead)' : ''}`);
+                }
+            });
+
+            if (!rule.freq) throw new Error('FREQ is required');
+            if (rule.freq !== 'MONTHLY' && rule.byDay.some(day => day.nth)) {
+                throw new Error('Numbered BYDAY values (like 1MO) need FREQ=MONTHLY');
+            }
+            if (rule.freq === 'WEEKLY' && rule.byMonthDay.length > 0) {
+                throw new Error('BYMONTHDAY is not allowed with FREQ=WEEKLY');
+            }
+            if (rule.bySetPos.includes(0) || rule.byMonthDay.includes(0)) {
+                throw new Error('Positions start at 1 (or -1 from the end)');
+            }
+
+            return rule;
+        },
+
+        /**
+         * Parse a schedule's one-time date
+         * Dates without an offset (from a datetime-local input) are wall-clock time in the given zone
+         * @param {string} value - 'YYYY-MM-DDTHH:MM' or a full ISO string
+         * @param {string} timeZone - IANA timezone
+         * @returns {Date} Instant
+         */
+        parseDateTime(value, timeZone) {
+            const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/);
+            if (!match) return new Date(value);
+
+            const [, year, month, day, hours, minutes] = match.map(Number);
+            return zonedTime(new Date(Date.UTC(year, month - 1, day)), hours, minutes, timeZone);
+        },
+
+        /**
+         * Wall-clock time of an instant in a timezone (the reverse of parseDateTime)
+         * @param {Date} instant - Instant
+         * @param {string} timeZone - IANA timezone
+         * @returns {string} 'YYYY-MM-DDTHH:MM:SS'
+         */
+        toWallTime(instant, timeZone) {
+            const parts = zonedParts(instant.getTime(), timeZone);
+            const pad = (n) => String(n).padStart(2, '0');
+            return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`;
+        },
+
+        /**
+         * A timezone's offset from UTC at an instant
+         * @param {Date} instant - Instant
+         * @param {string} timeZone - IANA timezone
+         * @returns {number} Offset in minutes (negative west of UTC)
+         */
+        getOffset(instant, timeZone) {
+            return offsetAt(instant.getTime(), timeZone) / 60000;
+        },
+
+        /**
+         * The timezone this page or server runs in
+         * @returns {string} IANA timezone
+         */
+        getLocalTimeZone() {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        },
+
+        /**
+         * Whether a timezone name is known to this runtime
+         * @param {string} timeZone - IANA timezone
+         * @returns {boolean} Is valid
+         */
+        isValidTimeZone(timeZone) {
+            try {
+                getFormatter(timeZone);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+
+        /**
+         * Whether a stage of a schedule has come and not been handled yet
+         * @param {object} schedule - Schedule
+         * @param {string} stage - 'reminder' or 'order'
+         * @param {Date} now - Current time
+         * @param {number} windowMs - How late a stage may still fire
+         * @returns {boolean} Is due
+         */
+        isDue(schedule, stage, now, windowMs) {
+            const state = schedule.metadata[stage];
+            if (!schedule.settings.enabled || !state?.nextAt) return false;
+
+            const triggerTime = new Date(state.nextAt).getTime();
+            const lastTriggered = state.lastAt ? new Date(state.lastAt).getTime() : 0;
+
+            return triggerTime <= now.getTime() &&
+                   triggerTime > now.getTime() - windowMs &&
+                   lastTriggered < triggerTime;
+        },
+
+        /**
+         * A schedule's retry policy with defaults filled in
+         * @param {object} retry - Schedule's retry settings ({ maxAttempts, backoffMinutes, giveUpMinutes })
+         * @returns {object} Policy
+         */
+        getRetryPolicy(retry) {
+            return { ...RETRY_DEFAULTS, ...retry };
+        },
+
+        /**
+         * When to retry a failed scheduled order; the wait doubles after each attempt
+         * @param {object} retry - Schedule's retry settings
+         * @param {number} attempts - Attempts made so far
+         * @param {string} dueAt - ISO order time the attempts are for; no retry starts more than giveUpMinutes after it
+         * @param {Date} now - Current time
+         * @returns {string|null} ISO time of the next attempt, or null to give up
+         */
+        getRetryAt(retry, attempts, dueAt, now = new Date()) {
+            const policy = this.getRetryPolicy(retry);
+            if (attempts >= policy.maxAttempts) return null;
+
+            const retryAt = new Date(now.getTime() + policy.backoffMinutes * 60000 * 2 ** (attempts - 1));
+            return retryAt <= this.getRetryDeadline(retry, dueAt || now) ? retryAt.toISOString() : null;
+        },
+
+        /**
+         * Whether a failed order is worth retrying
+         * A closed or paused store may open again; one that doesn't deliver to the address won't.
+         * @param {string|null} storeStatus - Why the store couldn't take the order, if that was the failure
+         * @returns {boolean} Is retryable
+         */
+        isRetryable(storeStatus) {
+            return !PERMANENT_STORE_STATUSES.includes(storeStatus);
+        },
+
+        /**
+         * Last moment a retry of a scheduled order may start
+         * @param {object} retry - Schedule's retry settings
+         * @param {string|Date} dueAt - Order time the attempts are for
+         * @returns {Date} Deadline
+         */
+        getRetryDeadline(retry, dueAt) {
+            return new Date(new Date(dueAt).getTime() + this.getRetryPolicy(retry).giveUpMinutes * 60000);
+        },
+
+        /**
+         * Start of a reporting or budget period
+         * @param {string} period - 'today', 'week' (starting Sunday) or 'month'
+         * @param {Date} now - Current time
+         * @returns {Date|null} Period start, or null for all time
+         */
+        getPeriodStart(period, now = new Date()) {
+            const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+            switch (period) {
+                case 'today':
+                    return today;
+                case 'week': {
+                    const weekStart = new Date(today);
+                    weekStart.setDate(weekStart.getDate() - weekStart.getDay());
+                    return weekStart;
+                }
+                case 'month':
+                    return new Date(now.getFullYear(), now.getMonth(), 1);
+                default:
+                    return null;
+            }
+        },
+
+        /**
+         * Spending ledger entry for a finished order, if it left items in the cart
+         * When the cart could be read, only items found in it count as added.
+         * @param {string} id - Job ID the order ran as
+         * @param {object} result - Order result ({ itemsAdded, itemsVerified, cartCheck, totals })
+         * @param {string} at - ISO time the order finished
+         * @returns {object|null} Entry ({ id, total, at }), or null if nothing was spent
+         */
+        getSpendingEntry(id, result, at) {
+            const added = result?.cartCheck ? result.itemsVerified : result?.itemsAdded;
+            const total = result?.totals?.total;
+            return added > 0 && typeof total === 'number' ? { id, total, at } : null;
+        },
+
+        /**
+         * Combine spending ledgers; an order in more than one counts once, as the first ledger has it
+         * @param {...Array<object>} ledgers - Ledgers of entries ({ id, total, at })
+         * @returns {Array<object>} Combined ledger
+         */
+        mergeSpending(...ledgers) {
+            const byId = new Map();
+            ledgers.flat().forEach(entry => {
+                if (!byId.has(entry.id)) byId.set(entry.id, entry);
+            });
+            return Array.from(byId.values());
+        },
+
+        /**
+         * Total spent in a period
+         * @param {Array<object>} ledger - Entries ({ id, total, at })
+         * @param {string} period - 'today', 'week', 'month' or 'all'
+         * @param {Date} now - Current time
+         * @returns {number} Amount spent
+         */
+        getSpent(ledger, period, now = new Date()) {
+            const start = this.getPeriodStart(period, now);
+            return ledger
+                .filter(entry => !start || new Date(entry.at) >= start)
+                .reduce((sum, entry) => sum + entry.total, 0);
+        },
+
+        /**
+         * Budget caps an order would push spending over
+         * @param {number} amount - Expected cost of the order
+         * @param {object} budget - Caps ({ daily, weekly, monthly }), each null when unset
+         * @param {Array<object>} ledger - Spending entries ({ id, total, at })
+         * @param {Date} now - Current time
+         * @returns {Array<object>} Exceeded caps ({ cap, limit, spent })
+         */
+        getBudgetOverruns(amount, budget, ledger, now = new Date()) {
+            return Object.entries(this.BUDGET_PERIODS)
+                .filter(([cap]) => budget?.[cap] > 0)
+                .map(([cap, period]) => ({ cap, limit: budget[cap], spent: this.getSpent(ledger, period, now) }))
+                .filter(({ limit, spent }) => spent + amount > limit);
+        },
+
+        /**
+         * Earliest time any budget period currently reaches back to; older spending no longer counts
+         * @param {Date} now - Current time
+         * @returns {Date} Earliest period start
+         */
+        getBudgetWindowStart(now = new Date()) {
+            return new Date(Math.min(...Object.values(this.BUDGET_PERIODS).map(period => this.getPeriodStart(period, now))));
+        }
+    };
+
+    /**
+     * Parse an integer rule value within bounds
+     * @param {string} value - Text
+     * @param {string} key - Rule part, for the error message
+     * @param {number} min - Lowest allowed
+     * @param {number} max - Highest allowed
+     * @returns {number} Integer
+     */
+    function parseInteger(value, key, min, max) {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min || number > max) {
+            throw new Error(`Invalid ${key}: ${value}`);
+        }
+        return number;
+    }
+
+    /**
+     * Days of one period that a rule picks, in order
+     * @param {object} rule - Parsed rule
+     * @param {Date} start - First day of the schedule (supplies defaults like the weekday)
+     * @param {Date} period - Start of the period
+     * @returns {Array<Date>} Matching days
+     */
+    function matchingDays(rule, start, period) {
+        const days = periodDays(rule.freq, period);
+
+        let matches = days.filter(day => {
+            const date = day.getUTCDate();
+            const monthLength = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)).getUTCDate();
+
+            if (rule.byMonth.length && !rule.byMonth.includes(day.getUTCMonth() + 1)) return false;
+            if (rule.byMonthDay.length && !rule.byMonthDay.some(n => (n > 0 ? n : monthLength + n + 1) === date)) {
+                return false;
+            }
+            if (rule.byDay.length) {
+                return rule.byDay.some(({ weekday, nth }) => weekday === day.getUTCDay() && (!nth ||
+                    (nth > 0 ? Math.ceil(date / 7) === nth : Math.ceil((monthLength - date + 1) / 7) === -nth)));
+            }
+
+            // Without BYDAY/BYMONTHDAY, repeat on the start's weekday or day of the month
+            if (rule.freq === 'WEEKLY') return day.getUTCDay() === start.getUTCDay();
+            if (rule.freq === 'MONTHLY' && !rule.byMonthDay.length) return date === start.getUTCDate();
+            return true;
+        });
+
+        if (rule.bySetPos.length) {
+            const picked = rule.bySetPos.map(pos => matches[pos > 0 ? pos - 1 : matches.length + pos]);
+            matches = matches.filter(day => picked.includes(day));
+        }
+
+        return matches;
+    }
+
+    /**
+     * Whether a rule picks a given day
+     * @param {object} rule - Parsed rule
+     * @param {Date} start - First day of the schedule
+     * @param {Date} day - Day to check
+     * @returns {boolean} Is picked
+     */
+    function matchesDay(rule, start, day) {
+        const period = periodStart(rule.freq, day);
+        const index = periodIndex(rule.freq, periodStart(rule.freq, start), period);
+        if (index < 0 || index % rule.interval !== 0) return false;
+        if (rule.until && day > rule.until) return false;
+
+        return matchingDays(rule, start, period).some(match => match.getTime() === day.getTime());
+    }
+
+    /**
+     * Start of the day, week (Monday) or month containing a floating day
+     * @param {string} freq - 'DAILY', 'WEEKLY' or 'MONTHLY'
+     * @param {Date} day - Floating day
+     * @returns {Date} Period start
+     */
+    function periodStart(freq, day) {
+        if (freq === 'WEEKLY') return addDays(day, -((day.getUTCDay() + 6) % 7));
+        if (freq === 'MONTHLY') return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+        return day;
+    }
+
+    /**
+     * Period start a number of periods later
+     * @param {string} freq - Frequency
+     * @param {Date} period - Period start
+     * @param {number} count - Periods to move
+     * @returns {Date} Period start
+     */
+    function addPeriods(freq, period, count) {
+        if (freq === 'WEEKLY') return addDays(period, count * 7);
+        if (freq === 'MONTHLY') return new Date(Date.UTC(period.getUTCFullYear(), period.getUTCMonth() + count, 1));
+        return addDays(period, count);
+    }
+
+    /**
+     * Number of periods between two period starts
+     * @param {string} freq - Frequency
+     * @param {Date} from - Earlier period start
+     * @param {Date} to - Later period start
+     * @returns {number} Periods
+     */
+    function periodIndex(freq, from, to) {
+        if (freq === 'MONTHLY') {
+            return (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth();
+        }
+        const days = Math.round((to - from) / DAY_MS);
+        return freq === 'WEEKLY' ? Math.round(days / 7) : days;
+    }
+
+    /**
+     * Every day in a period
+     * @param {string} freq - Frequency
+     * @param {Date} period - Period start
+     * @returns {Array<Date>} Days
+     */
+    function periodDays(freq, period) {
+        const end = addPeriods(freq, period, 1);
+        const days = [];
+        for (let day = period; day < end; day = addDays(day, 1)) {
+            days.push(day);
+        }
+        return days;
+    }
+
+    /**
+     * Floating day a number of days later
+     * @param {Date} day - Floating day
+     * @param {number} days - Days to add
+     * @returns {Date} Floating day
+     */
+    function addDays(day, days) {
+        return new Date(day.getTime() + days * DAY_MS);
+    }
+
+    /**
+     * Whether a floating day falls in any skip range
+     * @param {Date} day - Floating day
+     * @param {Array<object>} skipDates - Skip ranges
+     * @returns {boolean} Is skipped
+     */
+    function isSkipped(day, skipDates) {
+        return ScheduleTiming.isSkippedDate(day.toISOString().slice(0, 10), skipDates);
+    }
+
+    /**
+     * Parse a 'YYYY-MM-DD' date as a floating day
+     * @param {string} value - Date string
+     * @returns {Date} Floating day
+     */
+    function parseDate(value) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    /**
+     * The date an instant falls on in a timezone
+     * @param {Date} instant - Instant
+     * @param {string} timeZone - IANA timezone
+     * @returns {Date} Floating day
+     */
+    function floatingDay(instant, timeZone) {
+        const parts = zonedParts(instant.getTime(), timeZone);
+        return new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+    }
+
+    /**
+     * The instant a wall-clock time on a day happens in a timezone
+     * A time skipped by a DST change moves forward by the gap (02:30 becomes 03:30);
+     * a time that happens twice resolves to the first one.
+     * @param {Date} day - Floating day
+     * @param {number} hours - Hours (0-23)
+     * @param {number} minutes - Minutes
+     * @param {string} timeZone - IANA timezone
+     * @returns {Date} Instant
+     */
+    function zonedTime(day, hours, minutes, timeZone) {
+        const wall = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes);
+        const offsetBefore = offsetAt(wall - DAY_MS, timeZone);
+        const offsetAfter = offsetAt(wall + DAY_MS, timeZone);
+
+        const valid = [wall - offsetBefore, wall - offsetAfter]
+            .filter(instant => wall - offsetAt(instant, timeZone) === instant);
+
+        return new Date(valid.length > 0 ? Math.min(...valid) : wall - offsetBefore);
+    }
+
+    /**
+     * A timezone's offset from UTC at an instant
+     * @param {number} instant - Milliseconds since the epoch
+     * @param {string} timeZone - IANA timezone
+     * @returns {number} Offset in milliseconds (negative west of UTC)
+     */
+    function offsetAt(instant, timeZone) {
+        const seconds = Math.floor(instant / 1000) * 1000;
+        const parts = zonedParts(seconds, timeZone);
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - seconds;
+    }
+
+    /**
+     * Calendar fields of an instant in a timezone
+     * @param {number} instant - Milliseconds since the epoch
+     * @param {string} timeZone - IANA timezone
+     * @returns {object} { year, month, day, hour, minute, second }
+     */
+    function zonedParts(instant, timeZone) {
+        const parts = {};
+        getFormatter(timeZone).formatToParts(new Date(instant)).forEach(({ type, value }) => {
+            if (type !== 'literal') parts[type] = Number(value);
+        });
+        parts.hour = parts.hour % 24;
+        return parts;
+    }
+
+    /**
+     * Cached numeric date formatter for a timezone
+     * @param {string} timeZone - IANA timezone
+     * @returns {Intl.DateTimeFormat} Formatter
+     * @throws {RangeError} If the timezone is unknown
+     */
+    function getFormatter(timeZone) {
+        if (!formatters.has(timeZone)) {
+            formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            }));
+        }
+        return formatters.get(timeZone);
+    }
+
+    return ScheduleTiming;
+});
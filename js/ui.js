@@ -157,7 +157,7 @@ const UI = {
 
         const itemsHtml = items.length > 0
             ? `<div class="favorite-card-items">
-                <ul>${items.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}</ul>
+                <ul>${items.map(item => `<li>${this.escapeHtml(this.formatItem(item))}</li>`).join('')}</ul>
                </div>`
             : '';
 
@@ -184,6 +184,7 @@ const UI = {
                     </div>
                 </div>
                 ${itemsHtml}
+                ${this.createTotalDrift(favorite)}
                 <div class="favorite-card-meta">
                     ${tagsHtml}
                     <span>Ordered ${orderCount}x</span>
@@ -195,6 +196,29 @@ const UI = {
         `;
     },
 
+    /**
+     * Warn when the last real cart total strays too far from the favorite's estimate
+     * @param {object} favorite - Favorite data
+     * @returns {string} HTML string, empty when there is nothing to flag
+     */
+    createTotalDrift(favorite) {
+        const estimate = favorite.orderDetails.estimatedTotal;
+        const last = estimate ? OrderHistoryModel.getLastTotal(favorite.id) : null;
+        if (!last) return '';
+
+        const settings = Storage.get(Storage.KEYS.SETTINGS) || {};
+        const allowed = settings.totalDriftPercent || 15;
+        const drift = (last.totals.total - estimate) / estimate * 100;
+        if (Math.abs(drift) <= allowed) return '';
+
+        const direction = drift > 0 ? 'above' : 'below';
+        return `
+            <div class="favorite-card-drift">
+                Last total ${this.formatMoney(last.totals.total)} is ${Math.round(Math.abs(drift))}% ${direction} the ${this.formatMoney(estimate)} estimate
+            </div>
+        `;
+    },
+
     /**
      * Bind card menu toggle and action events
      */
@@ -248,9 +272,34 @@ const UI = {
         const favoriteName = favorite ? favorite.name : 'Unknown Order';
 
         const timingText = this.formatScheduleTiming(schedule);
-        const nextTrigger = schedule.metadata.nextTriggerAt
-            ? this.formatRelativeTime(schedule.metadata.nextTriggerAt)
-            : 'Not scheduled';
+        const { reminder, order } = schedule.metadata;
+        const nextParts = [
+            reminder?.nextAt ? `Reminder ${this.formatRelativeTime(reminder.nextAt)}` : null,
+            order?.nextAt ? `Auto-order ${this.formatRelativeTime(order.nextAt)}` : null
+        ].filter(part => part);
+        const nextTrigger = nextParts.length > 0 ? nextParts.join(' · ') : 'Not scheduled';
+
+        const skipped = SchedulesModel.getNextSkipped(schedule);
+        const skipText = skipped
+            ? `<div class="schedule-skip">Skipping next: ${skipped.toLocaleDateString(undefined, {
+                month: 'short',
+                day: 'numeric',
+                timeZone: schedule.timing.timeZone || ScheduleTiming.getLocalTimeZone()
+            })}</div>`
+            : '';
+
+        // An auto-order waiting for a budget confirmation or a retry, or one that ran out of attempts
+        const run = order?.run;
+        const maxAttempts = ScheduleTiming.getRetryPolicy(schedule.settings.retry).maxAttempts;
+        const retryText = order?.lastOutcome?.status === 'held'
+            ? '<div class="schedule-retry">Over budget: waiting for you to confirm the order</div>'
+            : run?.status === 'waiting'
+            ? `<div class="schedule-retry">Retrying ${run.items.length} item(s) at ${this.formatSnoozeTime(new Date(run.retryAt))} (attempt ${run.attempt + 1} of ${maxAttempts})</div>`
+            : run?.status === 'gave-up'
+                ? `<div class="schedule-retry failed">Gave up after ${run.attempt} attempt(s)</div>`
+                : run?.status === 'unavailable'
+                    ? '<div class="schedule-retry failed">Not retried: the store doesn\'t deliver to your address</div>'
+                    : '';
 
         const enabledClass = schedule.settings.enabled ? 'enabled' : '';
 
@@ -261,6 +310,8 @@ const UI = {
                     <div class="schedule-name">${this.escapeHtml(schedule.name)}</div>
                     <div class="schedule-details">${this.escapeHtml(favoriteName)} • ${timingText}</div>
                     <div class="schedule-next">Next: ${nextTrigger}</div>
+                    ${skipText}
+                    ${retryText}
                 </div>
                 <div class="schedule-actions">
                     <button class="btn btn-secondary btn-small" data-action="trigger">Trigger Now</button>
@@ -277,24 +328,217 @@ const UI = {
      * @returns {string} Formatted timing string
      */
     formatScheduleTiming(schedule) {
+        const timeZone = schedule.timing.timeZone || ScheduleTiming.getLocalTimeZone();
+
         if (schedule.timing.type === 'once') {
-            const date = new Date(schedule.timing.dateTime);
-            return date.toLocaleString(undefined, {
+            const date = ScheduleTiming.parseDateTime(schedule.timing.dateTime, timeZone);
+            const text = date.toLocaleString(undefined, {
                 weekday: 'short',
                 month: 'short',
                 day: 'numeric',
                 hour: 'numeric',
-                minute: '2-digit'
+                minute: '2-digit',
+                timeZone,
+                timeZoneName: 'short'
             });
+            return this.withViewerTime(text, date, timeZone, '');
         }
 
-        const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-        const selectedDays = schedule.timing.daysOfWeek
-            .map(d => days[d])
-            .join(', ');
+        let text;
+        if (schedule.timing.type === 'advanced') {
+            text = this.escapeHtml(this.describeRecurrence(schedule.timing));
+        } else {
+            const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+            const selectedDays = schedule.timing.daysOfWeek
+                .map(d => days[d])
+                .join(', ');
+            text = `${selectedDays} at ${this.formatTime(schedule.timing.time)}`;
+        }
+
+        // The viewer's clock time can differ by date (DST), so compare on the next order
+        const next = SchedulesModel.calculateNextTrigger({ ...schedule.timing, reminderMinutesBefore: 0 });
+        const nextDate = next ? new Date(next) : null;
+        return this.withViewerTime(`${text} ${this.getZoneName(nextDate || new Date(), timeZone)}`, nextDate, timeZone, 'next: ');
+    },
+
+    /**
+     * Append the viewer's own time when the schedule's timezone shows a different clock time
+     * @param {string} text - Timing in the schedule's zone
+     * @param {Date|null} date - Order time to convert
+     * @param {string} timeZone - Schedule's IANA timezone
+     * @param {string} prefix - Text before the viewer's time (e.g. 'next: ')
+     * @returns {string} Timing text
+     */
+    withViewerTime(text, date, timeZone, prefix) {
+        if (!date) return text;
+
+        const options = { weekday: 'short', hour: 'numeric', minute: '2-digit' };
+        const there = date.toLocaleString(undefined, { ...options, timeZone });
+        const here = date.toLocaleString(undefined, options);
+        return there === here ? text : `${text} (${prefix}${here} your time)`;
+    },
 
-        const time = this.formatTime(schedule.timing.time);
-        return `${selectedDays} at ${time}`;
+    /**
+     * Short name of a timezone at a date (e.g. 'EST' or 'GMT+9')
+     * @param {Date} date - Date (the name changes with DST)
+     * @param {string} timeZone - IANA timezone
+     * @returns {string} Zone name
+     */
+    getZoneName(date, timeZone) {
+        const parts = new Intl.DateTimeFormat(undefined, { timeZone, timeZoneName: 'short' }).formatToParts(date);
+        return parts.find(part => part.type === 'timeZoneName')?.value || timeZone;
+    },
+
+    /**
+     * Fill the schedule modal's timezone dropdown
+     * @param {string} selected - Timezone to select
+     */
+    populateTimeZoneSelect(selected) {
+        const select = document.getElementById('schedule-timezone');
+        const zones = typeof Intl.supportedValuesOf === 'function'
+            ? Intl.supportedValuesOf('timeZone')
+            : ['UTC'];
+        if (!zones.includes(selected)) zones.unshift(selected);
+
+        select.innerHTML = zones
+            .map(zone => `<option value="${this.escapeHtml(zone)}">${this.escapeHtml(zone.replace(/_/g, ' '))}</option>`)
+            .join('');
+        select.value = selected;
+    },
+
+    /**
+     * Describe an advanced schedule's rules in words
+     * Falls back to the raw rule for patterns without a wording here
+     * @param {object} timing - Advanced timing ({ rrule, exrule, times })
+     * @returns {string} Description, e.g. 'Every 2 weeks on Fri at 12:00 PM'
+     */
+    describeRecurrence(timing) {
+        const times = (timing.times || []).map(time => this.formatTime(time)).join(', ');
+
+        let text;
+        try {
+            text = this.describeRule(ScheduleTiming.parseRule(timing.rrule));
+            if (timing.exrule) {
+                text += `, except ${this.describeRule(ScheduleTiming.parseRule(timing.exrule), true)}`;
+            }
+        } catch (error) {
+            text = timing.rrule;
+        }
+
+        return `${text} at ${times}`;
+    },
+
+    /**
+     * Describe one parsed recurrence rule
+     * @param {object} rule - Rule from ScheduleTiming.parseRule
+     * @param {boolean} daysOnly - Leave out the "every N weeks" part (for exceptions)
+     * @returns {string} Description
+     */
+    describeRule(rule, daysOnly = false) {
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const ordinals = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last', '-2': 'second to last' };
+        const ordinal = (n) => ordinals[n] || `#${n}`;
+        const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[rule.freq];
+        const businessDays = rule.byDay.length === 5 && !rule.byDay.some(day => day.nth || day.weekday === 0 || day.weekday === 6);
+
+        let days = '';
+        if (businessDays && rule.bySetPos.length) {
+            days = `the ${rule.bySetPos.map(ordinal).join(' and ')} business day`;
+        } else if (businessDays) {
+            days = 'weekdays';
+        } else if (rule.byDay.length) {
+            days = rule.byDay
+                .map(day => (day.nth ? `the ${ordinal(day.nth)} ` : '') + dayNames[day.weekday])
+                .join(', ');
+        } else if (rule.byMonthDay.length) {
+            days = rule.byMonthDay.map(n => (n > 0 ? `day ${n}` : `the ${ordinal(n)} day`)).join(', ');
+        }
+
+        if (daysOnly) {
+            if (!days) return `every ${unit}`;
+            return rule.freq === 'MONTHLY' ? `${days} of the month` : days;
+        }
+
+        if (days && rule.freq === 'DAILY' && rule.interval === 1) {
+            return days.charAt(0).toUpperCase() + days.slice(1);
+        }
+
+        const every = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`;
+        return days ? `${every} on ${days}` : every;
+    },
+
+    /**
+     * Show the next order times for the advanced schedule being edited
+     * @param {object} timing - Advanced timing ({ rrule, exrule, times, startDate, timeZone })
+     */
+    renderRecurrencePreview(timing) {
+        const list = document.getElementById('recurrence-preview');
+
+        let occurrences;
+        try {
+            occurrences = ScheduleTiming.getOccurrences({
+                ...timing,
+                skipDates: SchedulesModel.withGlobalSkipDates(timing.skipDates)
+            }, 5);
+        } catch (error) {
+            list.innerHTML = `<li class="recurrence-error">${this.escapeHtml(error.message)}</li>`;
+            return;
+        }
+
+        if (occurrences.length === 0) {
+            list.innerHTML = `<li>${timing.times.length ? 'No upcoming times' : 'Add at least one time'}</li>`;
+            return;
+        }
+
+        list.innerHTML = occurrences.map(date => `<li>${date.toLocaleString(undefined, {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZone: timing.timeZone,
+            timeZoneName: 'short'
+        })}</li>`).join('');
+    },
+
+    /**
+     * Render a list of skip-date ranges, earliest first
+     * @param {HTMLElement} list - List element
+     * @param {Array} ranges - Ranges ({ id, start, end, label })
+     */
+    renderSkipDates(list, ranges) {
+        if (ranges.length === 0) {
+            list.innerHTML = '<li class="skip-dates-empty">No skip dates</li>';
+            return;
+        }
+
+        list.innerHTML = [...ranges]
+            .sort((a, b) => a.start.localeCompare(b.start))
+            .map(range => `
+                <li class="skip-date" data-id="${range.id}">
+                    <span class="skip-date-range">${this.formatSkipRange(range)}</span>
+                    <span class="skip-date-label">${this.escapeHtml(range.label || '')}</span>
+                    <button type="button" class="btn btn-text btn-small" data-action="remove-skip">Remove</button>
+                </li>
+            `).join('');
+    },
+
+    /**
+     * Format a skip-date range
+     * @param {object} range - Range ({ start, end }) of 'YYYY-MM-DD' dates
+     * @returns {string} e.g. 'Thu, Nov 26, 2026' or 'Dec 24, 2026 – Jan 1, 2027'
+     */
+    formatSkipRange(range) {
+        const format = (value, options) => {
+            const [year, month, day] = value.split('-').map(Number);
+            return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString(undefined, { ...options, timeZone: 'UTC' });
+        };
+
+        if (!range.end || range.end === range.start) {
+            return format(range.start, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+        }
+        const options = { month: 'short', day: 'numeric', year: 'numeric' };
+        return `${format(range.start, options)} – ${format(range.end, options)}`;
     },
 
     /**
@@ -352,14 +596,24 @@ const UI = {
      * Show notification banner
      * @param {object} schedule - Schedule that triggered
      * @param {object} favorite - Associated favorite
+     * @param {boolean} snoozed - Whether this is a snoozed reminder coming back
      */
-    showNotificationBanner(schedule, favorite) {
+    showNotificationBanner(schedule, favorite, snoozed = false) {
         const title = document.getElementById('notification-title');
         const message = document.getElementById('notification-message');
 
-        title.textContent = 'Time to order!';
+        title.textContent = snoozed ? 'Snoozed reminder' : 'Time to order!';
         message.textContent = `${schedule.name} - ${favorite.name}`;
 
+        // Auto-order schedules place the order themselves at the order time
+        const orderAt = schedule.settings.autoOpen && schedule.metadata.order?.nextAt;
+        if (orderAt) {
+            message.textContent += ` (ordering automatically at ${new Date(orderAt).toLocaleTimeString(undefined, {
+                hour: 'numeric',
+                minute: '2-digit'
+            })})`;
+        }
+
         this.notificationBanner.classList.remove('hidden');
         this.notificationBanner.dataset.scheduleId = schedule.id;
         this.notificationBanner.dataset.favoriteId = favorite.id;
@@ -372,6 +626,18 @@ const UI = {
         this.notificationBanner.classList.add('hidden');
     },
 
+    /**
+     * Format when a snooze ends, with the day if it isn't today
+     * @param {Date} date - Snooze end
+     * @returns {string} e.g. "12:30 PM" or "Tue 12:30 PM"
+     */
+    formatSnoozeTime(date) {
+        const time = date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+        return date.toDateString() === new Date().toDateString()
+            ? time
+            : `${date.toLocaleDateString(undefined, { weekday: 'short' })} ${time}`;
+    },
+
     /**
      * Show toast notification
      * @param {string} message - Toast message
@@ -392,6 +658,48 @@ const UI = {
         }, duration);
     },
 
+    /**
+     * Show a persistent progress indicator for an automation job
+     * @param {string} jobId - Job ID
+     * @param {string} title - Job title (favorite name)
+     * @param {string} message - Initial progress message
+     */
+    showJobProgress(jobId, title, message) {
+        const el = document.createElement('div');
+        el.className = 'automation-status job-progress';
+        el.dataset.jobId = jobId;
+        el.innerHTML = `
+            <div class="spinner"></div>
+            <div class="job-progress-text">
+                <strong>${this.escapeHtml(title)}</strong>
+                <span class="job-progress-message">${this.escapeHtml(message)}</span>
+            </div>
+            <button class="btn btn-text btn-small" data-action="cancel-job">Cancel</button>
+        `;
+
+        this.toastContainer.appendChild(el);
+    },
+
+    /**
+     * Update the progress message for an automation job
+     * @param {string} jobId - Job ID
+     * @param {string} message - Progress message
+     */
+    updateJobProgress(jobId, message) {
+        const el = this.toastContainer.querySelector(`.job-progress[data-job-id="${jobId}"]`);
+        if (!el) return;
+        el.querySelector('.job-progress-message').textContent = message;
+    },
+
+    /**
+     * Remove the progress indicator for an automation job
+     * @param {string} jobId - Job ID
+     */
+    hideJobProgress(jobId) {
+        const el = this.toastContainer.querySelector(`.job-progress[data-job-id="${jobId}"]`);
+        if (el) el.remove();
+    },
+
     /**
      * Show confirm dialog
      * @param {string} title - Dialog title
@@ -445,6 +753,34 @@ const UI = {
         }
     },
 
+    /**
+     * Update selector health display
+     * @param {object|null} result - Latest selector check, or null if none has run
+     */
+    updateSelectorStatus(result) {
+        const status = document.getElementById('selector-status');
+
+        if (!result) {
+            status.textContent = 'Not checked';
+            status.className = 'status-badge status-unknown';
+            status.title = '';
+            return;
+        }
+
+        const checked = new Date(result.checkedAt).toLocaleString();
+        if (result.status === 'ok') {
+            status.textContent = 'Selectors OK';
+            status.className = 'status-badge status-connected';
+            status.title = result.fallbacks.length > 0
+                ? `Checked ${checked}. Using fallbacks: ${result.fallbacks.join(', ')}`
+                : `Checked ${checked}`;
+        } else {
+            status.textContent = 'Degraded';
+            status.className = 'status-badge status-degraded';
+            status.title = `Checked ${checked}. Not found: ${result.missing.join(', ')}`;
+        }
+    },
+
     /**
      * Update notification permission status display
      */
@@ -485,17 +821,39 @@ const UI = {
         return div.innerHTML;
     },
 
+    /**
+     * Format an order item for display, e.g. "2× Chicken Burrito (Size: Large) – or Chicken Bowl"
+     * @param {string|object} item - Item name or { name, quantity, options, instructions, substitutes }
+     * @returns {string} Formatted item
+     */
+    formatItem(item) {
+        if (typeof item === 'string') return item;
+
+        const name = item.quantity > 1 ? `${item.quantity}× ${item.name}` : item.name;
+        const options = FavoritesModel.formatItemOptions(item.options);
+        const label = options ? `${name} (${options})` : name;
+        const text = item.instructions ? `${label} – "${item.instructions}"` : label;
+        return item.substitutes?.length > 0 ? `${text} – or ${item.substitutes.join(', then ')}` : text;
+    },
+
     /**
      * Add item input row to favorite form
-     * @param {string} value - Optional initial value
+     * @param {object} item - Optional initial item ({ name, quantity, options, instructions, substitutes })
      */
-    addItemRow(value = '') {
+    addItemRow(item = {}) {
         const container = document.getElementById('items-container');
         const row = document.createElement('div');
         row.className = 'item-row';
         row.innerHTML = `
-            <input type="text" class="item-input" placeholder="Item name" value="${this.escapeHtml(value)}">
+            <input type="text" class="item-input" placeholder="Item name" value="${this.escapeHtml(item.name)}">
+            <input type="number" class="item-quantity" min="1" max="99" value="${item.quantity || 1}" title="Quantity">
             <button type="button" class="remove-item-btn" title="Remove item">×</button>
+            <input type="text" class="item-options" placeholder="Options, e.g. Size: Large; Add: Extra cheese"
+                value="${this.escapeHtml(FavoritesModel.formatItemOptions(item.options))}">
+            <input type="text" class="item-instructions" placeholder="Item note, e.g. No onions"
+                value="${this.escapeHtml(item.instructions)}">
+            <input type="text" class="item-substitutes" placeholder="If sold out, try in order, e.g. Pepperoni Pizza; Cheese Pizza"
+                value="${this.escapeHtml((item.substitutes || []).join('; '))}">
         `;
 
         row.querySelector('.remove-item-btn').addEventListener('click', () => {
@@ -514,13 +872,40 @@ const UI = {
 
     /**
      * Get items from favorite form
-     * @returns {Array} Array of item strings
+     * @returns {Array} Array of { name, quantity, options, instructions, substitutes } items
      */
     getItemsFromForm() {
-        const inputs = document.querySelectorAll('.item-input');
-        return Array.from(inputs)
-            .map(input => input.value.trim())
-            .filter(val => val !== '');
+        const rows = document.querySelectorAll('#items-container .item-row');
+        return Array.from(rows)
+            .map(row => ({
+                name: row.querySelector('.item-input').value.trim(),
+                quantity: Math.max(1, parseInt(row.querySelector('.item-quantity').value, 10) || 1),
+                options: FavoritesModel.parseItemOptions(row.querySelector('.item-options').value),
+                instructions: row.querySelector('.item-instructions').value.trim(),
+                substitutes: row.querySelector('.item-substitutes').value
+                    .split(/[;\n]/)
+                    .map(name => name.trim())
+                    .filter(name => name)
+            }))
+            .filter(item => item.name !== '');
+    },
+
+    /**
+     * Describe why an item was swapped for a substitute, or why none could be used
+     * @param {object} result - Item result from the order
+     * @returns {string|null} Issue text, or null if the item wasn't sold out or substituted
+     */
+    formatSubstitution(result) {
+        const reason = result.soldOut ? 'sold out' : 'not on the menu';
+        if (result.substitute) {
+            return `${result.name}: ${reason}, used ${result.substitute}`;
+        }
+        if (result.soldOut || result.substitutesSkipped?.length > 0) {
+            return result.substitutesSkipped?.length > 0
+                ? `${result.name}: ${reason}, no substitute available (tried ${result.substitutesSkipped.join(', ')})`
+                : `${result.name}: sold out`;
+        }
+        return null;
     },
 
     /**
@@ -565,8 +950,12 @@ const UI = {
     renderHistory(filter = null) {
         const filterSelect = document.getElementById('history-filter');
         const currentFilter = filter || filterSelect.value || 'all';
+        const statusFilter = document.getElementById('history-status-filter').value || 'all';
 
-        const history = this.filterHistory(OrderHistoryModel.getAll(), currentFilter);
+        const entries = [...OrderHistoryModel.getAll(), ...ReminderLogModel.getAll()]
+            .sort((a, b) => new Date(b.orderedAt) - new Date(a.orderedAt));
+        const history = this.filterHistory(entries, currentFilter)
+            .filter(entry => statusFilter === 'all' || entry.status === statusFilter);
         const list = document.getElementById('history-list');
         const empty = document.getElementById('history-empty');
 
@@ -582,6 +971,55 @@ const UI = {
         list.innerHTML = history.map(entry => this.createHistoryEntry(entry)).join('');
     },
 
+    /**
+     * Render spending totals, budget usage and the breakdown for the selected period
+     */
+    renderSpending() {
+        const period = document.getElementById('spending-period').value || 'week';
+        const settings = Storage.get(Storage.KEYS.SETTINGS) || {};
+        const budget = settings.budget || {};
+        const labels = { daily: 'Today', weekly: 'This Week', monthly: 'This Month' };
+
+        document.getElementById('spending-budgets').innerHTML = Object.entries(OrderHistoryModel.BUDGET_PERIODS)
+            .map(([cap, capPeriod]) => {
+                const spent = OrderHistoryModel.getBudgetSpent(capPeriod);
+                const limit = budget[cap] || null;
+                const percent = limit ? Math.min(100, Math.round(spent / limit * 100)) : 0;
+                const overClass = limit && spent > limit ? 'over' : '';
+
+                return `
+                    <div class="spending-budget ${overClass}">
+                        <span class="spending-budget-label">${labels[cap]}</span>
+                        <span class="spending-budget-amount">${this.formatMoney(spent)}${limit ? ` of ${this.formatMoney(limit)}` : ''}</span>
+                        ${limit ? `<div class="spending-budget-bar"><div style="width: ${percent}%"></div></div>` : ''}
+                    </div>
+                `;
+            }).join('');
+
+        const spending = OrderHistoryModel.getSpending(period);
+        const renderList = (groups) => groups
+            .map(group => `
+                <li>
+                    <span>${this.escapeHtml(group.name)} <span class="spending-orders">(${group.orders})</span></span>
+                    <span>${this.formatMoney(group.total)}</span>
+                </li>
+            `).join('');
+
+        document.getElementById('spending-by-restaurant').innerHTML = renderList(spending.byRestaurant);
+        document.getElementById('spending-by-favorite').innerHTML = renderList(spending.byFavorite);
+        document.getElementById('spending-breakdown').classList.toggle('hidden', spending.orders === 0);
+        document.getElementById('spending-empty').classList.toggle('hidden', spending.orders > 0);
+    },
+
+    /**
+     * Format a dollar amount
+     * @param {number} amount - Amount
+     * @returns {string} e.g. "$12.50"
+     */
+    formatMoney(amount) {
+        return `$${amount.toFixed(2)}`;
+    },
+
     /**
      * Filter history by time frame
      * @param {Array} history - All history entries
@@ -589,29 +1027,8 @@ const UI = {
      * @returns {Array} Filtered history
      */
     filterHistory(history, filter) {
-        const now = new Date();
-        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-
-        const weekStart = new Date(today);
-        weekStart.setDate(weekStart.getDate() - weekStart.getDay());
-
-        const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-
-        return history.filter(entry => {
-            const entryDate = new Date(entry.orderedAt);
-
-            switch (filter) {
-                case 'today':
-                    return entryDate >= today;
-                case 'week':
-                    return entryDate >= weekStart;
-                case 'month':
-                    return entryDate >= monthStart;
-                case 'all':
-                default:
-                    return true;
-            }
-        });
+        const start = OrderHistoryModel.getPeriodStart(filter);
+        return start ? history.filter(entry => new Date(entry.orderedAt) >= start) : history;
     },
 
     /**
@@ -627,18 +1044,89 @@ const UI = {
         });
         const dateStr = this.formatHistoryDate(date);
 
-        const itemsText = entry.items.length > 0
-            ? entry.items.slice(0, 3).join(', ') + (entry.items.length > 3 ? '...' : '')
+        // Prefer per-item results so short quantities show as "1/2× Burrito"
+        const itemLabels = entry.itemResults?.length > 0
+            ? entry.itemResults.map(result => result.added && result.quantity < result.requestedQuantity
+                ? `${result.quantity}/${result.requestedQuantity}× ${result.substitute || result.name}`
+                : this.formatItem({ name: result.substitute || result.name, quantity: result.requestedQuantity }))
+            : entry.items.map(item => this.formatItem(item));
+
+        const itemsText = itemLabels.length > 0
+            ? itemLabels.slice(0, 3).join(', ') + (itemLabels.length > 3 ? '...' : '')
             : 'No items specified';
 
+        // Per-item problems worth explaining (substitutions, loose name matches, missing options, blocked required choices)
+        const issues = (entry.itemResults || [])
+            .flatMap(result => [
+                this.formatSubstitution(result),
+                result.matchedName && result.matchedName.toLowerCase() !== (result.substitute || result.name).toLowerCase()
+                    ? `${result.substitute || result.name}: matched "${result.matchedName}" (${Math.round(result.matchScore * 100)}%)`
+                    : null,
+                result.error
+                    ? `${result.name}: ${result.error}`
+                    : result.optionsMissing?.length > 0
+                        ? `${result.name}: missing ${result.optionsMissing.join(', ')}`
+                        : result.instructionsApplied === false
+                            ? `${result.name}: item note not entered`
+                            : null
+            ])
+            .filter(issue => issue);
+
+        // What the cart check found that the clicks alone didn't show
+        (entry.cartCheck || []).forEach(check => {
+            if (check.status === 'missing') {
+                issues.push(`${check.name}: not found in cart`);
+            } else if (check.status === 'unexpected') {
+                issues.push(`Also in cart: ${check.cartQuantity}× ${check.cartName}`);
+            } else if (check.cartQuantity < check.requestedQuantity) {
+                issues.push(`${check.name}: only ${check.cartQuantity} of ${check.requestedQuantity} in cart`);
+            }
+        });
+        if (entry.instructionsApplied === false) issues.unshift('Special instructions not entered');
+        if (entry.addressApplied === false) issues.unshift('Delivery address not selected');
+        if (entry.errorMessage) issues.unshift(entry.errorMessage);
+        if (entry.snoozedUntil) issues.unshift(`Snoozed until ${this.formatSnoozeTime(new Date(entry.snoozedUntil))}`);
+
+        const cartParts = [
+            entry.cartCheck ? this.formatCartCheck(entry.cartCheck) : null,
+            typeof entry.totals?.total === 'number' ? `Total ${this.formatMoney(entry.totals.total)}` : null,
+            entry.eta ? `ETA ${entry.eta.text}` : null
+        ].filter(part => part);
+        const cartHtml = cartParts.length > 0
+            ? `<div class="history-entry-cart">${this.escapeHtml(cartParts.join(' · '))}</div>`
+            : '';
+
+        // Page captures from the run, failed steps flagged
+        const artifactsHtml = entry.jobId && entry.artifacts?.length > 0
+            ? `<ul class="history-entry-artifacts">${entry.artifacts.map(artifact => `
+                <li class="${artifact.failed ? 'failed' : ''}">
+                    <span>${this.escapeHtml(artifact.step)}</span>
+                    ${artifact.screenshot ? `<a href="${this.escapeHtml(DoorDash.artifactUrl(entry.jobId, artifact.screenshot))}" target="_blank" rel="noopener">Screenshot</a>` : ''}
+                    ${artifact.html ? `<a href="${this.escapeHtml(DoorDash.artifactUrl(entry.jobId, artifact.html))}" target="_blank" rel="noopener">HTML</a>` : ''}
+                </li>`).join('')}
+               </ul>`
+            : '';
+
+        const issuesHtml = issues.length > 0
+            ? `<ul class="history-entry-issues">${issues.map(issue => `<li>${this.escapeHtml(issue)}</li>`).join('')}</ul>`
+            : '';
+
         const statusClass = entry.status;
-        const statusText = entry.status === 'completed' ? 'Done'
-            : entry.status === 'partial' ? 'Partial'
-            : 'Failed';
+        const statusText = this.formatHistoryStatus(entry);
+
+        // Other attempts at the same scheduled order
+        const attempts = entry.runId ? OrderHistoryModel.getAttempts(entry.runId) : [];
+        const attemptsHtml = attempts.length > 1
+            ? `<div class="history-entry-attempts">Attempts: ${attempts
+                .map(attempt => `${attempt.id === entry.id ? '<strong>' : ''}#${attempt.attempt} ${this.formatHistoryStatus(attempt)}${attempt.id === entry.id ? '</strong>' : ''}`)
+                .join(' → ')}</div>`
+            : '';
 
-        const triggerText = entry.triggeredBy === 'schedule'
-            ? `via ${entry.scheduleName || 'schedule'}`
-            : 'Manual';
+        const triggerText = entry.status === 'reminder'
+            ? `reminder for ${entry.scheduleName || 'schedule'}`
+            : entry.triggeredBy === 'schedule'
+                ? `via ${entry.scheduleName || 'schedule'}`
+                : 'Manual';
 
         return `
             <div class="history-entry">
@@ -648,14 +1136,101 @@ const UI = {
                 </div>
                 <div class="history-entry-restaurant">${this.escapeHtml(entry.restaurantName)}</div>
                 <div class="history-entry-items">${this.escapeHtml(itemsText)}</div>
+                ${cartHtml}
+                ${issuesHtml}
+                ${artifactsHtml}
+                ${attemptsHtml}
                 <div class="history-entry-meta">
                     <span class="history-entry-time">${dateStr} at ${timeStr}</span>
                     <span class="history-entry-trigger">${triggerText}</span>
                 </div>
+                ${entry.jobId ? `
+                    <button type="button" class="btn btn-text btn-small history-log-toggle" data-job-id="${this.escapeHtml(entry.jobId)}">Show log</button>
+                    <div class="history-entry-log hidden"></div>
+                ` : ''}
             </div>
         `;
     },
 
+    /**
+     * Short label for a history entry's status
+     * @param {object} entry - History entry
+     * @returns {string} e.g. "Done", "Partial", "Snoozed"
+     */
+    formatHistoryStatus(entry) {
+        const reminderText = { remind: 'Reminded', order: 'Ordered', snooze: 'Snoozed', dismiss: 'Dismissed' };
+        const storeText = { store_closed: 'Closed', store_paused: 'Paused', store_too_far: 'Too Far', out_of_range: 'Out of Range' };
+        return entry.status === 'completed' ? 'Done'
+            : entry.status === 'partial' ? 'Partial'
+            : entry.status === 'cancelled' ? 'Cancelled'
+            : entry.status === 'blocked' ? 'Blocked'
+            : entry.status === 'unavailable' ? storeText[entry.storeStatus] || 'Unavailable'
+            : entry.status === 'reminder' ? reminderText[entry.reminderAction] || 'Reminder'
+            : 'Failed';
+    },
+
+    /**
+     * Render a run log as step timings followed by its entries
+     * @param {object} log - Run log from the server
+     * @returns {string} HTML string
+     */
+    createRunLog(log) {
+        const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+        const stepsHtml = log.steps.map(step => `
+            <li class="${step.status === 'failed' ? 'failed' : ''}">
+                <span>${this.escapeHtml(step.name)}</span>
+                <span>${step.durationMs !== null ? seconds(step.durationMs) : '...'}</span>
+            </li>
+        `).join('');
+
+        const entriesHtml = log.entries.map(entry => `
+            <li class="log-${entry.level}">
+                <span class="log-time">${seconds(entry.elapsedMs)}</span>
+                <span>${this.escapeHtml(entry.message)}${this.formatLogData(entry.data)}</span>
+            </li>
+        `).join('');
+
+        return `
+            <ul class="run-log-steps">${stepsHtml}</ul>
+            <ul class="run-log-entries">${entriesHtml}</ul>
+        `;
+    },
+
+    /**
+     * Summarize the structured data on a log entry
+     * Match candidates show as "Name (0.89)", selector misses list what was tried
+     * @param {object} data - Entry data
+     * @returns {string} HTML string (empty when there is nothing worth showing)
+     */
+    formatLogData(data) {
+        if (!data) return '';
+
+        let detail = null;
+        if (data.candidates) {
+            detail = data.candidates.map(c => `${c.name} (${c.score})`).join(', ') || 'no candidates';
+        } else if (data.tried) {
+            detail = `tried ${data.tried.join(' | ')}`;
+        } else if (data.candidate) {
+            detail = data.candidate;
+        }
+
+        return detail ? `<span class="log-data">${this.escapeHtml(detail)}</span>` : '';
+    },
+
+    /**
+     * Summarize a cart check for display
+     * @param {Array} cartCheck - Cart check entries
+     * @returns {string} e.g. "Cart: 2 verified, 1 missing"
+     */
+    formatCartCheck(cartCheck) {
+        const counts = ['verified', 'missing', 'unexpected']
+            .map(status => ({ status, count: cartCheck.filter(check => check.status === status).length }))
+            .filter(({ status, count }) => count > 0 || status === 'verified');
+
+        return 'Cart: ' + counts.map(({ status, count }) => `${count} ${status}`).join(', ');
+    },
+
     /**
      * Format date for history display
      * @param {Date} date - Date object
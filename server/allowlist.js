@@ -0,0 +1,37 @@
+/**
+ * Hosts the automation may be pointed at
+ * TEST_MODE=1 also allows the local mock storefront (served under /mock)
+ */
+
+const TEST_MODE = process.env.TEST_MODE === '1';
+
+const TEST_HOSTS = ['localhost', '127.0.0.1'];
+
+/**
+ * Whether a hostname is a store host the automation may visit
+ * @param {string} hostname - URL hostname
+ * @returns {boolean} Is allowed
+ */
+function isAllowedHost(hostname) {
+    if (hostname.includes('doordash.com')) return true;
+    return TEST_MODE && TEST_HOSTS.includes(hostname);
+}
+
+/**
+ * Whether a URL points at an allowed store host
+ * @param {string} value - URL
+ * @returns {boolean} Is allowed
+ */
+function isAllowedUrl(value) {
+    try {
+        return isAllowedHost(new URL(value).hostname);
+    } catch (e) {
+        return false;
+    }
+}
+
+module.exports = {
+    TEST_MODE,
+    isAllowedHost,
+    isAllowedUrl
+};
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+
+/**
+ * Screenshots and HTML snapshots captured during automation runs
+ * Each run gets its own folder under server/data/runs/<jobId>
+ */
+
+const RUNS_DIR = 'runs';
+
+// Artifact file names are generated here, so anything else in a request is rejected
+const FILE_PATTERN = /^\d{2}-[a-z0-9-]+\.(png|html)$/;
+const RUN_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * Create a recorder that captures the page for one run
+ * @param {string} runId - Job ID the artifacts belong to
+ * @param {object} options - Capture options
+ * @param {boolean} options.everyStep - Capture after successful steps too, not just failed ones
+ * @returns {object} Recorder with capture(page, step, failed) and the captured list
+ */
+function createRecorder(runId, options = {}) {
+    const captured = [];
+
+    return {
+        captured,
+
+        /**
+         * Save a full-page screenshot and the page HTML
+         * Never throws - a failed capture shouldn't change the run's outcome
+         * @param {Page} page - Puppeteer page
+         * @param {string} step - What the run was doing (e.g. 'add item "Garlic Knots"')
+         * @param {boolean} failed - Whether the step failed
+         * @returns {Promise<object|null>} Artifact ({ step, failed, screenshot, html, at }) or null if skipped
+         */
+        async capture(page, step, failed = false) {
+            if (!failed && !options.everyStep) return null;
+            if (!page || page.isClosed()) return null;
+
+            const base = `${String(captured.length + 1).padStart(2, '0')}-${slugify(step)}`;
+            const artifact = {
+                step,
+                failed,
+                screenshot: null,
+                html: null,
+                at: new Date().toISOString()
+            };
+
+            try {
+                await page.screenshot({ path: store.dataPath(RUNS_DIR, runId, `${base}.png`), fullPage: true });
+                artifact.screenshot = `${base}.png`;
+            } catch (error) {
+                console.error(`Screenshot for "${step}" failed:`, error.message);
+            }
+
+            try {
+                fs.writeFileSync(store.dataPath(RUNS_DIR, runId, `${base}.html`), await page.content());
+                artifact.html = `${base}.html`;
+            } catch (error) {
+                console.error(`HTML snapshot for "${step}" failed:`, error.message);
+            }
+
+            if (!artifact.screenshot && !artifact.html) return null;
+
+            captured.push(artifact);
+            return artifact;
+        }
+    };
+}
+
+/**
+ * Whether a run ID is safe to use as a folder name
+ * @param {string} runId - Job ID
+ * @returns {boolean} Is valid
+ */
+function isValidRunId(runId) {
+    return RUN_ID_PATTERN.test(runId);
+}
+
+/**
+ * Resolve an artifact file on disk
+ * @param {string} runId - Job ID
+ * @param {string} file - Artifact file name
+ * @returns {string|null} Absolute path, or null if the name is invalid or the file doesn't exist
+ */
+function getArtifactPath(runId, file) {
+    if (!isValidRunId(runId) || !FILE_PATTERN.test(file)) return null;
+
+    const filePath = path.join(store.DATA_DIR, RUNS_DIR, runId, file);
+    return fs.existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * List the artifact files saved for a run
+ * @param {string} runId - Job ID
+ * @returns {Array<string>} File names, in capture order
+ */
+function listArtifacts(runId) {
+    if (!isValidRunId(runId)) return [];
+
+    try {
+        return fs.readdirSync(path.join(store.DATA_DIR, RUNS_DIR, runId))
+            .filter(file => FILE_PATTERN.test(file))
+            .sort();
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Delete everything saved for a run
+ * @param {string} runId - Job ID
+ */
+function removeRun(runId) {
+    if (!isValidRunId(runId)) return;
+    fs.rmSync(path.join(store.DATA_DIR, RUNS_DIR, runId), { recursive: true, force: true });
+}
+
+/**
+ * Turn a step description into a file-name-safe slug
+ * @param {string} step - Step description
+ * @returns {string} Slug (e.g. 'add-item-garlic-knots')
+ */
+function slugify(step) {
+    return step.toLowerCase().replace(/[^a-z0-9]+/g, '-').slice(0, 40).replace(/^-|-$/g, '') || 'step';
+}
+
+module.exports = {
+    RUNS_DIR,
+    createRecorder,
+    isValidRunId,
+    getArtifactPath,
+    listArtifacts,
+    removeRun
+};
@@ -0,0 +1,397 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { automateOrder } = require('./puppeteer/autoorder');
+const artifacts = require('./artifacts');
+const runlog = require('./runlog');
+const store = require('./store');
+
+/**
+ * Persistent FIFO queue of automation jobs
+ * Jobs sharing a Chrome profile never run side by side (Chrome locks the profile directory),
+ * so each profile gets its own concurrency limit.
+ */
+
+const JOBS_FILE = 'jobs.json';
+const MAX_FINISHED_JOBS = 200;
+const PROFILE_CONCURRENCY = parseInt(process.env.JOBS_PER_PROFILE, 10) || 1;
+
+// How long progress events wait to be written; status changes are written straight away
+const SAVE_DELAY = 2000;
+
+// Event types that end a job's event stream
+const TERMINAL_EVENTS = ['done', 'failed', 'cancelled'];
+
+// Abort controllers for running jobs, by job ID
+const controllers = new Map();
+
+let saveTimer = null;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Jobs only run once the server starts the queue, so requiring this module never launches a browser
+let started = false;
+
+const jobs = loadJobs();
+
+/**
+ * Load persisted jobs, failing any that were mid-run when the server stopped
+ * @returns {Map<string, object>} Jobs by ID
+ */
+function loadJobs() {
+    const saved = store.readJson(JOBS_FILE, []);
+    const loaded = new Map();
+
+    saved.forEach(job => {
+        if (job.status === 'running') {
+            job.status = 'failed';
+            job.error = 'Server stopped while the job was running';
+            job.finishedAt = new Date().toISOString();
+            job.events.push({
+                id: nextEventId(job),
+                type: 'failed',
+                at: job.finishedAt,
+                error: job.error
+            });
+        }
+        if (isFinished(job)) trimEvents(job);
+        loaded.set(job.id, job);
+    });
+
+    return loaded;
+}
+
+/**
+ * Persist all jobs, dropping the oldest finished ones past the limit
+ */
+function saveJobs() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+
+    const all = Array.from(jobs.values());
+    const finished = all.filter(job => isFinished(job));
+
+    if (finished.length > MAX_FINISHED_JOBS) {
+        finished
+            .slice(0, finished.length - MAX_FINISHED_JOBS)
+            .forEach(job => {
+                jobs.delete(job.id);
+                artifacts.removeRun(job.id);
+            });
+    }
+
+    store.writeJson(JOBS_FILE, Array.from(jobs.values()));
+}
+
+/**
+ * Persist jobs shortly, batching the progress events of a running job into one write
+ */
+function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(saveJobs, SAVE_DELAY);
+    saveTimer.unref();
+}
+
+/**
+ * Add an order request to the queue
+ * @param {object} orderData - Order details passed to automateOrder
+ * @param {object} source - Who requested the job (triggeredBy, scheduleId, ...)
+ * @returns {object} Created job
+ */
+function enqueue(orderData, source = {}) {
+    const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        profile: orderData.options?.chromeProfile || 'default',
+        storeName: orderData.storeName || null,
+        source,
+        orderData,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        events: [],
+        result: null,
+        error: null,
+        storeStatus: null,
+        artifacts: []
+    };
+
+    jobs.set(job.id, job);
+    addEvent(job, 'queued', { position: getQueuePosition(job) });
+    processQueue();
+    return job;
+}
+
+/**
+ * Start every queued job whose profile has a free slot, oldest first
+ */
+function processQueue() {
+    if (!started) return;
+
+    const running = {};
+    jobs.forEach(job => {
+        if (job.status === 'running') {
+            running[job.profile] = (running[job.profile] || 0) + 1;
+        }
+    });
+
+    getQueued().forEach(job => {
+        if ((running[job.profile] || 0) >= PROFILE_CONCURRENCY) return;
+
+        running[job.profile] = (running[job.profile] || 0) + 1;
+        runJob(job).catch(error => {
+            // Setting up or closing the run failed outside the automation; don't leave the job running
+            console.error('Job runner error:', error);
+            if (!isFinished(job)) failJob(job, error);
+            controllers.delete(job.id);
+            processQueue();
+        });
+    });
+}
+
+/**
+ * Run the automation for a job, recording progress as it goes
+ * @param {object} job - Job to run
+ */
+async function runJob(job) {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    const recorder = artifacts.createRecorder(job.id, {
+        everyStep: job.orderData.options?.captureEveryStep || false
+    });
+    const log = runlog.createRunLog(job.id);
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    saveJobs();
+
+    try {
+        const result = await runlog.run(log, () => automateOrder(job.orderData, {
+            onProgress: (type, data) => addEvent(job, type, data),
+            signal: controller.signal,
+            artifacts: recorder
+        }));
+
+        const { success, headless, ...summary } = result;
+        job.status = 'done';
+        job.artifacts = recorder.captured;
+        job.result = {
+            ...summary,
+            message: result.message || 'Order automation completed',
+            itemsAdded: result.itemsAdded || 0,
+            items: result.items || [],
+            artifacts: job.artifacts
+        };
+        addEvent(job, 'done', job.result);
+    } catch (error) {
+        job.artifacts = recorder.captured;
+        if (controller.signal.aborted) {
+            job.status = 'cancelled';
+            addEvent(job, 'cancelled');
+        } else {
+            console.error('Automation error:', error);
+            failJob(job, error);
+        }
+    }
+
+    log.finish(job.status, job.error);
+
+    controllers.delete(job.id);
+    processQueue();
+}
+
+/**
+ * Mark a job failed and notify subscribers
+ * @param {object} job - Job that failed
+ * @param {Error} error - What went wrong
+ */
+function failJob(job, error) {
+    job.status = 'failed';
+    job.error = error.message || 'Automation failed';
+    job.storeStatus = error.storeStatus || null;
+    addEvent(job, 'failed', { error: job.error, storeStatus: job.storeStatus, artifacts: job.artifacts });
+}
+
+/**
+ * Cancel a queued or running job
+ * Queued jobs are cancelled immediately; running jobs stop at the next step
+ * @param {string} id - Job ID
+ * @returns {object|null} Job, or null if it does not exist
+ */
+function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job || isFinished(job)) return job || null;
+
+    if (job.status === 'queued') {
+        job.status = 'cancelled';
+        addEvent(job, 'cancelled');
+        return job;
+    }
+
+    job.cancelRequested = true;
+    controllers.get(id)?.abort();
+    saveJobs();
+    return job;
+}
+
+/**
+ * Record a progress event on a job and notify subscribers
+ * @param {object} job - Job the event belongs to
+ * @param {string} type - Event type (queued, launched, item-added, ...)
+ * @param {object} data - Event payload
+ */
+function addEvent(job, type, data = {}) {
+    const event = {
+        id: nextEventId(job),
+        type,
+        at: new Date().toISOString(),
+        ...data
+    };
+
+    job.events.push(event);
+
+    if (TERMINAL_EVENTS.includes(type)) {
+        job.finishedAt = event.at;
+        trimEvents(job);
+    }
+
+    if (type === 'queued' || TERMINAL_EVENTS.includes(type)) {
+        saveJobs();
+    } else {
+        scheduleSave();
+    }
+    emitter.emit(job.id, event);
+}
+
+/**
+ * ID for a job's next event (IDs keep counting after a finished job's events are trimmed)
+ * @param {object} job - Job
+ * @returns {number} Event ID
+ */
+function nextEventId(job) {
+    return (job.events[job.events.length - 1]?.id || 0) + 1;
+}
+
+/**
+ * Drop a finished job's step-by-step progress, keeping what happened to each item and how it ended
+ * The run log keeps every step; item events are what a retry reads to tell what reached the cart.
+ * @param {object} job - Finished job
+ */
+function trimEvents(job) {
+    job.events = job.events.filter(event => event.type.startsWith('item-') || isTerminalEvent(event));
+}
+
+/**
+ * Get queued jobs in FIFO order
+ * @returns {Array} Queued jobs, oldest first
+ */
+function getQueued() {
+    return Array.from(jobs.values())
+        .filter(job => job.status === 'queued')
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Position of a queued job among jobs waiting for the same profile
+ * @param {object} job - Queued job
+ * @returns {number} 1-based position
+ */
+function getQueuePosition(job) {
+    const sameProfile = getQueued().filter(queued => queued.profile === job.profile);
+    return sameProfile.findIndex(queued => queued.id === job.id) + 1;
+}
+
+/**
+ * Get a job by ID
+ * @param {string} id - Job ID
+ * @returns {object|null} Job or null
+ */
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+/**
+ * List jobs, newest first
+ * @param {object} filter - Optional filter
+ * @param {string} filter.status - Only jobs in this status
+ * @returns {Array} Jobs
+ */
+function listJobs(filter = {}) {
+    return Array.from(jobs.values())
+        .filter(job => !filter.status || job.status === filter.status)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Subscribe to new events on a job
+ * @param {string} id - Job ID
+ * @param {Function} listener - Called with each new event
+ * @returns {Function} Unsubscribe function
+ */
+function subscribe(id, listener) {
+    emitter.on(id, listener);
+    return () => emitter.off(id, listener);
+}
+
+/**
+ * Whether a job has reached a final state
+ * @param {object} job - Job
+ * @returns {boolean} Is finished
+ */
+function isFinished(job) {
+    return ['done', 'failed', 'cancelled'].includes(job.status);
+}
+
+/**
+ * Whether an event ends the job's event stream
+ * @param {object} event - Job event
+ * @returns {boolean} Is terminal
+ */
+function isTerminalEvent(event) {
+    return TERMINAL_EVENTS.includes(event.type);
+}
+
+/**
+ * Public view of a job (without the full event log or order payload)
+ * @param {object} job - Job
+ * @returns {object} Serializable job summary
+ */
+function toPublicJob(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        profile: job.profile,
+        storeName: job.storeName,
+        source: job.source,
+        position: job.status === 'queued' ? getQueuePosition(job) : null,
+        cancelRequested: job.cancelRequested || false,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        lastEvent: job.events[job.events.length - 1] || null,
+        result: job.result,
+        error: job.error,
+        storeStatus: job.storeStatus || null,
+        artifacts: job.artifacts || []
+    };
+}
+
+/**
+ * Start running queued jobs, including any left queued by a previous run
+ */
+function start() {
+    started = true;
+    processQueue();
+}
+
+module.exports = {
+    start,
+    enqueue,
+    cancelJob,
+    getJob,
+    isFinished,
+    listJobs,
+    subscribe,
+    isTerminalEvent,
+    toPublicJob
+};
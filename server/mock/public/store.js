@@ -0,0 +1,402 @@
+/**
+ * Mock storefront behaviour - lazy-loaded menu with sold-out items, search, item modal, address picker,
+ * login prompt, store status banner and cart. Markup mirrors the attributes in server/puppeteer/selectors.js.
+ */
+
+const MockStore = {
+    API: '/mock/api',
+    PAGE_SIZE: 4,
+
+    // Banner wording for each ?status= flag
+    STATUS_BANNERS: {
+        closed: 'This store is currently closed. Opens at 11:00 AM',
+        paused: 'This store has paused orders for now',
+        'too-far': 'This store is too far away from your address',
+        'out-of-range': 'Your address is outside the delivery range'
+    },
+
+    menu: null,
+    loaded: 0,
+    currentItem: null,
+    cartItems: [],
+
+    /**
+     * Load the menu and render the page
+     */
+    async init() {
+        const params = new URLSearchParams(window.location.search);
+        this.menu = await (await fetch('/mock/menu.json')).json();
+
+        document.title = this.menu.store;
+        document.querySelector('[data-testid="store-name"]').textContent = this.menu.store;
+
+        if (params.get('search') === 'off') {
+            document.getElementById('store-search').remove();
+        } else {
+            document.querySelector('[data-testid="SearchInput"]')
+                .addEventListener('input', (e) => this.search(e.target.value));
+        }
+
+        const banner = this.STATUS_BANNERS[params.get('status')];
+        if (banner) {
+            const bannerEl = document.querySelector('[data-testid="StoreStatusBanner"]');
+            bannerEl.textContent = banner;
+            bannerEl.hidden = false;
+        }
+
+        if (params.get('login') === 'required' && !localStorage.getItem('mockLoggedIn')) {
+            this.showLogin();
+        }
+
+        const cart = await (await fetch(`${this.API}/cart`)).json();
+        this.cartItems = cart.items;
+        this.renderCart();
+
+        this.bindEvents();
+        this.loadMore();
+    },
+
+    /**
+     * Bind page-level events
+     */
+    bindEvents() {
+        // Menu items only render as the page scrolls, like the real store
+        window.addEventListener('scroll', () => this.loadMoreIfNeeded());
+
+        document.querySelectorAll('[data-testid="CloseButton"]').forEach(btn => {
+            btn.addEventListener('click', () => this.closeModals());
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closeModals();
+        });
+
+        document.querySelector('[data-testid="QuantityIncrease"]')
+            .addEventListener('click', () => this.changeQuantity(1));
+        document.querySelector('[data-testid="QuantityDecrease"]')
+            .addEventListener('click', () => this.changeQuantity(-1));
+        document.querySelector('[data-anchor-id="AddToCartButton"]')
+            .addEventListener('click', () => this.addToCart());
+
+        document.querySelector('[data-testid="AddressButton"]')
+            .addEventListener('click', () => this.openAddressPicker());
+        document.querySelector('[data-testid="AddressInput"]')
+            .addEventListener('input', (e) => this.renderAddresses(e.target.value));
+
+        document.querySelector('[data-testid="CartButton"]')
+            .addEventListener('click', () => {
+                document.querySelector('[data-testid="CartDrawer"]').hidden = false;
+            });
+        document.querySelector('[data-testid="CartDrawer"] textarea')
+            .addEventListener('input', (e) => this.saveInstructions(e.target.value));
+    },
+
+    /**
+     * Render the next page of menu items
+     */
+    loadMore() {
+        const menuEl = document.getElementById('menu');
+        const next = this.menu.items.slice(this.loaded, this.loaded + this.PAGE_SIZE);
+
+        next.forEach(item => menuEl.appendChild(this.createMenuItem(item)));
+        this.loaded += next.length;
+
+        if (this.loaded >= this.menu.items.length) {
+            document.getElementById('menu-sentinel').hidden = true;
+        }
+    },
+
+    /**
+     * Load more items when the bottom of the menu is near
+     */
+    loadMoreIfNeeded() {
+        if (document.querySelector('[data-testid="SearchInput"]')?.value) return;
+
+        const sentinel = document.getElementById('menu-sentinel');
+        if (sentinel.getBoundingClientRect().top < window.innerHeight + 200) {
+            this.loadMore();
+        }
+    },
+
+    /**
+     * Show items matching a search, or restore the lazy-loaded menu when cleared
+     * @param {string} query - Search text
+     */
+    search(query) {
+        const menuEl = document.getElementById('menu');
+        menuEl.innerHTML = '';
+
+        if (!query.trim()) {
+            this.menu.items.slice(0, this.loaded)
+                .forEach(item => menuEl.appendChild(this.createMenuItem(item)));
+            return;
+        }
+
+        const q = query.trim().toLowerCase();
+        this.menu.items
+            .filter(item => item.name.toLowerCase().includes(q))
+            .forEach(item => menuEl.appendChild(this.createMenuItem(item)));
+    },
+
+    /**
+     * Create a menu item card; sold-out items show a badge and don't open
+     * @param {object} item - Menu item
+     * @returns {HTMLElement} Card element
+     */
+    createMenuItem(item) {
+        const card = document.createElement('div');
+        card.className = item.soldOut ? 'menu-item sold-out' : 'menu-item';
+        card.dataset.anchorId = 'MenuItem';
+        card.setAttribute('role', 'button');
+        card.innerHTML = `
+            <h3 data-anchor-id="MenuItemName"></h3>
+            <p class="item-description"></p>
+            <span class="item-price">$${item.price.toFixed(2)}</span>
+        `;
+        card.querySelector('h3').textContent = item.name;
+        card.querySelector('p').textContent = item.description;
+
+        if (item.soldOut) {
+            const badge = document.createElement('span');
+            badge.dataset.testid = 'SoldOutBadge';
+            badge.className = 'sold-out-badge';
+            badge.textContent = 'Sold out';
+            card.appendChild(badge);
+            card.setAttribute('aria-disabled', 'true');
+        } else {
+            card.addEventListener('click', () => this.openItem(item));
+        }
+        return card;
+    },
+
+    /**
+     * Open the item modal
+     * @param {object} item - Menu item
+     */
+    openItem(item) {
+        this.currentItem = item;
+        const modal = document.querySelector('[data-testid="ItemModal"]');
+
+        modal.querySelector('h2').textContent = item.name;
+        modal.querySelector('.item-description').textContent = item.description;
+        modal.querySelector('textarea').value = '';
+        modal.querySelector('[data-testid="QuantityInput"]').value = '1';
+        modal.querySelector('.modal-error').hidden = true;
+
+        const groupsEl = modal.querySelector('.option-groups');
+        groupsEl.innerHTML = '';
+        (item.groups || []).forEach((group, groupIndex) => {
+            groupsEl.appendChild(this.createOptionGroup(group, groupIndex));
+        });
+
+        modal.hidden = false;
+    },
+
+    /**
+     * Create an option group fieldset
+     * @param {object} group - Option group
+     * @param {number} groupIndex - Group position (used for input names)
+     * @returns {HTMLElement} Fieldset element
+     */
+    createOptionGroup(group, groupIndex) {
+        const fieldset = document.createElement('fieldset');
+        fieldset.dataset.testid = 'OptionGroup';
+        fieldset.innerHTML = `<legend data-testid="OptionGroupName"></legend>`;
+        fieldset.querySelector('legend').textContent = group.name;
+
+        if (group.required) {
+            const badge = document.createElement('span');
+            badge.dataset.testid = 'RequiredBadge';
+            badge.textContent = 'Required';
+            fieldset.appendChild(badge);
+        }
+
+        group.choices.forEach(choice => {
+            const label = document.createElement('label');
+            label.dataset.testid = 'OptionChoice';
+
+            const input = document.createElement('input');
+            input.type = group.type;
+            input.name = `group-${groupIndex}`;
+            input.value = choice.label;
+            input.checked = !!choice.default;
+
+            label.appendChild(input);
+            label.append(` ${choice.label}${choice.price ? ` (+$${choice.price.toFixed(2)})` : ''}`);
+            fieldset.appendChild(label);
+        });
+
+        return fieldset;
+    },
+
+    /**
+     * Step the quantity input
+     * @param {number} delta - Amount to add
+     */
+    changeQuantity(delta) {
+        const input = document.querySelector('[data-testid="QuantityInput"]');
+        input.value = String(Math.max(1, (parseInt(input.value, 10) || 1) + delta));
+    },
+
+    /**
+     * Add the open item to the cart, refusing if a required group has no choice
+     */
+    async addToCart() {
+        const modal = document.querySelector('[data-testid="ItemModal"]');
+        const item = this.currentItem;
+        const options = [];
+        let price = item.price;
+
+        for (const [index, group] of (item.groups || []).entries()) {
+            const checked = Array.from(modal.querySelectorAll(`input[name="group-${index}"]:checked`));
+            if (group.required && checked.length === 0) {
+                const error = modal.querySelector('.modal-error');
+                error.textContent = `Please choose a ${group.name}`;
+                error.hidden = false;
+                return;
+            }
+
+            checked.forEach(input => {
+                const choice = group.choices.find(c => c.label === input.value);
+                options.push({ group: group.name, choice: choice.label });
+                price += choice.price || 0;
+            });
+        }
+
+        const quantity = parseInt(modal.querySelector('[data-testid="QuantityInput"]').value, 10) || 1;
+        const response = await fetch(`${this.API}/cart/items`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: item.name,
+                quantity,
+                options,
+                instructions: modal.querySelector('textarea').value,
+                price
+            })
+        });
+
+        this.cartItems.push(await response.json());
+        this.renderCart();
+        this.closeModals();
+    },
+
+    /**
+     * Render cart count, items, fees and total
+     */
+    renderCart() {
+        const count = this.cartItems.reduce((sum, item) => sum + item.quantity, 0);
+        const subtotal = this.cartItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        const deliveryFee = count > 0 ? this.menu.fees.delivery : 0;
+        const serviceFee = Math.round(subtotal * this.menu.fees.serviceRate * 100) / 100;
+        document.getElementById('cart-count').textContent = count;
+
+        const list = document.querySelector('.cart-items');
+        list.innerHTML = '';
+        this.cartItems.forEach(item => {
+            const li = document.createElement('li');
+            li.dataset.testid = 'CartItem';
+            li.innerHTML = '<span data-testid="CartItemQuantity"></span> <span data-testid="CartItemName"></span>';
+            li.querySelector('[data-testid="CartItemQuantity"]').textContent = `${item.quantity}×`;
+            li.querySelector('[data-testid="CartItemName"]').textContent = item.name;
+            list.appendChild(li);
+        });
+
+        const amounts = {
+            CartSubtotal: subtotal,
+            CartDeliveryFee: deliveryFee,
+            CartServiceFee: serviceFee,
+            CartTotal: subtotal + deliveryFee + serviceFee
+        };
+        Object.entries(amounts).forEach(([testid, amount]) => {
+            document.querySelector(`[data-testid="${testid}"] dd`).textContent = `$${amount.toFixed(2)}`;
+        });
+    },
+
+    /**
+     * Save cart-level special instructions
+     * @param {string} instructions - Instructions text
+     */
+    saveInstructions(instructions) {
+        fetch(`${this.API}/cart/instructions`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ instructions })
+        });
+    },
+
+    /**
+     * Open the address picker with the saved addresses
+     */
+    openAddressPicker() {
+        const picker = document.querySelector('[data-testid="AddressPicker"]');
+        picker.querySelector('input').value = '';
+        this.renderAddresses('');
+        picker.hidden = false;
+    },
+
+    /**
+     * Render saved addresses, plus a suggestion for whatever was typed
+     * @param {string} query - Typed address
+     */
+    renderAddresses(query) {
+        const list = document.querySelector('.address-list');
+        list.innerHTML = '';
+
+        const entries = this.menu.addresses.map(addr => ({
+            testid: 'SavedAddress',
+            text: `${addr.label} - ${addr.address}`,
+            address: addr.address
+        }));
+        if (query.trim()) {
+            entries.push({ testid: 'AddressSuggestion', text: query.trim(), address: query.trim() });
+        }
+
+        entries.forEach(entry => {
+            const li = document.createElement('li');
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.dataset.testid = entry.testid;
+            btn.textContent = entry.text;
+            btn.addEventListener('click', () => this.selectAddress(entry.address));
+            li.appendChild(btn);
+            list.appendChild(li);
+        });
+    },
+
+    /**
+     * Use an address for delivery
+     * @param {string} address - Full address
+     */
+    selectAddress(address) {
+        document.getElementById('current-address').textContent = address.split(',')[0];
+        fetch(`${this.API}/cart/address`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ address })
+        });
+        this.closeModals();
+    },
+
+    /**
+     * Show the login prompt until the user logs in
+     */
+    showLogin() {
+        const modal = document.querySelector('[data-testid="LoginModal"]');
+        modal.hidden = false;
+        modal.querySelector('button').addEventListener('click', () => {
+            localStorage.setItem('mockLoggedIn', '1');
+            modal.hidden = true;
+        });
+    },
+
+    /**
+     * Close the item modal, address picker and cart drawer (the login prompt stays)
+     */
+    closeModals() {
+        document.querySelectorAll('[data-testid="ItemModal"], [data-testid="AddressPicker"], [data-testid="CartDrawer"]')
+            .forEach(el => { el.hidden = true; });
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => MockStore.init());
@@ -0,0 +1,67 @@
+const express = require('express');
+const path = require('path');
+
+/**
+ * Mock DoorDash storefront for end-to-end runs (mounted at /mock in TEST_MODE)
+ * The page keeps its cart here so a test can check what the automation added
+ * after the browser has closed.
+ */
+
+const router = express.Router();
+
+let cart = createCart();
+
+router.use(express.static(path.join(__dirname, 'public')));
+
+// Any store slug serves the same storefront; behaviour is tuned with query flags
+router.get('/store/:slug', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'store.html'));
+});
+
+// Current cart
+router.get('/api/cart', (req, res) => {
+    res.json(cart);
+});
+
+// Add an item to the cart
+router.post('/api/cart/items', (req, res) => {
+    const { name, quantity, options, instructions, price } = req.body;
+    const item = {
+        name,
+        quantity: quantity || 1,
+        options: options || [],
+        instructions: instructions || '',
+        price: price || 0
+    };
+
+    cart.items.push(item);
+    res.status(201).json(item);
+});
+
+// Cart-level special instructions
+router.put('/api/cart/instructions', (req, res) => {
+    cart.instructions = req.body.instructions || '';
+    res.json(cart);
+});
+
+// Delivery address chosen in the address picker
+router.put('/api/cart/address', (req, res) => {
+    cart.address = req.body.address || null;
+    res.json(cart);
+});
+
+// Empty the cart between test runs
+router.delete('/api/cart', (req, res) => {
+    cart = createCart();
+    res.json(cart);
+});
+
+/**
+ * Build an empty cart
+ * @returns {object} Cart ({ items, instructions, address })
+ */
+function createCart() {
+    return { items: [], instructions: '', address: null };
+}
+
+module.exports = router;
@@ -1,36 +1,62 @@
 const puppeteer = require('puppeteer');
-const { SELECTORS, TIMEOUTS } = require('./selectors');
+const { STORE_STATUS_PATTERNS, TIMEOUTS } = require('./selectors');
+const resolver = require('./resolver');
+const { isAllowedUrl } = require('../allowlist');
+const matcher = require('./matcher');
+const runlog = require('../runlog');
 
 /**
  * Automate DoorDash order - navigate to store and add items to cart
  * @param {object} orderData - Order details
  * @param {string} orderData.storeUrl - DoorDash store URL
  * @param {string} orderData.storeName - Restaurant name
- * @param {Array<string>} orderData.items - Items to add to cart
- * @param {string} orderData.specialInstructions - Special instructions
+ * @param {Array<object>} orderData.items - Items to add to cart ({ name, quantity, options, instructions, substitutes })
+ * @param {string} orderData.specialInstructions - Order-level instructions, entered in the cart
  * @param {object} orderData.options - Automation options
  * @param {boolean} orderData.options.headless - Run in headless mode
  * @param {string} orderData.options.chromeProfile - Path to Chrome profile directory
- * @returns {Promise<object>} Result with itemsAdded count
+ * @param {object} orderData.options.deliveryAddress - Saved address to select ({ label, address })
+ * @param {number} orderData.options.matchThreshold - Minimum name match score (0-1)
+ * @param {object} hooks - Optional callbacks
+ * @param {Function} hooks.onProgress - Called with (type, data) as each step completes
+ * @param {AbortSignal} hooks.signal - Aborts the run between steps when signalled
+ * @param {object} hooks.artifacts - Recorder from artifacts.createRecorder, captures the page after each step
+ * @returns {Promise<object>} Result with itemsAdded count, per-item results, the cart check, cart totals and delivery ETA
+ * @throws {Error} With storeStatus set ('store_closed', 'store_paused', 'store_too_far', 'out_of_range') when the store can't take the order
  */
-async function automateOrder(orderData) {
+async function automateOrder(orderData, hooks = {}) {
     const { storeUrl, storeName, items, specialInstructions, options = {} } = orderData;
+    const report = createReporter(hooks.onProgress);
+    const signal = hooks.signal;
 
     const headless = options.headless || false;
     const chromeProfile = options.chromeProfile || null;
     const deliveryAddress = options.deliveryAddress || null;
+    const threshold = options.matchThreshold || matcher.DEFAULT_THRESHOLD;
 
     let browser;
+    let page = null;
     let itemsAdded = 0;
+    const itemResults = [];
+    let addressApplied = null;
+    let instructionsApplied = null;
+    let cartCheck = null;
+    let itemsVerified = null;
+    let totals = null;
+    let eta = null;
+
+    // Screenshot + HTML of the page; the recorder decides whether successful steps are kept
+    const capture = (step, failed) => hooks.artifacts?.capture(page, step, failed);
 
     try {
-        console.log('Launching browser...');
-        console.log(`Mode: ${headless ? 'headless' : 'visible'}`);
+        runlog.step('launch');
+        runlog.info('Launching browser...', { headless, chromeProfile, storeUrl, itemCount: items?.length || 0 });
+        runlog.info(`Mode: ${headless ? 'headless' : 'visible'}`);
         if (chromeProfile) {
-            console.log(`Using Chrome profile: ${chromeProfile}`);
+            runlog.info(`Using Chrome profile: ${chromeProfile}`);
         }
         if (deliveryAddress) {
-            console.log(`Delivery address: ${deliveryAddress}`);
+            runlog.info(`Delivery address: ${deliveryAddress.address}`);
         }
 
         const launchOptions = {
@@ -48,14 +74,20 @@ async function automateOrder(orderData) {
 
         browser = await puppeteer.launch(launchOptions);
 
-        const page = await browser.newPage();
+        // Cancelling mid-step releases the browser so the pending Puppeteer call rejects
+        signal?.addEventListener('abort', () => releaseBrowser(browser, headless), { once: true });
+        signal?.throwIfAborted();
+        report('launched', { headless });
+
+        page = await browser.newPage();
 
         // Set user agent to avoid detection
         await page.setUserAgent(
             'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
         );
 
-        console.log(`Navigating to: ${storeUrl}`);
+        runlog.step('navigate');
+        runlog.info(`Navigating to: ${storeUrl}`);
         await page.goto(storeUrl, {
             waitUntil: 'networkidle2',
             timeout: TIMEOUTS.PAGE_LOAD
@@ -66,84 +98,255 @@ async function automateOrder(orderData) {
 
         // Check if we're on the right page
         const pageUrl = page.url();
-        if (!pageUrl.includes('doordash.com')) {
+        if (!isAllowedUrl(pageUrl)) {
             throw new Error('Navigation failed - not on DoorDash');
         }
 
+        signal?.throwIfAborted();
+        report('navigated', { url: pageUrl });
+        await capture('store loaded', false);
+
         // Check for login prompt
-        const loginPrompt = await page.$(SELECTORS.LOGIN_MODAL);
+        const loginPrompt = await resolver.find(page, 'LOGIN_MODAL', { visible: true });
         if (loginPrompt) {
+            runlog.step('login');
             if (headless) {
                 throw new Error('Login required. Cannot log in while running headless. Please set a Chrome profile path with an existing DoorDash login, or run in visible mode first to log in.');
             }
 
-            console.log('\nLogin required!');
-            console.log('Please log in to DoorDash in the browser window.');
-            console.log('The script will wait for you to complete login...\n');
+            runlog.info('\nLogin required!');
+            runlog.info('Please log in to DoorDash in the browser window.');
+            runlog.info('The script will wait for you to complete login...\n');
+            report('login-wait');
 
             // Wait for login modal to disappear (user logged in)
-            await page.waitForSelector(SELECTORS.LOGIN_MODAL, {
+            await resolver.waitFor(page, 'LOGIN_MODAL', {
                 hidden: true,
                 timeout: 120000 // 2 minutes to log in
             });
 
             await delay(2000);
+            signal?.throwIfAborted();
         }
 
-        console.log(`Store loaded: ${storeName || 'Unknown'}`);
+        runlog.info(`Store loaded: ${storeName || 'Unknown'}`);
+
+        // Pick the delivery address before adding items so menu availability matches it
+        if (deliveryAddress) {
+            runlog.step('address');
+            addressApplied = await selectDeliveryAddress(page, deliveryAddress, threshold);
+            if (!addressApplied) runlog.failStep();
+            runlog.info(addressApplied
+                ? `✓ Delivery address set: ${deliveryAddress.address}`
+                : `✗ Could not set delivery address: ${deliveryAddress.address}`);
+            report('address', { applied: addressApplied, address: deliveryAddress.address });
+            await capture('select delivery address', !addressApplied);
+            signal?.throwIfAborted();
+        }
+
+        // Whether the store can take an order at all depends on the address, so check after picking it
+        runlog.step('availability');
+        const availability = await readStoreStatus(page);
+        eta = availability.eta;
+        report('store-status', availability);
+
+        if (availability.status !== 'open') {
+            runlog.failStep();
+            runlog.info(`✗ Store unavailable (${availability.status}): ${availability.message}`);
+            const error = new Error(`Store unavailable: ${availability.message}`);
+            error.storeStatus = availability.status;
+            throw error;
+        }
+        runlog.info(eta ? `✓ Store open, delivery in ${eta.text}` : '✓ Store open');
 
         // If no items specified, just navigate to store
         if (!items || items.length === 0) {
-            console.log('No items specified - browser opened to store page');
+            runlog.info('No items specified - browser opened to store page');
             return {
                 success: true,
                 message: 'Store page opened successfully',
-                itemsAdded: 0
+                itemsAdded: 0,
+                items: [],
+                addressApplied,
+                cartCheck,
+                totals,
+                eta
             };
         }
 
         // Try to add each item
-        for (const itemName of items) {
-            console.log(`\nSearching for: "${itemName}"`);
+        for (const [index, item] of items.entries()) {
+            signal?.throwIfAborted();
+            runlog.step(`item: ${item.name}`);
+            runlog.info(`\nSearching for: "${item.name}" (x${item.quantity})`, { item });
+
+            const itemReport = (type, data = {}) => report(type, {
+                index,
+                total: items.length,
+                name: item.name,
+                requestedQuantity: item.quantity,
+                ...data
+            });
 
-            const added = await tryAddItem(page, itemName);
-            if (added) {
+            let result = await tryAddItem(page, item, itemReport, threshold);
+            const soldOut = result.soldOut;
+            let substitute = null;
+            const substitutesSkipped = [];
+
+            // Sold out or not on the menu: fall back through the item's substitutes in order,
+            // keeping its quantity, options and note
+            if (!result.added && !result.error) {
+                for (const name of item.substitutes || []) {
+                    runlog.info(`Trying substitute for "${item.name}": "${name}"`);
+                    const substituteReport = (type, data = {}) => itemReport(type, { substitute: name, ...data });
+                    const substituteResult = await tryAddItem(page, { ...item, name }, substituteReport, threshold);
+                    if (substituteResult.added) {
+                        substitute = name;
+                        result = substituteResult;
+                        break;
+                    }
+                    substitutesSkipped.push(name);
+                }
+            }
+
+            itemResults.push({
+                name: item.name,
+                requestedQuantity: item.quantity,
+                quantity: result.quantity,
+                added: result.added,
+                matchedName: result.matchedName,
+                matchScore: result.matchScore,
+                soldOut,
+                substitute,
+                substitutesSkipped,
+                optionsApplied: result.optionsApplied.map(formatOption),
+                optionsMissing: result.optionsMissing.map(formatOption),
+                instructionsApplied: result.instructionsApplied,
+                error: result.error
+            });
+
+            if (result.added) {
                 itemsAdded++;
-                console.log(`✓ Added: ${itemName}`);
+                runlog.info(`✓ Added: ${substitute ? `substitute "${substitute}" for ${item.name}` : item.name} as "${result.matchedName}" (score ${result.matchScore}, x${result.quantity} of ${item.quantity})`, {
+                    result: itemResults[itemResults.length - 1]
+                });
+                itemReport('item-added', {
+                    quantity: result.quantity,
+                    matchedName: result.matchedName,
+                    matchScore: result.matchScore,
+                    soldOut,
+                    substitute,
+                    optionsMissing: result.optionsMissing.map(formatOption)
+                });
+            } else if (result.error) {
+                runlog.info(`✗ Could not add: ${item.name} - ${result.error}`, { result: itemResults[itemResults.length - 1] });
+                itemReport('item-failed', { error: result.error });
+            } else if (soldOut) {
+                runlog.info(`✗ Sold out: ${item.name}` +
+                    (substitutesSkipped.length > 0 ? ` (no substitute available: ${substitutesSkipped.join(', ')})` : ''));
+                itemReport('item-sold-out', { matchedName: result.matchedName, substitutesSkipped });
             } else {
-                console.log(`✗ Could not find: ${itemName}`);
+                runlog.info(`✗ Could not find: ${item.name}`);
+                itemReport('item-missing');
             }
 
+            if (!result.added) runlog.failStep();
+            await capture(`add item ${item.name}`, !result.added);
+
             // Small delay between items
             await delay(1000);
         }
 
-        console.log(`\n${'='.repeat(40)}`);
-        console.log(`Added ${itemsAdded} of ${items.length} items to cart`);
-        console.log(`${'='.repeat(40)}`);
+        signal?.throwIfAborted();
+
+        // Order-level instructions live in the cart, so enter them once items are in
+        if (specialInstructions && itemsAdded > 0) {
+            runlog.step('instructions');
+            instructionsApplied = await fillCartInstructions(page, specialInstructions);
+            if (!instructionsApplied) runlog.failStep();
+            runlog.info(instructionsApplied
+                ? '✓ Special instructions entered in cart'
+                : '✗ Could not find a special instructions field in the cart');
+            report('instructions', { applied: instructionsApplied });
+            await capture('cart instructions', !instructionsApplied);
+            signal?.throwIfAborted();
+        }
+
+        // A click on the wrong button still counts as "added", so check what actually landed in the cart
+        runlog.step('cart');
+        const cart = await readCart(page);
+        cartCheck = cart ? reconcileCart(cart.items, itemResults, threshold) : null;
+        if (cartCheck) {
+            itemsVerified = cartCheck.filter(entry => entry.status === 'verified').length;
+            const missing = cartCheck.filter(entry => entry.status === 'missing');
+            const unexpected = cartCheck.filter(entry => entry.status === 'unexpected');
+            runlog.info(`Cart check: ${itemsVerified} verified, ${missing.length} missing, ${unexpected.length} unexpected`, { cartCheck });
+            if (missing.length > 0) runlog.failStep();
+            missing.forEach(entry => runlog.info(`✗ Not in cart: ${entry.name}`));
+            unexpected.forEach(entry => runlog.info(`? Also in cart: ${entry.cartQuantity}× ${entry.cartName}`));
+            report('cart-verified', {
+                verified: itemsVerified,
+                missing: missing.map(entry => entry.name),
+                unexpected: unexpected.map(entry => entry.cartName)
+            });
+        } else {
+            runlog.info('✗ Could not read the cart to verify items');
+            runlog.failStep();
+            report('cart-verified', { verified: null });
+        }
+
+        if (cart) {
+            totals = cart.totals;
+            runlog.info(`Cart total: ${totals.total !== null ? `$${totals.total.toFixed(2)}` : 'not shown'}`, { totals });
+            report('cart-totals', totals);
+        }
+        await capture('check cart', !cartCheck || cartCheck.some(entry => entry.status === 'missing'));
+        signal?.throwIfAborted();
+
+        const summary = `Added ${itemsAdded} of ${items.length} items to cart` +
+            (cartCheck ? ` (${itemsVerified} verified in cart)` : '');
+
+        runlog.info(summary);
 
         if (headless) {
-            console.log('\nHeadless mode complete. Browser will close.');
-            console.log('Open DoorDash in your browser to review cart and checkout.\n');
+            runlog.info('\nHeadless mode complete. Browser will close.');
+            runlog.info('Open DoorDash in your browser to review cart and checkout.\n');
             await browser.close();
         } else {
-            console.log('\nPlease review your cart and complete checkout manually.\n');
+            runlog.info('\nPlease review your cart and complete checkout manually.\n');
             // Keep browser open for user to review and checkout
         }
 
         return {
             success: true,
-            message: `Added ${itemsAdded} of ${items.length} items to cart`,
+            message: summary,
             itemsAdded,
+            itemsVerified,
+            items: itemResults,
+            addressApplied,
+            instructionsApplied,
+            cartCheck,
+            totals,
+            eta,
             headless
         };
 
     } catch (error) {
-        console.error('Automation error:', error.message);
+        if (signal?.aborted) {
+            runlog.info('\nAutomation cancelled.\n');
+            if (browser) await releaseBrowser(browser, headless);
+            throw signal.reason;
+        }
+
+        runlog.error('Automation error:', error);
+        await capture('failed', true);
 
-        // Still keep browser open on error so user can see what happened
-        if (browser) {
-            console.log('\nBrowser left open for debugging. Close manually when done.\n');
+        if (browser && headless) {
+            // Nobody can look at a headless browser; the captured page is what's left to debug with
+            await releaseBrowser(browser, headless);
+        } else if (browser) {
+            // Keep a visible browser open so the user can see what happened
+            runlog.info('\nBrowser left open for debugging. Close manually when done.\n');
         }
 
         throw error;
@@ -153,180 +356,260 @@ async function automateOrder(orderData) {
 /**
  * Try to find and add an item to cart
  * @param {Page} page - Puppeteer page
- * @param {string} itemName - Item to search for
- * @returns {Promise<boolean>} Whether item was added
+ * @param {object} item - Item to add ({ name, quantity, options })
+ * @param {Function} report - Progress reporter for this item
+ * @param {number} threshold - Minimum match score
+ * @returns {Promise<object>} Add result ({ added, quantity, matchedName, matchScore, soldOut, optionsApplied, optionsMissing, error })
  */
-async function tryAddItem(page, itemName) {
+async function tryAddItem(page, item, report, threshold) {
     try {
         // Strategy 1: Try using search if available
-        const searchAdded = await trySearchAndAdd(page, itemName);
-        if (searchAdded) return true;
+        report('item-search');
+        const searchResult = await trySearchAndAdd(page, item, threshold);
+        if (searchResult) return searchResult;
 
         // Strategy 2: Scroll through menu and find item
-        const scrollAdded = await tryScrollAndFind(page, itemName);
-        if (scrollAdded) return true;
+        report('item-scroll');
+        const scrollResult = await tryScrollAndFind(page, item, threshold);
+        if (scrollResult) return scrollResult;
 
-        return false;
+        return createAddResult();
     } catch (error) {
-        console.error(`Error adding "${itemName}":`, error.message);
-        return false;
+        runlog.error(`Error adding "${item.name}":`, error);
+        return createAddResult({ error: error.message });
     }
 }
 
 /**
  * Try to search for item and add to cart
  * @param {Page} page - Puppeteer page
- * @param {string} itemName - Item to search for
- * @returns {Promise<boolean>} Whether item was added
+ * @param {object} item - Item to search for
+ * @param {number} threshold - Minimum match score
+ * @returns {Promise<object|null>} Add result, or null if no usable match was found
  */
-async function trySearchAndAdd(page, itemName) {
+async function trySearchAndAdd(page, item, threshold) {
     try {
         // Look for search input
-        const searchInput = await page.$(SELECTORS.SEARCH_INPUT);
+        const searchInput = await resolver.find(page, 'SEARCH_INPUT');
         if (!searchInput) {
-            return false;
+            return null;
         }
 
         // Clear and type search query
         await searchInput.click({ clickCount: 3 });
-        await searchInput.type(itemName, { delay: 50 });
+        await searchInput.type(item.name, { delay: 50 });
 
         // Wait for search results
         await delay(TIMEOUTS.SEARCH_RESULTS);
 
-        // Find matching menu item
-        const menuItems = await page.$$(SELECTORS.MENU_ITEM);
-
-        for (const item of menuItems) {
-            const nameElement = await item.$(SELECTORS.MENU_ITEM_NAME);
-            if (!nameElement) continue;
+        // Try results best match first
+        const menuItems = await readMenuItems(page);
+        logCandidates('search result', menuItems.map(menuItem => menuItem.name), item.name);
 
-            const name = await page.evaluate(el => el.textContent, nameElement);
+        let result = null;
+        for (const match of rankMenuItems(menuItems, item.name, threshold)) {
+            // The item is on the menu but can't be ordered; a looser match would only be a guess at a substitute
+            if (await isSoldOut(match.handle)) {
+                result = createAddResult({ soldOut: true, matchedName: match.name, matchScore: match.score });
+                break;
+            }
 
-            if (fuzzyMatch(name, itemName)) {
-                // Click the item to open modal
-                await item.click();
-                await delay(TIMEOUTS.MODAL_OPEN);
+            // Click the item to open modal
+            await match.handle.click();
+            await delay(TIMEOUTS.MODAL_OPEN);
 
-                // Add to cart
-                const added = await clickAddToCart(page);
-                if (added) {
-                    // Clear search
-                    await searchInput.click({ clickCount: 3 });
-                    await searchInput.press('Backspace');
-                    await delay(500);
-                    return true;
-                }
+            // Add to cart; a blocking option error or sold-out modal means the item was found but can't be added
+            const addResult = await clickAddToCart(page, item, threshold);
+            if (addResult.added || addResult.error || addResult.soldOut) {
+                result = { ...addResult, matchedName: match.name, matchScore: match.score };
+                break;
             }
         }
 
-        // Clear search if no match
+        // Clear search
         await searchInput.click({ clickCount: 3 });
         await searchInput.press('Backspace');
+        await delay(500);
 
-        return false;
+        return result;
     } catch (error) {
-        console.error('Search strategy failed:', error.message);
-        return false;
+        runlog.error('Search strategy failed:', error);
+        return null;
     }
 }
 
 /**
  * Scroll through menu and find item
+ * Collects every item the menu loads, then opens the best match
  * @param {Page} page - Puppeteer page
- * @param {string} itemName - Item to find
- * @returns {Promise<boolean>} Whether item was added
+ * @param {object} item - Item to find
+ * @param {number} threshold - Minimum match score
+ * @returns {Promise<object|null>} Add result, or null if the item was not found
  */
-async function tryScrollAndFind(page, itemName) {
+async function tryScrollAndFind(page, item, threshold) {
     try {
+        const seen = new Map();
+
         // Scroll to load more items
         for (let i = 0; i < 5; i++) {
-            const menuItems = await page.$$(SELECTORS.MENU_ITEM);
-
-            for (const item of menuItems) {
-                try {
-                    const nameElement = await item.$(SELECTORS.MENU_ITEM_NAME);
-                    if (!nameElement) continue;
+            for (const menuItem of await readMenuItems(page)) {
+                if (!seen.has(menuItem.name)) seen.set(menuItem.name, menuItem);
+            }
 
-                    const name = await page.evaluate(el => el.textContent, nameElement);
+            // An exact match can't be beaten, so stop loading more
+            if (rankMenuItems(Array.from(seen.values()), item.name, 1).length > 0) break;
 
-                    if (fuzzyMatch(name, itemName)) {
-                        // Scroll item into view
-                        await item.evaluate(el => el.scrollIntoView({ behavior: 'smooth', block: 'center' }));
-                        await delay(500);
+            // Scroll down to load more
+            await page.evaluate(() => window.scrollBy(0, 500));
+            await delay(1000);
+        }
 
-                        // Click the item
-                        await item.click();
-                        await delay(TIMEOUTS.MODAL_OPEN);
+        logCandidates('menu item', Array.from(seen.keys()), item.name);
 
-                        // Add to cart
-                        return await clickAddToCart(page);
-                    }
-                } catch (e) {
-                    // Item may have become stale, continue
+        for (const match of rankMenuItems(Array.from(seen.values()), item.name, threshold)) {
+            try {
+                if (await isSoldOut(match.handle)) {
+                    return createAddResult({ soldOut: true, matchedName: match.name, matchScore: match.score });
                 }
-            }
 
-            // Scroll down to load more
-            await page.evaluate(() => window.scrollBy(0, 500));
-            await delay(1000);
+                // Scroll item into view
+                await match.handle.evaluate(el => el.scrollIntoView({ behavior: 'smooth', block: 'center' }));
+                await delay(500);
+
+                // Click the item
+                await match.handle.click();
+                await delay(TIMEOUTS.MODAL_OPEN);
+
+                // Add to cart
+                const result = await clickAddToCart(page, item, threshold);
+                return { ...result, matchedName: match.name, matchScore: match.score };
+            } catch (e) {
+                // Item may have become stale, try the next best
+            }
         }
 
-        return false;
+        return null;
     } catch (error) {
-        console.error('Scroll strategy failed:', error.message);
-        return false;
+        runlog.error('Scroll strategy failed:', error);
+        return null;
+    }
+}
+
+/**
+ * Read the menu items currently on the page with their names
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<Array<object>>} Menu items ({ handle, name })
+ */
+async function readMenuItems(page) {
+    const menuItems = [];
+
+    for (const handle of await resolver.findAll(page, 'MENU_ITEM')) {
+        try {
+            const nameElement = await resolver.find(handle, 'MENU_ITEM_NAME');
+            if (!nameElement) continue;
+
+            const name = (await nameElement.evaluate(el => el.textContent || '')).trim();
+            if (name) menuItems.push({ handle, name });
+        } catch (e) {
+            // Item may have become stale, skip it
+        }
     }
+
+    return menuItems;
+}
+
+/**
+ * Check whether a menu card or item modal is marked sold out
+ * @param {ElementHandle} element - Menu card or item modal
+ * @returns {Promise<boolean>} Has a sold-out marker
+ */
+async function isSoldOut(element) {
+    return !!(await resolver.find(element, 'ITEM_SOLD_OUT'));
+}
+
+/**
+ * Rank menu items against the wanted name, dropping those below the threshold
+ * @param {Array<object>} menuItems - Menu items ({ handle, name })
+ * @param {string} wanted - Item name we're looking for
+ * @param {number} threshold - Minimum match score
+ * @returns {Array<object>} Matches, best first ({ handle, name, score })
+ */
+function rankMenuItems(menuItems, wanted, threshold) {
+    return matcher.rankMatches(menuItems.map(menuItem => menuItem.name), wanted)
+        .filter(match => match.score >= threshold)
+        .map(match => ({ ...menuItems[match.index], score: match.score }));
+}
+
+/**
+ * Record the best-scoring candidates for a lookup in the run log
+ * @param {string} what - What was matched (e.g. 'menu item')
+ * @param {Array<string>} names - Candidate names
+ * @param {string} wanted - Name we're looking for
+ * @param {boolean} partial - Candidates may hold more than the name
+ */
+function logCandidates(what, names, wanted, partial = false) {
+    runlog.debug(`Ranked ${names.length} ${what} candidates for "${wanted}"`, {
+        wanted,
+        candidates: matcher.rankMatches(names, wanted, partial)
+            .slice(0, 5)
+            .map(({ name, score }) => ({ name: name.trim(), score }))
+    });
 }
 
 /**
- * Click the Add to Cart button in item modal
+ * Set quantity and options, then click the Add to Cart button in item modal
  * @param {Page} page - Puppeteer page
- * @returns {Promise<boolean>} Whether successfully added
+ * @param {object} item - Item being added ({ name, quantity, options })
+ * @param {number} threshold - Minimum match score for option names
+ * @returns {Promise<object>} Add result
  */
-async function clickAddToCart(page) {
+async function clickAddToCart(page, item, threshold) {
     try {
         // Wait for modal to open
-        await page.waitForSelector(SELECTORS.ITEM_MODAL, {
+        const modal = await resolver.waitFor(page, 'ITEM_MODAL', {
             visible: true,
             timeout: TIMEOUTS.MODAL_OPEN
         });
 
-        // Find and click Add to Cart button
-        const addButton = await page.evaluateHandle(() => {
-            const buttons = Array.from(document.querySelectorAll('button'));
-            return buttons.find(btn => {
-                const text = btn.textContent?.toLowerCase() || '';
-                return text.includes('add to cart') ||
-                       text.includes('add to order') ||
-                       text.includes('add item');
-            });
-        });
+        // Some menus only say an item is sold out once it's opened
+        if (await isSoldOut(modal)) {
+            runlog.info('✗ Item is sold out');
+            await closeItemModal(page);
+            return createAddResult({ soldOut: true });
+        }
 
-        if (addButton) {
-            await addButton.click();
-            await delay(TIMEOUTS.ADD_TO_CART);
-            return true;
+        const quantity = await setQuantity(modal, item.quantity || 1);
+        const options = await selectOptions(modal, item.options || [], threshold);
+        const optionResult = {
+            optionsApplied: options.applied,
+            optionsMissing: options.missing,
+            instructionsApplied: item.instructions
+                ? await fillInstructions(modal, item.instructions)
+                : null
+        };
+
+        // Adding with a required choice unset (or set wrong) would put the wrong thing in the cart
+        if (options.unsatisfied.length > 0) {
+            const error = `Required option not satisfied: ${options.unsatisfied.join(', ')}`;
+            runlog.info(`✗ ${error}`);
+            await closeItemModal(page);
+            return createAddResult({ ...optionResult, error });
         }
 
-        // Try alternative: click last button in modal (often the add button)
-        const modalButtons = await page.$$(`${SELECTORS.ITEM_MODAL} button`);
-        if (modalButtons.length > 0) {
-            await modalButtons[modalButtons.length - 1].click();
+        // Find and click Add to Cart button (fallbacks end with the modal's last button)
+        const addButton = await resolver.find(modal, 'ADD_TO_CART_BUTTON', { visible: true });
+        if (addButton) {
+            await addButton.click();
             await delay(TIMEOUTS.ADD_TO_CART);
-            return true;
+            return createAddResult({ added: true, quantity, ...optionResult });
         }
 
         // Close modal if we couldn't add
-        const closeButton = await page.$(SELECTORS.CLOSE_MODAL_BUTTON);
-        if (closeButton) {
-            await closeButton.click();
-            await delay(500);
-        }
+        await closeItemModal(page);
 
-        return false;
+        return createAddResult(optionResult);
     } catch (error) {
-        console.error('Add to cart failed:', error.message);
+        runlog.error('Add to cart failed:', error);
 
         // Try to close any open modal
         try {
@@ -334,45 +617,583 @@ async function clickAddToCart(page) {
             await delay(500);
         } catch (e) {}
 
+        return createAddResult();
+    }
+}
+
+/**
+ * Close the item modal without adding
+ * @param {Page} page - Puppeteer page
+ */
+async function closeItemModal(page) {
+    const closeButton = await resolver.find(page, 'CLOSE_MODAL_BUTTON', { visible: true });
+    if (closeButton) {
+        await closeButton.click();
+    } else {
+        await page.keyboard.press('Escape');
+    }
+    await delay(500);
+}
+
+/**
+ * Build the result of trying to add one item
+ * @param {object} fields - Fields to override
+ * @returns {object} Add result
+ */
+function createAddResult(fields = {}) {
+    return {
+        added: false,
+        quantity: 0,
+        matchedName: null,
+        matchScore: null,
+        soldOut: false,
+        optionsApplied: [],
+        optionsMissing: [],
+        instructionsApplied: null,
+        error: null,
+        ...fields
+    };
+}
+
+/**
+ * Select customization options in an open item modal
+ * Option groups and choices are matched by score, so "Size: Large" finds "Choose your size" / "Large (+$1.50)"
+ * and picks "Large" over "Extra Large"
+ * @param {ElementHandle} modal - Item modal
+ * @param {Array<object>} options - Options to select ({ group, choice })
+ * @param {number} threshold - Minimum match score
+ * @returns {Promise<object>} { applied, missing, unsatisfied } where unsatisfied lists required group names
+ */
+async function selectOptions(modal, options, threshold) {
+    const groups = await readOptionGroups(modal);
+    const applied = [];
+    const missing = [];
+    const blocked = new Set();
+
+    for (const option of options) {
+        // Prefer groups whose name matches (best first), but fall back to any group offering the choice
+        const namedGroups = option.group
+            ? matcher.rankMatches(groups.map(group => group.name), option.group)
+                .filter(match => match.score >= threshold)
+                .map(match => groups[match.index])
+            : [];
+        const searchOrder = [...namedGroups, ...groups.filter(group => !namedGroups.includes(group))];
+
+        let selected = false;
+        for (const group of searchOrder) {
+            const match = matcher.bestMatch(group.choices.map(c => c.label), option.choice, threshold);
+            if (!match) continue;
+
+            const choice = group.choices[match.index];
+            runlog.debug(`Option ${formatOption(option)} matched "${group.name}: ${choice.label}"`, {
+                option,
+                group: group.name,
+                choice: choice.label,
+                score: match.score
+            });
+
+            if (!choice.checked) {
+                await choice.handle.click();
+                await delay(TIMEOUTS.ANIMATION);
+            }
+            applied.push(option);
+            selected = true;
+            break;
+        }
+
+        if (!selected) {
+            runlog.info(`Option not found: ${formatOption(option)}`);
+            logCandidates('option', groups.flatMap(group => group.choices.map(c => c.label)), option.choice);
+            missing.push(option);
+            namedGroups.filter(group => group.required).forEach(group => blocked.add(group.name));
+        }
+    }
+
+    // Re-read selection state so required groups left empty are caught too
+    const afterSelection = await readOptionGroups(modal);
+    afterSelection
+        .filter(group => group.required && !group.choices.some(c => c.checked))
+        .forEach(group => blocked.add(group.name || 'Unnamed option'));
+
+    return { applied, missing, unsatisfied: Array.from(blocked) };
+}
+
+/**
+ * Read the option groups shown in an item modal
+ * @param {ElementHandle} modal - Item modal
+ * @returns {Promise<Array>} Groups ({ name, required, choices: [{ label, checked, handle }] })
+ */
+async function readOptionGroups(modal) {
+    const groups = [];
+
+    for (const groupHandle of await resolver.findAll(modal, 'OPTION_GROUP')) {
+        const nameHandle = await resolver.find(groupHandle, 'OPTION_GROUP_NAME');
+        const requiredBadge = await resolver.find(groupHandle, 'OPTION_REQUIRED');
+
+        const info = await groupHandle.evaluate((el, nameEl, hasBadge) => {
+            const header = nameEl?.parentElement || el;
+            return {
+                name: nameEl?.textContent.trim() || '',
+                required: el.getAttribute('aria-required') === 'true' ||
+                    hasBadge ||
+                    /\brequired\b/i.test(header.textContent || '')
+            };
+        }, nameHandle, !!requiredBadge);
+
+        const choices = [];
+        for (const handle of await resolver.findAll(groupHandle, 'OPTION_CHOICE')) {
+            const choice = await handle.evaluate(el => {
+                const input = el.tagName === 'INPUT' ? el : (el.control || el.querySelector('input'));
+                return {
+                    label: (el.textContent || el.getAttribute('aria-label') || input?.value || '').trim(),
+                    checked: el.getAttribute('aria-checked') === 'true' || !!input?.checked
+                };
+            });
+            choices.push({ ...choice, handle });
+        }
+
+        groups.push({ ...info, choices });
+    }
+
+    return groups;
+}
+
+/**
+ * Format an option for logs and reports
+ * @param {object} option - Option ({ group, choice })
+ * @returns {string} e.g. "Size: Large"
+ */
+function formatOption(option) {
+    return option.group ? `${option.group}: ${option.choice}` : option.choice;
+}
+
+/**
+ * Type instructions into a special instructions field
+ * @param {ElementHandle} container - Item modal or cart to search within
+ * @param {string} text - Instructions to enter
+ * @returns {Promise<boolean>} Whether the instructions were entered
+ */
+async function fillInstructions(container, text) {
+    try {
+        const field = await resolver.find(container, 'SPECIAL_INSTRUCTIONS', { visible: true });
+        if (!field) return false;
+
+        // Replace whatever was there from a previous order
+        await field.click({ clickCount: 3 });
+        await field.press('Backspace');
+        await field.type(text, { delay: 20 });
+        await delay(TIMEOUTS.ANIMATION);
+
+        const value = await field.evaluate(el => el.value);
+        return value.trim() === text.trim();
+    } catch (error) {
+        runlog.error('Entering instructions failed:', error);
         return false;
     }
 }
 
 /**
- * Fuzzy match item names
- * @param {string} menuItemName - Name from menu
- * @param {string} searchName - Name we're looking for
- * @returns {boolean} Whether names match
+ * Open the cart and enter order-level special instructions
+ * @param {Page} page - Puppeteer page
+ * @param {string} text - Instructions to enter
+ * @returns {Promise<boolean>} Whether the instructions were entered
  */
-function fuzzyMatch(menuItemName, searchName) {
-    if (!menuItemName || !searchName) return false;
+async function fillCartInstructions(page, text) {
+    try {
+        const cartButton = await resolver.find(page, 'CART_BUTTON', { visible: true });
+        if (!cartButton) return false;
+
+        await cartButton.click();
+        await delay(TIMEOUTS.MODAL_OPEN);
+
+        const applied = await fillInstructions(page, text);
+
+        // Close the cart drawer so the page is left as the user expects
+        await page.keyboard.press('Escape');
+        await delay(TIMEOUTS.ANIMATION);
+
+        return applied;
+    } catch (error) {
+        runlog.error('Cart instructions failed:', error);
+        return false;
+    }
+}
+
+/**
+ * Open the cart and read its lines and totals
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<object|null>} Cart ({ items, totals }), or null if the cart could not be opened
+ */
+async function readCart(page) {
+    try {
+        const cartButton = await resolver.find(page, 'CART_BUTTON', { visible: true });
+        if (!cartButton) return null;
+
+        await cartButton.click();
+        await delay(TIMEOUTS.MODAL_OPEN);
+
+        const cart = {
+            items: await readCartItems(page),
+            totals: await readCartTotals(page)
+        };
+
+        await page.keyboard.press('Escape');
+        await delay(TIMEOUTS.ANIMATION);
 
-    const normalize = (str) => str.toLowerCase().trim()
-        .replace(/[^\w\s]/g, '')
-        .replace(/\s+/g, ' ');
+        return cart;
+    } catch (error) {
+        runlog.error('Reading cart failed:', error);
+        return null;
+    }
+}
 
-    const menuNorm = normalize(menuItemName);
-    const searchNorm = normalize(searchName);
+/**
+ * Read the lines in an open cart
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<Array<object>>} Cart lines ({ name, quantity })
+ */
+async function readCartItems(page) {
+    const cartItems = [];
+
+    for (const handle of await resolver.findAll(page, 'CART_ITEMS')) {
+        const nameElement = await resolver.find(handle, 'CART_ITEM_NAME');
+        const quantityElement = await resolver.find(handle, 'CART_ITEM_QUANTITY');
 
-    // Exact match
-    if (menuNorm === searchNorm) return true;
+        const name = (await (nameElement || handle).evaluate(el => el.textContent || '')).trim();
+        const quantityText = quantityElement
+            ? await quantityElement.evaluate(el => el.value ?? el.textContent)
+            : name.match(/^(\d+)\s*[×x]/)?.[1];
+
+        if (name) cartItems.push({ name, quantity: parseInt(quantityText, 10) || 1 });
+    }
 
-    // Contains match
-    if (menuNorm.includes(searchNorm) || searchNorm.includes(menuNorm)) return true;
+    return cartItems;
+}
 
-    // Word match - all search words appear in menu item
-    const searchWords = searchNorm.split(' ').filter(w => w.length > 2);
-    const menuWords = menuNorm.split(' ');
+/**
+ * Read the subtotal, fees and total shown in an open cart
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<object>} Totals ({ subtotal, deliveryFee, serviceFee, total }), null for any not shown
+ */
+async function readCartTotals(page) {
+    const keys = {
+        subtotal: 'CART_SUBTOTAL',
+        deliveryFee: 'CART_DELIVERY_FEE',
+        serviceFee: 'CART_SERVICE_FEE',
+        total: 'CART_TOTAL'
+    };
+
+    const totals = {};
+    for (const [field, key] of Object.entries(keys)) {
+        const element = await resolver.find(page, key, { visible: true });
+        totals[field] = element
+            ? parseAmount(await element.evaluate(el => el.textContent || ''))
+            : null;
+    }
 
-    if (searchWords.length > 0) {
-        const matchCount = searchWords.filter(sw =>
-            menuWords.some(mw => mw.includes(sw) || sw.includes(mw))
-        ).length;
+    return totals;
+}
 
-        return matchCount >= searchWords.length * 0.7;
+/**
+ * Parse a dollar amount out of a cart summary row
+ * Discounted fees show the struck-out price first, so the last amount wins
+ * @param {string} text - Row text, e.g. "Delivery Fee $3.99 $0.00"
+ * @returns {number|null} Amount, 0 for "Free", or null if none is shown
+ */
+function parseAmount(text) {
+    const amounts = text.match(/\$\s?\d[\d,]*(\.\d+)?/g);
+    if (amounts) {
+        return parseFloat(amounts[amounts.length - 1].replace(/[$,\s]/g, ''));
     }
+    return /\bfree\b/i.test(text) ? 0 : null;
+}
 
-    return false;
+/**
+ * Read whether the store can take an order, and its delivery ETA
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<object>} { status: 'open' or why not (see STORE_STATUS_PATTERNS), message, eta }
+ */
+async function readStoreStatus(page) {
+    const banner = await resolver.find(page, 'STORE_STATUS', { visible: true });
+    const message = banner ? (await banner.evaluate(el => el.textContent || '')).replace(/\s+/g, ' ').trim() : '';
+    const status = classifyStoreStatus(message);
+
+    const etaElement = await resolver.find(page, 'DELIVERY_TIME', { visible: true });
+    const eta = etaElement ? parseEta(await etaElement.evaluate(el => el.textContent || '')) : null;
+
+    return { status, message: status === 'open' ? null : message, eta };
+}
+
+/**
+ * Tell why a store banner says it can't take an order
+ * @param {string} message - Banner text
+ * @returns {string} Status from the first matching STORE_STATUS_PATTERNS entry, or 'open'
+ */
+function classifyStoreStatus(message) {
+    const match = message && STORE_STATUS_PATTERNS.find(({ pattern }) => pattern.test(message));
+    return match ? match.status : 'open';
+}
+
+/**
+ * Parse a delivery estimate such as "25-35 min" or "45 min"
+ * @param {string} text - Delivery time text
+ * @returns {object|null} { text, minMinutes, maxMinutes }, or null if no minutes are shown
+ */
+function parseEta(text) {
+    const match = text.match(/(\d+)\s*(?:[-–]\s*(\d+)\s*)?min/i);
+    if (!match) return null;
+
+    const minMinutes = parseInt(match[1], 10);
+    const maxMinutes = match[2] ? parseInt(match[2], 10) : minMinutes;
+    return { text: match[0].replace(/\s+/g, ' '), minMinutes, maxMinutes };
+}
+
+/**
+ * Match requested items to cart lines
+ * Each cart line can only account for one requested item; lines nobody asked for are unexpected
+ * @param {Array<object>} cartItems - Cart lines ({ name, quantity })
+ * @param {Array<object>} itemResults - Per-item results from this run
+ * @param {number} threshold - Minimum match score
+ * @returns {Array<object>} Cart check entries ({ name, status, requestedQuantity, cartName, cartQuantity, matchScore })
+ */
+function reconcileCart(cartItems, itemResults, threshold) {
+    const unclaimed = cartItems.slice();
+
+    const entries = itemResults.map(result => {
+        // The menu name we clicked is what the cart will show, so prefer it over the favorite's name
+        const match = matcher.bestMatch(unclaimed.map(line => line.name), result.matchedName || result.name, threshold);
+        if (!match) {
+            return createCartEntry({ name: result.name, status: 'missing', requestedQuantity: result.requestedQuantity });
+        }
+
+        const [line] = unclaimed.splice(match.index, 1);
+        return createCartEntry({
+            name: result.name,
+            status: 'verified',
+            requestedQuantity: result.requestedQuantity,
+            cartName: line.name,
+            cartQuantity: line.quantity,
+            matchScore: match.score
+        });
+    });
+
+    return entries.concat(unclaimed.map(line => createCartEntry({
+        name: line.name,
+        status: 'unexpected',
+        cartName: line.name,
+        cartQuantity: line.quantity
+    })));
+}
+
+/**
+ * Build one cart check entry
+ * @param {object} fields - Fields to override
+ * @returns {object} Cart check entry
+ */
+function createCartEntry(fields = {}) {
+    return {
+        name: null,
+        status: 'missing', // 'verified', 'missing', 'unexpected'
+        requestedQuantity: 0,
+        cartName: null,
+        cartQuantity: 0,
+        matchScore: null,
+        ...fields
+    };
+}
+
+/**
+ * Select a saved delivery address in DoorDash's address picker
+ * Tries the saved address list first, then searches for the address
+ * @param {Page} page - Puppeteer page
+ * @param {object} deliveryAddress - Address to select ({ label, address })
+ * @param {number} threshold - Minimum match score
+ * @returns {Promise<boolean>} Whether the store page now shows that address
+ */
+async function selectDeliveryAddress(page, deliveryAddress, threshold) {
+    // Saved addresses are listed by street line, e.g. "123 Main St"
+    const street = deliveryAddress.address.split(',')[0].trim();
+
+    try {
+        if (await isAddressSelected(page, street, threshold)) return true;
+
+        const addressButton = await resolver.find(page, 'ADDRESS_BUTTON');
+        if (!addressButton) return false;
+
+        await addressButton.click();
+        const picker = await resolver.waitFor(page, 'ADDRESS_PICKER', {
+            visible: true,
+            timeout: TIMEOUTS.MODAL_OPEN
+        });
+
+        let option = await findAddressOption(picker, street, deliveryAddress.label, threshold);
+
+        // Not in the saved list - search for it
+        if (!option) {
+            const input = await resolver.find(picker, 'ADDRESS_INPUT');
+            if (input) {
+                await input.click({ clickCount: 3 });
+                await input.type(deliveryAddress.address, { delay: 30 });
+                await delay(TIMEOUTS.SEARCH_RESULTS);
+                option = await findAddressOption(picker, street, null, threshold);
+            }
+        }
+
+        if (!option) {
+            await page.keyboard.press('Escape');
+            await delay(TIMEOUTS.ANIMATION);
+            return false;
+        }
+
+        await option.click();
+        await delay(TIMEOUTS.MODAL_OPEN);
+
+        // Some flows ask to confirm the new address
+        const confirmButton = await resolver.find(page, 'ADDRESS_CONFIRM_BUTTON', { visible: true });
+        if (confirmButton) {
+            await confirmButton.click();
+            await delay(TIMEOUTS.ANIMATION);
+        }
+
+        return await isAddressSelected(page, street, threshold);
+    } catch (error) {
+        runlog.error('Selecting delivery address failed:', error);
+        return false;
+    }
+}
+
+/**
+ * Find an address option in the picker matching a street line or label
+ * @param {ElementHandle} picker - Address picker
+ * @param {string} street - Street line to match
+ * @param {string|null} label - Saved address label to match (e.g. "Work")
+ * @param {number} threshold - Minimum match score
+ * @returns {Promise<ElementHandle|null>} Best matching option or null
+ */
+async function findAddressOption(picker, street, label, threshold) {
+    const options = await resolver.findAll(picker, 'ADDRESS_OPTION');
+    const texts = [];
+    for (const option of options) {
+        texts.push(await option.evaluate(el => el.textContent || ''));
+    }
+
+    logCandidates('address', texts, street, true);
+
+    const match = matcher.bestMatch(texts, street, threshold, true) ||
+        (label ? matcher.bestMatch(texts, label, threshold, true) : null);
+
+    return match ? options[match.index] : null;
+}
+
+/**
+ * Whether the address button already shows the given street
+ * @param {Page} page - Puppeteer page
+ * @param {string} street - Street line to look for
+ * @param {number} threshold - Minimum match score
+ * @returns {Promise<boolean>} Is selected
+ */
+async function isAddressSelected(page, street, threshold) {
+    const addressButton = await resolver.find(page, 'ADDRESS_BUTTON');
+    if (!addressButton) return false;
+
+    const text = await addressButton.evaluate(el => el.textContent || '');
+    return matcher.isMatch(text, street, threshold, true);
+}
+
+/**
+ * Set the quantity in an open item modal
+ * Types into the quantity input when editable, otherwise clicks the increase button
+ * @param {ElementHandle} modal - Item modal
+ * @param {number} quantity - Desired quantity
+ * @returns {Promise<number>} Quantity the modal ended up at
+ */
+async function setQuantity(modal, quantity) {
+    if (quantity <= 1) return 1;
+
+    try {
+        const input = await resolver.find(modal, 'QUANTITY_INPUT');
+        const editable = input && await input.evaluate(el =>
+            el.tagName === 'INPUT' && !el.readOnly && !el.disabled
+        );
+
+        if (editable) {
+            await input.click({ clickCount: 3 });
+            await input.type(String(quantity));
+            await delay(TIMEOUTS.ANIMATION);
+        }
+
+        let current = (await readQuantity(modal)) || 1;
+
+        if (current < quantity) {
+            const increaseButton = await resolver.find(modal, 'QUANTITY_INCREASE');
+            if (increaseButton) {
+                for (let i = current; i < quantity; i++) {
+                    await increaseButton.click();
+                    await delay(TIMEOUTS.ANIMATION);
+                }
+                // Trust the clicks when the modal shows no readable quantity
+                current = (await readQuantity(modal)) || quantity;
+            }
+        }
+
+        if (current !== quantity) {
+            runlog.info(`Could only set quantity to ${current} of ${quantity}`);
+        }
+
+        return current;
+    } catch (error) {
+        runlog.error('Setting quantity failed:', error);
+        return (await readQuantity(modal).catch(() => null)) || 1;
+    }
+}
+
+/**
+ * Read the quantity shown in an item modal
+ * @param {ElementHandle} modal - Item modal
+ * @returns {Promise<number|null>} Quantity or null if not shown
+ */
+async function readQuantity(modal) {
+    const input = await resolver.find(modal, 'QUANTITY_INPUT');
+    if (!input) return null;
+
+    const value = await input.evaluate(el => el.value ?? el.textContent);
+    return parseInt(value, 10) || null;
+}
+
+/**
+ * Let go of the browser after a cancelled run
+ * Headless browsers are closed; visible ones are detached and left open for the user
+ * @param {Browser} browser - Puppeteer browser
+ * @param {boolean} headless - Whether the browser is headless
+ */
+async function releaseBrowser(browser, headless) {
+    if (!browser.isConnected()) return;
+
+    try {
+        if (headless) {
+            await browser.close();
+        } else {
+            browser.disconnect();
+        }
+    } catch (e) {
+        runlog.error('Failed to release browser:', e);
+    }
+}
+
+/**
+ * Wrap an optional progress callback so reporting never breaks the run
+ * @param {Function} onProgress - Callback receiving (type, data)
+ * @returns {Function} Reporter taking (type, data)
+ */
+function createReporter(onProgress) {
+    return (type, data = {}) => {
+        if (!onProgress) return;
+        try {
+            onProgress(type, data);
+        } catch (e) {
+            runlog.error('Progress reporter failed:', e);
+        }
+    };
 }
 
 /**
@@ -383,4 +1204,9 @@ function delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-module.exports = { automateOrder };
+module.exports = {
+    automateOrder,
+    classifyStoreStatus,
+    parseAmount,
+    parseEta
+};
@@ -0,0 +1,174 @@
+/**
+ * Ranked name matching for menu items, options and addresses
+ * Scores every candidate from 0 to 1 so the best one wins instead of the first that passes.
+ */
+
+// Minimum score to accept a match (override with MATCH_THRESHOLD or per order)
+const DEFAULT_THRESHOLD = parseFloat(process.env.MATCH_THRESHOLD) || 0.6;
+
+// Words at least this similar count as the same word (absorbs typos and plurals)
+const WORD_SIMILARITY = 0.75;
+
+// Share of the candidate's words that must belong to the wanted name; below it the score is halved,
+// so "Chicken Burrito Bowl" isn't taken for "Chicken Burrito"
+const MIN_PRECISION = 0.75;
+
+// How much each signal contributes to the score
+const WEIGHTS = {
+    recall: 0.5,        // how much of the wanted name is covered
+    precision: 0.25,    // how little extra the candidate adds ("Bowl" in "Chicken Burrito Bowl")
+    exactWords: 0.15,   // wanted words present verbatim rather than by typo tolerance
+    whole: 0.1          // edit distance between the full names
+};
+
+/**
+ * Score how well a candidate name matches the wanted name
+ * @param {string} candidate - Name found on the page
+ * @param {string} wanted - Name we're looking for
+ * @param {boolean} partial - Candidate may hold more than the name (e.g. an address line with the city)
+ * @returns {number} Score from 0 (unrelated) to 1 (identical)
+ */
+function scoreMatch(candidate, wanted, partial = false) {
+    const a = normalize(candidate);
+    const b = normalize(wanted);
+
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const candidateWords = a.split(' ');
+    const wantedWords = b.split(' ');
+
+    const recall = average(wantedWords.map(word => bestWordSimilarity(word, candidateWords)));
+    const precision = average(candidateWords.map(word => bestWordSimilarity(word, wantedWords)));
+    const exactWords = wantedWords.filter(word => candidateWords.includes(word)).length / wantedWords.length;
+
+    const score = WEIGHTS.recall * recall +
+        WEIGHTS.precision * precision +
+        WEIGHTS.exactWords * exactWords +
+        WEIGHTS.whole * similarity(a, b);
+
+    return partial || precision >= MIN_PRECISION ? score : score / 2;
+}
+
+/**
+ * Score every candidate, best first
+ * @param {Array<string>} names - Candidate names
+ * @param {string} wanted - Name we're looking for
+ * @param {boolean} partial - Candidates may hold more than the name
+ * @returns {Array<object>} Ranked matches ({ index, name, score })
+ */
+function rankMatches(names, wanted, partial = false) {
+    return names
+        .map((name, index) => ({ index, name, score: round(scoreMatch(name, wanted, partial)) }))
+        .sort((x, y) => y.score - x.score);
+}
+
+/**
+ * Find the best-scoring candidate at or above the threshold
+ * @param {Array<string>} names - Candidate names
+ * @param {string} wanted - Name we're looking for
+ * @param {number} threshold - Minimum score
+ * @param {boolean} partial - Candidates may hold more than the name
+ * @returns {object|null} Best match ({ index, name, score }) or null
+ */
+function bestMatch(names, wanted, threshold = DEFAULT_THRESHOLD, partial = false) {
+    const [best] = rankMatches(names, wanted, partial);
+    return best && best.score >= threshold ? best : null;
+}
+
+/**
+ * Whether a single name matches well enough
+ * @param {string} candidate - Name found on the page
+ * @param {string} wanted - Name we're looking for
+ * @param {number} threshold - Minimum score
+ * @param {boolean} partial - Candidate may hold more than the name
+ * @returns {boolean} Is a match
+ */
+function isMatch(candidate, wanted, threshold = DEFAULT_THRESHOLD, partial = false) {
+    return scoreMatch(candidate, wanted, partial) >= threshold;
+}
+
+/**
+ * Lowercase, drop prices, strip punctuation and collapse whitespace
+ * @param {string} str - Text
+ * @returns {string} Normalized text
+ */
+function normalize(str) {
+    return (str || '').toLowerCase().trim()
+        .replace(/\(?\+?\$\d[\d,.]*\)?/g, ' ')
+        .replace(/[^\w\s]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Similarity of a word to the closest word in a list
+ * @param {string} word - Word to look up
+ * @param {Array<string>} words - Words to compare against
+ * @returns {number} 1 for an exact word, partial credit for near-misses, else 0
+ */
+function bestWordSimilarity(word, words) {
+    const best = Math.max(...words.map(other => similarity(word, other)));
+    return best >= WORD_SIMILARITY ? best : 0;
+}
+
+/**
+ * Edit-distance similarity of two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} 1 - distance / longer length
+ */
+function similarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 1 : 1 - editDistance(a, b) / longest;
+}
+
+/**
+ * Levenshtein distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits between a and b
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Mean of a list of numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number} Mean
+ */
+function average(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Round a score to two decimals for reporting
+ * @param {number} score - Score
+ * @returns {number} Rounded score
+ */
+function round(score) {
+    return Math.round(score * 100) / 100;
+}
+
+module.exports = {
+    DEFAULT_THRESHOLD,
+    scoreMatch,
+    rankMatches,
+    bestMatch,
+    isMatch
+};
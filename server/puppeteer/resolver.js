@@ -0,0 +1,204 @@
+const { TimeoutError } = require('puppeteer');
+const { SELECTORS, FALLBACK_SELECTORS, TIMEOUTS } = require('./selectors');
+const runlog = require('../runlog');
+
+/**
+ * Selector resolution - looks up a SELECTORS key by trying its primary selector,
+ * then each FALLBACK_SELECTORS candidate, until one matches.
+ * Candidates can use Puppeteer's ::-p-text(), ::-p-aria() and ::-p-xpath() handlers.
+ */
+
+// Candidate that last matched for each key, so a change in which one wins is logged once
+const lastMatched = new Map();
+
+// Candidates Puppeteer rejected as invalid; skipped from then on
+const invalidCandidates = new Set();
+
+/**
+ * Get the selectors to try for a key, primary first
+ * @param {string} key - SELECTORS / FALLBACK_SELECTORS key
+ * @returns {Array<string>} Candidate selectors
+ */
+function getCandidates(key) {
+    if (!(key in SELECTORS) && !(key in FALLBACK_SELECTORS)) {
+        throw new Error(`Unknown selector key: ${key}`);
+    }
+
+    const candidates = [SELECTORS[key], ...(FALLBACK_SELECTORS[key] || [])].filter(Boolean);
+    return Array.from(new Set(candidates));
+}
+
+/**
+ * Find the first element matching a selector key
+ * @param {Page|ElementHandle} root - Page or element to search within
+ * @param {string} key - Selector key
+ * @param {object} options - Lookup options
+ * @param {boolean} options.visible - Only match visible elements
+ * @returns {Promise<ElementHandle|null>} Matching element or null
+ */
+async function find(root, key, options = {}) {
+    const candidates = getCandidates(key);
+
+    for (const [index, candidate] of candidates.entries()) {
+        const handles = await queryCandidate(root, candidate);
+        const handle = options.visible
+            ? await firstVisible(handles)
+            : handles[0];
+
+        if (handle) {
+            recordMatch(key, candidate, index);
+            return handle;
+        }
+    }
+
+    runlog.selector(key, { candidate: null, tried: candidates });
+    return null;
+}
+
+/**
+ * Find all elements matching a selector key
+ * Uses the first candidate that matches anything; candidates are not mixed
+ * @param {Page|ElementHandle} root - Page or element to search within
+ * @param {string} key - Selector key
+ * @returns {Promise<Array<ElementHandle>>} Matching elements (empty if none)
+ */
+async function findAll(root, key) {
+    const candidates = getCandidates(key);
+
+    for (const [index, candidate] of candidates.entries()) {
+        const handles = await queryCandidate(root, candidate);
+        if (handles.length > 0) {
+            recordMatch(key, candidate, index);
+            return handles;
+        }
+    }
+
+    runlog.selector(key, { candidate: null, tried: candidates });
+    return [];
+}
+
+/**
+ * Wait for a selector key to match (or, with hidden, to stop matching a visible element)
+ * @param {Page|ElementHandle} root - Page or element to search within
+ * @param {string} key - Selector key
+ * @param {object} options - Wait options
+ * @param {boolean} options.visible - Wait for a visible match
+ * @param {boolean} options.hidden - Wait until no candidate matches a visible element
+ * @param {number} options.timeout - Milliseconds before giving up
+ * @returns {Promise<ElementHandle|null>} Matching element, or null when waiting for hidden
+ * @throws {TimeoutError} If the condition is not met in time
+ */
+async function waitFor(root, key, options = {}) {
+    const timeout = options.timeout ?? TIMEOUTS.ELEMENT_VISIBLE;
+    const deadline = Date.now() + timeout;
+
+    while (true) {
+        const handle = await find(root, key, { visible: options.visible || options.hidden });
+
+        if (options.hidden ? !handle : handle) {
+            return handle;
+        }
+
+        if (Date.now() >= deadline) {
+            const state = options.hidden ? 'hidden' : (options.visible ? 'visible' : 'present');
+            throw new TimeoutError(`Waiting for ${key} to be ${state} failed: ${timeout}ms exceeded`);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, TIMEOUTS.SELECTOR_POLL));
+    }
+}
+
+/**
+ * Report which candidate matches a key and how many nodes it finds, without logging
+ * @param {Page|ElementHandle} root - Page or element to search within
+ * @param {string} key - Selector key
+ * @returns {Promise<object>} { key, matched, count, candidate, index, fallback, invalid }
+ */
+async function inspect(root, key) {
+    const candidates = getCandidates(key);
+    let match = { matched: false, count: 0, candidate: null, index: -1, fallback: false };
+
+    for (const [index, candidate] of candidates.entries()) {
+        const handles = await queryCandidate(root, candidate);
+        if (handles.length > 0) {
+            match = { matched: true, count: handles.length, candidate, index, fallback: index > 0 };
+            break;
+        }
+    }
+
+    return {
+        key,
+        ...match,
+        invalid: candidates.filter(candidate => invalidCandidates.has(candidate))
+    };
+}
+
+/**
+ * Run one candidate selector, treating an invalid selector as no match
+ * @param {Page|ElementHandle} root - Page or element to search within
+ * @param {string} candidate - Selector
+ * @returns {Promise<Array<ElementHandle>>} Matching elements
+ */
+async function queryCandidate(root, candidate) {
+    if (invalidCandidates.has(candidate)) return [];
+
+    try {
+        return await root.$$(candidate);
+    } catch (error) {
+        // Anything else (detached element, closed browser) is a real failure
+        if (!isSelectorError(error)) throw error;
+
+        invalidCandidates.add(candidate);
+        runlog.error(`Skipping invalid selector "${candidate}":`, error);
+        return [];
+    }
+}
+
+/**
+ * First visible element in a list
+ * @param {Array<ElementHandle>} handles - Elements
+ * @returns {Promise<ElementHandle|undefined>} Visible element
+ */
+async function firstVisible(handles) {
+    for (const handle of handles) {
+        if (await handle.isVisible().catch(() => false)) return handle;
+    }
+    return undefined;
+}
+
+/**
+ * Record which candidate matched a key in the run log,
+ * and print it when it differs from last time
+ * @param {string} key - Selector key
+ * @param {string} candidate - Matching selector
+ * @param {number} index - Candidate position (0 is the primary selector)
+ */
+function recordMatch(key, candidate, index) {
+    runlog.selector(key, { candidate, index, fallback: index > 0 });
+
+    if (lastMatched.get(key) === candidate) return;
+
+    lastMatched.set(key, candidate);
+    if (index === 0) {
+        console.log(`Selector ${key}: primary matched`);
+    } else {
+        console.log(`Selector ${key}: primary failed, fallback #${index} matched (${candidate})`);
+    }
+}
+
+/**
+ * Whether an error comes from Puppeteer rejecting the selector itself
+ * @param {Error} error - Error thrown by a query
+ * @returns {boolean} Is a selector syntax error
+ */
+function isSelectorError(error) {
+    return /not a valid selector|Unknown aria attribute|Unknown selector type/i.test(error.message || '');
+}
+
+module.exports = {
+    getCandidates,
+    find,
+    findAll,
+    waitFor,
+    inspect
+};
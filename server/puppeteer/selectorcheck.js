@@ -0,0 +1,90 @@
+const puppeteer = require('puppeteer');
+const { SELECTORS, TIMEOUTS } = require('./selectors');
+const resolver = require('./resolver');
+const store = require('../store');
+
+/**
+ * Selector health check - loads a store page (live or a saved HTML snapshot)
+ * and reports how each SELECTORS key resolves against it
+ */
+
+const CHECK_FILE = 'selector-check.json';
+
+// Keys every store page should match; the rest only appear inside modals, the cart or login flows
+const STORE_PAGE_KEYS = [
+    'STORE_NAME',
+    'MENU_ITEM',
+    'MENU_ITEM_NAME',
+    'SEARCH_INPUT',
+    'CART_BUTTON',
+    'ADDRESS_BUTTON'
+];
+
+/**
+ * Check every selector key against a store page
+ * The result is saved so the UI can show the latest status
+ * @param {object} source - What to check against
+ * @param {string} source.url - Store URL to load
+ * @param {string} source.html - Saved HTML snapshot (used instead of url when given)
+ * @returns {Promise<object>} Check result ({ status, keys, missing, fallbacks, ... })
+ */
+async function checkSelectors(source) {
+    const browser = await puppeteer.launch({
+        headless: true,
+        defaultViewport: { width: 1920, height: 1080 },
+        args: ['--disable-blink-features=AutomationControlled']
+    });
+
+    try {
+        const page = await browser.newPage();
+
+        if (source.html) {
+            // Saved pages are already rendered; running their scripts would only redirect or re-render
+            await page.setJavaScriptEnabled(false);
+            await page.setContent(source.html, {
+                waitUntil: 'domcontentloaded',
+                timeout: TIMEOUTS.PAGE_LOAD
+            });
+        } else {
+            await page.goto(source.url, {
+                waitUntil: 'networkidle2',
+                timeout: TIMEOUTS.PAGE_LOAD
+            });
+        }
+
+        const keys = [];
+        for (const key of Object.keys(SELECTORS)) {
+            const result = await resolver.inspect(page, key);
+            keys.push({ ...result, required: STORE_PAGE_KEYS.includes(key) });
+        }
+
+        const missing = keys.filter(k => k.required && !k.matched).map(k => k.key);
+        const result = {
+            status: missing.length === 0 ? 'ok' : 'degraded',
+            source: source.html ? 'snapshot' : source.url,
+            checkedAt: new Date().toISOString(),
+            missing,
+            fallbacks: keys.filter(k => k.fallback).map(k => k.key),
+            keys
+        };
+
+        store.writeJson(CHECK_FILE, result);
+        return result;
+    } finally {
+        await browser.close();
+    }
+}
+
+/**
+ * Get the most recent saved check
+ * @returns {object|null} Check result or null if none has run
+ */
+function getLastCheck() {
+    return store.readJson(CHECK_FILE, null);
+}
+
+module.exports = {
+    STORE_PAGE_KEYS,
+    checkSelectors,
+    getLastCheck
+};
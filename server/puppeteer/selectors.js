@@ -12,6 +12,8 @@ const SELECTORS = {
     MENU_ITEM: '[data-anchor-id="MenuItem"], [data-testid="StoreMenuItem"]',
     MENU_ITEM_NAME: '[data-anchor-id="MenuItemName"], [data-testid="menu-item-name"], h3, span',
     MENU_ITEM_BUTTON: 'button, [role="button"]',
+    // Marker on a menu card or item modal for something that can't be ordered right now
+    ITEM_SOLD_OUT: '[data-testid="SoldOutBadge"], [data-anchor-id="SoldOut"]',
 
     // Search
     SEARCH_INPUT: 'input[placeholder*="Search"], input[type="search"], [data-testid="SearchInput"]',
@@ -21,9 +23,15 @@ const SELECTORS = {
     // Item modal / customization
     ITEM_MODAL: '[data-testid="ItemModal"], [role="dialog"]',
     ITEM_MODAL_NAME: '[data-testid="ItemModalName"], [role="dialog"] h2',
-    ADD_TO_CART_BUTTON: 'button[data-anchor-id="AddToCartButton"], button:has-text("Add to Cart"), button:has-text("Add to Order")',
+    ADD_TO_CART_BUTTON: 'button[data-anchor-id="AddToCartButton"], button[data-testid="AddToCartButton"]',
     CLOSE_MODAL_BUTTON: '[data-testid="CloseButton"], button[aria-label="Close"], [role="dialog"] button:first-child',
 
+    // Item options (size, sides, modifiers)
+    OPTION_GROUP: '[data-testid="OptionGroup"], [data-anchor-id="OptionGroup"], [role="radiogroup"], fieldset',
+    OPTION_GROUP_NAME: '[data-testid="OptionGroupName"], legend, h3, h4',
+    OPTION_CHOICE: '[data-testid="OptionChoice"], [role="radio"], [role="checkbox"], label',
+    OPTION_REQUIRED: '[data-testid="RequiredBadge"], [aria-required="true"]',
+
     // Quantity controls
     QUANTITY_INCREASE: 'button[aria-label*="Increase"], button[data-testid="QuantityIncrease"]',
     QUANTITY_DECREASE: 'button[aria-label*="Decrease"], button[data-testid="QuantityDecrease"]',
@@ -35,8 +43,13 @@ const SELECTORS = {
     // Cart
     CART_BUTTON: '[data-testid="CartButton"], button[aria-label*="cart"], [data-anchor-id="CartButton"]',
     CART_ITEMS: '[data-testid="CartItem"], [data-anchor-id="CartItem"]',
+    CART_ITEM_NAME: '[data-testid="CartItemName"], [data-anchor-id="CartItemName"]',
+    CART_ITEM_QUANTITY: '[data-testid="CartItemQuantity"], select[aria-label*="quantity" i]',
+    CART_SUBTOTAL: '[data-testid="CartSubtotal"], [data-anchor-id="CartSubtotal"]',
+    CART_DELIVERY_FEE: '[data-testid="CartDeliveryFee"], [data-anchor-id="DeliveryFee"]',
+    CART_SERVICE_FEE: '[data-testid="CartServiceFee"], [data-anchor-id="ServiceFee"]',
     CART_TOTAL: '[data-testid="CartTotal"], [data-anchor-id="CartTotal"]',
-    CHECKOUT_BUTTON: 'button[data-testid="CheckoutButton"], button:has-text("Checkout")',
+    CHECKOUT_BUTTON: 'button[data-testid="CheckoutButton"], [data-anchor-id="CheckoutButton"]',
 
     // Loading states
     LOADING_SPINNER: '[data-testid="Loading"], [aria-busy="true"]',
@@ -44,35 +57,191 @@ const SELECTORS = {
 
     // Address/delivery
     ADDRESS_BUTTON: '[data-testid="AddressButton"], button[aria-label*="address"]',
+    ADDRESS_PICKER: '[data-testid="AddressPicker"], [role="dialog"]',
+    ADDRESS_INPUT: 'input[data-testid="AddressInput"], input[placeholder*="address" i]',
+    ADDRESS_OPTION: '[data-testid="SavedAddress"], [data-testid="AddressSuggestion"], [role="option"]',
+    ADDRESS_CONFIRM_BUTTON: '[data-testid="AddressConfirmButton"], [data-anchor-id="AddressConfirmButton"]',
     DELIVERY_TIME: '[data-testid="DeliveryTime"], [data-anchor-id="DeliveryTime"]',
 
+    // Banner shown when the store can't take an order (closed, paused, too far, outside delivery range)
+    STORE_STATUS: '[data-testid="StoreStatusBanner"], [data-anchor-id="StoreStatusBanner"]',
+
     // Login prompts
-    LOGIN_MODAL: '[data-testid="LoginModal"], [role="dialog"]:has(button:has-text("Log in"))',
-    LOGIN_BUTTON: 'button:has-text("Log in"), button:has-text("Sign in")'
+    LOGIN_MODAL: '[data-testid="LoginModal"]',
+    LOGIN_BUTTON: '[data-testid="LoginButton"], [data-anchor-id="LoginButton"]'
 };
 
+// XPath expression for an element's whitespace-normalized, lowercased text
+const TEXT = 'translate(normalize-space(.), "ABCDEFGHIJKLMNOPQRSTUVWXYZ", "abcdefghijklmnopqrstuvwxyz")';
+
+/**
+ * XPath selector for the innermost element holding a cart summary row, e.g. "Subtotal $12.00"
+ * @param {string} label - Lowercase row label the element's text starts with
+ * @returns {string} ::-p-xpath() selector
+ */
+function labelledAmount(label) {
+    const row = `*[starts-with(${TEXT}, "${label}") and contains(., "$")]`;
+    return `::-p-xpath(.//${row}[not(.//${row})])`;
+}
+
 /**
- * Alternative selectors to try if primary ones fail
- * DoorDash frequently updates their class names
+ * XPath selector for the innermost element whose text contains any of the given phrases
+ * @param {Array<string>} phrases - Lowercase phrases
+ * @returns {string} ::-p-xpath() selector
+ */
+function containingText(phrases) {
+    const element = `*[${phrases.map(phrase => `contains(${TEXT}, "${phrase}")`).join(' or ')}]`;
+    return `::-p-xpath(.//${element}[not(.//${element})])`;
+}
+
+// Store banner wording for each reason a store can't take an order, checked in order
+const STORE_STATUS_PATTERNS = [
+    { status: 'store_too_far', pattern: /too far/i },
+    { status: 'out_of_range', pattern: /outside (of )?(the |its )?deliver(y|ing) (range|area|zone)|(doesn't|does not|can't|cannot) deliver to|out of (delivery )?range/i },
+    { status: 'store_paused', pattern: /paused|temporarily (unavailable|closed)|not accepting (new )?orders/i },
+    { status: 'store_closed', pattern: /\b((store|restaurant)( is)?|currently|now) closed\b|\bclosed (now|for (the day|today|tonight))\b|\bopens (at|tomorrow|on|in)\b|\bcurrently unavailable\b/i }
+];
+
+/**
+ * Alternative selectors to try, in order, when the primary one matches nothing
+ * DoorDash frequently updates their class names, so these lean on visible text and ARIA
+ * instead, using Puppeteer's ::-p-text(), ::-p-aria() and ::-p-xpath() query handlers.
+ * ::-p-text() is case-sensitive and ::-p-aria() names must match exactly; the XPath variants lowercase the text first.
  */
 const FALLBACK_SELECTORS = {
     MENU_ITEM: [
-        '[data-anchor-id="MenuItem"]',
-        '[data-testid="StoreMenuItem"]',
         '.styles__MenuItemContainer',
         'div[class*="MenuItem"]'
     ],
-    ADD_TO_CART: [
-        'button[data-anchor-id="AddToCartButton"]',
-        'button:contains("Add to Cart")',
-        'button:contains("Add to Order")',
-        '[role="dialog"] button[class*="Button"]:last-child'
-    ],
-    SEARCH: [
-        'input[placeholder*="Search"]',
-        'input[type="search"]',
-        '[data-testid="SearchInput"]',
-        'input[class*="search"]'
+    MENU_ITEM_NAME: [
+        '[class*="ItemName"]'
+    ],
+    ITEM_SOLD_OUT: [
+        '[class*="SoldOut"]',
+        containingText(['sold out', 'out of stock', 'unavailable'])
+    ],
+    SEARCH_INPUT: [
+        'input[class*="search"]',
+        '::-p-aria([role="searchbox"])'
+    ],
+    ITEM_MODAL: [
+        '[aria-modal="true"]',
+        'div[class*="Modal"]'
+    ],
+    ADD_TO_CART_BUTTON: [
+        'button::-p-text(Add to Cart)',
+        'button::-p-text(Add to cart)',
+        'button::-p-text(Add to Order)',
+        'button::-p-text(Add to order)',
+        `::-p-xpath(.//button[contains(${TEXT}, "add to cart") or contains(${TEXT}, "add to order") or contains(${TEXT}, "add item")])`,
+        'button[class*="Button"]:last-child',
+        // Last resort: the add button is usually the last one in the modal
+        '::-p-xpath((.//button)[last()])'
+    ],
+    CLOSE_MODAL_BUTTON: [
+        '::-p-aria([name="Close"][role="button"])',
+        'button[aria-label*="close" i]'
+    ],
+    OPTION_GROUP: [
+        '[role="group"]',
+        'div[class*="OptionGroup"]'
+    ],
+    OPTION_GROUP_NAME: [
+        '[class*="GroupName"]',
+        'h2, h5, strong'
+    ],
+    OPTION_CHOICE: [
+        'input[type="radio"], input[type="checkbox"]'
+    ],
+    OPTION_REQUIRED: [
+        '::-p-text(Required)'
+    ],
+    QUANTITY_INCREASE: [
+        '::-p-aria([name="Increase quantity"][role="button"])',
+        'button[aria-label*="increase" i], button[aria-label*="add one" i]'
+    ],
+    QUANTITY_DECREASE: [
+        '::-p-aria([name="Decrease quantity"][role="button"])',
+        'button[aria-label*="decrease" i], button[aria-label*="remove one" i]'
+    ],
+    QUANTITY_INPUT: [
+        'input[aria-label*="quantity" i]',
+        'input[type="number"]',
+        'select[aria-label*="quantity" i]'
+    ],
+    SPECIAL_INSTRUCTIONS: [
+        'textarea[placeholder*="instruction" i]',
+        'textarea[aria-label*="instruction" i]',
+        'textarea'
+    ],
+    CART_BUTTON: [
+        'button[aria-label*="cart" i]',
+        '::-p-aria([name="Cart"][role="button"])',
+        `::-p-xpath(.//button[starts-with(${TEXT}, "cart")])`
+    ],
+    CART_ITEMS: [
+        '[class*="OrderCartItem"]',
+        '[class*="CartItem"]'
+    ],
+    CART_ITEM_NAME: [
+        '[class*="ItemName"]'
+    ],
+    CART_ITEM_QUANTITY: [
+        'select',
+        '[class*="Quantity"]'
+    ],
+    CART_SUBTOTAL: [
+        labelledAmount('subtotal')
+    ],
+    CART_DELIVERY_FEE: [
+        labelledAmount('delivery fee')
+    ],
+    CART_SERVICE_FEE: [
+        labelledAmount('service fee')
+    ],
+    CART_TOTAL: [
+        labelledAmount('total'),
+        labelledAmount('estimated total')
+    ],
+    CHECKOUT_BUTTON: [
+        'button::-p-text(Checkout)',
+        `::-p-xpath(.//button[contains(${TEXT}, "checkout")])`
+    ],
+    ADDRESS_BUTTON: [
+        'button[aria-label*="address" i]',
+        '[data-anchor-id="AddressButton"]'
+    ],
+    ADDRESS_PICKER: [
+        '[aria-modal="true"]'
+    ],
+    ADDRESS_INPUT: [
+        'input[aria-label*="address" i]',
+        'input[autocomplete*="address"]'
+    ],
+    ADDRESS_OPTION: [
+        '[data-anchor-id="AddressOption"]',
+        'li[role="button"], li button'
+    ],
+    ADDRESS_CONFIRM_BUTTON: [
+        `::-p-xpath(.//button[${TEXT} = "save" or ${TEXT} = "confirm" or ${TEXT} = "done" or contains(${TEXT}, "save address")])`
+    ],
+    DELIVERY_TIME: [
+        `::-p-xpath(.//*[contains(${TEXT}, " min") and (contains(${TEXT}, "delivery") or contains(${TEXT}, "eta"))][not(.//*[contains(${TEXT}, " min")])])`
+    ],
+    // Any alert is a last resort: it may be about something else entirely
+    STORE_STATUS: [
+        containingText(['currently closed', 'store is closed', 'opens at', 'temporarily unavailable', 'paused',
+            'not accepting', 'too far', 'outside delivery', 'outside the delivery', 'deliver to your address']),
+        '[role="alert"]'
+    ],
+    LOGIN_MODAL: [
+        '[role="dialog"]:has(a[href*="/login"])',
+        `::-p-xpath(//*[@role="dialog"][.//button[contains(${TEXT}, "log in") or contains(${TEXT}, "sign in")]])`
+    ],
+    LOGIN_BUTTON: [
+        'button::-p-text(Log in)',
+        'button::-p-text(Sign in)',
+        `::-p-xpath(.//button[contains(${TEXT}, "log in") or contains(${TEXT}, "sign in")])`
     ]
 };
 
@@ -85,11 +254,13 @@ const TIMEOUTS = {
     ANIMATION: 500,
     MODAL_OPEN: 2000,
     SEARCH_RESULTS: 5000,
-    ADD_TO_CART: 3000
+    ADD_TO_CART: 3000,
+    SELECTOR_POLL: 250
 };
 
 module.exports = {
     SELECTORS,
     FALLBACK_SELECTORS,
+    STORE_STATUS_PATTERNS,
     TIMEOUTS
 };
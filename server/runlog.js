@@ -0,0 +1,225 @@
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const artifacts = require('./artifacts');
+const store = require('./store');
+
+/**
+ * Structured per-run execution log
+ * Messages still go to the terminal; during a job run they are also recorded with timestamps,
+ * the current step and any structured data, and saved to server/data/runs/<jobId>/log.json.
+ * The active log is tracked per async context, so jobs running side by side don't mix.
+ */
+
+const LOG_FILE = 'log.json';
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Create the log for one run
+ * @param {string} runId - Job ID
+ * @returns {object} Run log
+ */
+function createRunLog(runId) {
+    const startedAt = Date.now();
+    const seenSelectors = new Set();
+
+    const log = {
+        runId,
+        startedAt: new Date(startedAt).toISOString(),
+        finishedAt: null,
+        durationMs: null,
+        status: 'running',
+        error: null,
+        steps: [],
+        entries: []
+    };
+
+    /**
+     * Close the current step, recording how long it took
+     * A step already marked failed stays failed
+     * @param {string} status - 'ok', 'failed' or 'cancelled'
+     */
+    function endStep(status = 'ok') {
+        const current = log.steps[log.steps.length - 1];
+        if (!current || current.durationMs !== null) return;
+
+        current.durationMs = Date.now() - Date.parse(current.startedAt);
+        current.status = current.status === 'failed' ? 'failed' : status;
+    }
+
+    return {
+        log,
+
+        /**
+         * Start a named step, ending the previous one
+         * @param {string} name - Step name (e.g. 'navigate', 'item: Garlic Knots')
+         */
+        step(name) {
+            endStep();
+            log.steps.push({ name, startedAt: new Date().toISOString(), durationMs: null, status: null });
+            save(log);
+        },
+
+        /**
+         * Append an entry under the current step
+         * @param {string} level - 'debug', 'info', 'warn' or 'error'
+         * @param {string} message - Message
+         * @param {object} data - Structured details
+         */
+        add(level, message, data) {
+            const current = log.steps[log.steps.length - 1];
+            log.entries.push({
+                at: new Date().toISOString(),
+                elapsedMs: Date.now() - startedAt,
+                level,
+                step: current ? current.name : null,
+                message: message.trim(),
+                ...(data ? { data } : {})
+            });
+        },
+
+        /**
+         * Mark the current step as failed without ending it
+         */
+        failStep() {
+            const current = log.steps[log.steps.length - 1];
+            if (current) current.status = 'failed';
+        },
+
+        /**
+         * Record how a selector key resolved, once per step, key and outcome
+         * @param {string} key - Selector key
+         * @param {object} result - { candidate, index, fallback } on a match, { candidate: null, tried } on a miss
+         */
+        selector(key, result) {
+            const current = log.steps[log.steps.length - 1];
+            const id = `${current ? current.name : ''}|${key}|${result.candidate}`;
+            if (seenSelectors.has(id)) return;
+
+            seenSelectors.add(id);
+            this.add('debug', result.candidate
+                ? `Selector ${key} matched ${result.index === 0 ? 'primary' : `fallback #${result.index}`}`
+                : `Selector ${key} matched nothing`, { key, ...result });
+        },
+
+        /**
+         * Finish the run and save the log
+         * @param {string} status - Final job status
+         * @param {string|null} error - Error message if the run failed
+         */
+        finish(status, error = null) {
+            endStep(status === 'done' ? 'ok' : status);
+            log.status = status;
+            log.error = error;
+            log.finishedAt = new Date().toISOString();
+            log.durationMs = Date.now() - startedAt;
+            save(log);
+        }
+    };
+}
+
+/**
+ * Run a function with a run log as the active log
+ * @param {object} runLog - Log from createRunLog
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<any>} Whatever fn returns
+ */
+function run(runLog, fn) {
+    return context.run(runLog, fn);
+}
+
+/**
+ * Start a named step in the active run log
+ * @param {string} name - Step name
+ */
+function step(name) {
+    context.getStore()?.step(name);
+}
+
+/**
+ * Mark the active run log's current step as failed
+ */
+function failStep() {
+    context.getStore()?.failStep();
+}
+
+/**
+ * Log a message to the terminal and the active run log
+ * @param {string} message - Message
+ * @param {object} data - Structured details for the run log
+ */
+function info(message, data) {
+    console.log(message);
+    context.getStore()?.add('info', message, data);
+}
+
+/**
+ * Log a warning to the terminal and the active run log
+ * @param {string} message - Message
+ * @param {object} data - Structured details for the run log
+ */
+function warn(message, data) {
+    console.log(message);
+    context.getStore()?.add('warn', message, data);
+}
+
+/**
+ * Log an error to the terminal and the active run log
+ * @param {string} message - Message
+ * @param {Error|string} cause - Error or detail
+ * @param {object} data - Structured details for the run log
+ */
+function error(message, cause, data) {
+    const detail = cause?.message || cause || '';
+    console.error(message, detail);
+    context.getStore()?.add('error', detail ? `${message} ${detail}` : message, data);
+}
+
+/**
+ * Record details in the active run log only (too noisy for the terminal)
+ * @param {string} message - Message
+ * @param {object} data - Structured details
+ */
+function debug(message, data) {
+    context.getStore()?.add('debug', message, data);
+}
+
+/**
+ * Record a selector resolution in the active run log
+ * @param {string} key - Selector key
+ * @param {object} result - { candidate, index, fallback } on a match, { candidate: null, tried } on a miss
+ */
+function selector(key, result) {
+    context.getStore()?.selector(key, result);
+}
+
+/**
+ * Read a saved run log
+ * @param {string} runId - Job ID
+ * @returns {object|null} Log, or null if there is none
+ */
+function getRunLog(runId) {
+    if (!artifacts.isValidRunId(runId)) return null;
+    return store.readJson(path.join(artifacts.RUNS_DIR, runId, LOG_FILE), null);
+}
+
+/**
+ * Write a run log to disk
+ * @param {object} log - Log data
+ */
+function save(log) {
+    store.writeJson(path.join(artifacts.RUNS_DIR, log.runId, LOG_FILE), log);
+}
+
+module.exports = {
+    createRunLog,
+    run,
+    step,
+    failStep,
+    info,
+    warn,
+    error,
+    debug,
+    selector,
+    getRunLog
+};
@@ -0,0 +1,474 @@
+const crypto = require('crypto');
+const ScheduleTiming = require('../js/timing');
+const jobs = require('./jobs');
+const store = require('./store');
+
+/**
+ * Server-owned schedules
+ * The page syncs its schedules here, and a timer loop fires them whether or not a browser tab is open.
+ */
+
+const SCHEDULES_FILE = 'schedules.json';
+const CHECK_INTERVAL = 30000;
+
+// How late a trigger may still fire (e.g. after the machine wakes up); older ones are recorded as missed
+const GRACE_MS = (parseInt(process.env.SCHEDULE_GRACE_MINUTES, 10) || 30) * 60 * 1000;
+
+// Spending ledger ({ id, total, at }) of every order that left items in the cart, from any page or profile
+const state = store.readJson(SCHEDULES_FILE, { schedules: [], budget: {}, spending: [] });
+if (!state.spending) state.spending = [];
+
+let intervalId = null;
+
+/**
+ * Start the timer loop
+ */
+function start() {
+    if (intervalId) return;
+
+    intervalId = setInterval(checkDue, CHECK_INTERVAL);
+    checkDue();
+}
+
+/**
+ * Get all schedules
+ * @returns {Array} Schedules
+ */
+function list() {
+    return state.schedules;
+}
+
+/**
+ * Get the spending ledger budget caps are counted from
+ * @returns {Array} Entries ({ id, total, at })
+ */
+function getSpending() {
+    return state.spending;
+}
+
+/**
+ * Replace the schedule list with the page's copy
+ * Trigger history recorded here wins over the page's, so a stale tab can't re-fire a schedule
+ * @param {Array} incoming - Schedules from the page, each with its order request
+ * @param {object} budget - Budget caps ({ daily, weekly, monthly, onExceed })
+ * @param {Array} spending - Page's spending ledger, added to the one kept here
+ * @returns {Array} Merged schedules
+ */
+function sync(incoming, budget = {}, spending = []) {
+    const existing = new Map(state.schedules.map(schedule => [schedule.id, schedule]));
+
+    state.schedules = incoming.map(schedule => merge(schedule, existing.get(schedule.id)));
+    state.budget = budget;
+    recordSpending(new Date(), spending.filter(isSpendingEntry));
+    save();
+
+    return state.schedules;
+}
+
+/**
+ * Confirm or decline an order held for going over budget
+ * Unless the budget is set to block, an order over a cap waits here for the page to ask;
+ * one nobody answers is blocked once its retries would have given up.
+ * @param {string} id - Schedule ID
+ * @param {boolean} approve - Place the order anyway
+ * @returns {object|null} Updated schedule, or null if it has no held order
+ */
+function resolveHeld(id, approve) {
+    const schedule = state.schedules.find(s => s.id === id);
+    const stageState = schedule?.metadata.order;
+    if (stageState?.lastOutcome?.status !== 'held') return null;
+
+    const now = new Date();
+    if (approve) {
+        recordSpending(now);
+        recordAttempt(schedule, placeOrder(schedule, now, stageState.run, true), stageState.lastOutcome.dueAt, now);
+    } else {
+        block(schedule, `${stageState.lastOutcome.reason}; declined`, now);
+    }
+    save();
+
+    return schedule;
+}
+
+/**
+ * Merge the page's copy of a schedule with the one stored here
+ * @param {object} schedule - Schedule from the page
+ * @param {object} existing - Stored schedule, if any
+ * @returns {object} Merged schedule
+ */
+function merge(schedule, existing) {
+    const merged = {
+        ...schedule,
+        settings: { ...schedule.settings },
+        metadata: { ...schedule.metadata }
+    };
+
+    // Keep pending stages unless the timing changed; recalculating would skip one that is due right now
+    const unchanged = existing &&
+        existing.settings.enabled === merged.settings.enabled &&
+        JSON.stringify(timingOf(existing)) === JSON.stringify(timingOf(merged));
+
+    ScheduleTiming.STAGES.forEach(stage => {
+        const page = merged.metadata[stage] || {};
+        const ours = existing?.metadata[stage] || {};
+        const latest = new Date(ours.lastAt || 0) > new Date(page.lastAt || 0) ? ours : page;
+
+        merged.metadata[stage] = {
+            lastAt: latest.lastAt || null,
+            lastDueAt: ours.lastDueAt || null,
+            lastOutcome: ours.lastOutcome || null,
+            ...(stage === 'order' ? { lastJobId: ours.lastJobId || null, run: latestRun(page.run, ours.run) } : {}),
+            nextAt: unchanged
+                ? ours.nextAt || null
+                : ScheduleTiming.calculateStageTrigger(timingOf(merged), stage)
+        };
+    });
+
+    // A one-time schedule that already fired here stays off
+    if (merged.timing.type === 'once' && isFinished(merged) &&
+        ScheduleTiming.STAGES.some(stage => merged.metadata[stage].lastDueAt)) {
+        merged.settings.enabled = false;
+    }
+
+    return merged;
+}
+
+/**
+ * Fire every due stage and record the ones that were missed
+ * @param {Date} now - Current time
+ */
+function checkDue(now = new Date()) {
+    let changed = recordSpending(now);
+
+    state.schedules.forEach(schedule => {
+        if (checkHeld(schedule, now)) changed = true;
+        if (checkRun(schedule, now)) changed = true;
+
+        ScheduleTiming.STAGES.forEach(stage => {
+            const stageState = schedule.metadata[stage];
+
+            if (ScheduleTiming.isDue(schedule, stage, now, GRACE_MS)) {
+                fireStage(schedule, stage, now);
+                changed = true;
+            } else if (isMissed(schedule, stage, now)) {
+                console.log(`Schedule "${schedule.name}" missed its ${stageState.nextAt} ${stage}`);
+                stageState.lastOutcome = { status: 'missed', dueAt: stageState.nextAt, at: now.toISOString() };
+                advance(schedule, stage, now);
+                changed = true;
+            }
+        });
+    });
+
+    if (changed) save();
+}
+
+/**
+ * Fire a stage of a schedule: the reminder is recorded for the page to show, the order is queued
+ * Each stage keeps its own trigger state in the schedule's metadata; the reminder comes ahead of the order time.
+ * @param {object} schedule - Schedule
+ * @param {string} stage - 'reminder' or 'order'
+ * @param {Date} now - Current time
+ */
+function fireStage(schedule, stage, now) {
+    const stageState = schedule.metadata[stage];
+    const dueAt = stageState.nextAt;
+    stageState.lastAt = now.toISOString();
+    stageState.lastDueAt = dueAt;
+    advance(schedule, stage, now);
+
+    if (stage === 'reminder') {
+        stageState.lastOutcome = { status: 'reminded', dueAt, at: now.toISOString() };
+    } else {
+        const retrying = ScheduleTiming.getRetryPolicy(schedule.settings.retry).maxAttempts > 1;
+        stageState.run = retrying && schedule.order
+            ? { id: crypto.randomUUID(), attempt: 0, dueAt, items: schedule.order.items }
+            : null;
+        startAttempt(schedule, dueAt, now);
+    }
+}
+
+/**
+ * Block a held order nobody confirmed before its retries would have given up
+ * @param {object} schedule - Schedule
+ * @param {Date} now - Current time
+ * @returns {boolean} Whether the order was blocked
+ */
+function checkHeld(schedule, now) {
+    const outcome = schedule.metadata.order?.lastOutcome;
+    if (outcome?.status !== 'held') return false;
+    if (now <= ScheduleTiming.getRetryDeadline(schedule.settings.retry, outcome.dueAt)) return false;
+
+    console.log(`Schedule "${schedule.name}" over budget and not confirmed in time`);
+    block(schedule, `${outcome.reason}; not confirmed in time`, now);
+    return true;
+}
+
+/**
+ * Record a held order as blocked, ending its retry run
+ * @param {object} schedule - Schedule
+ * @param {string} reason - Why it was blocked
+ * @param {Date} now - Current time
+ */
+function block(schedule, reason, now) {
+    const stageState = schedule.metadata.order;
+    stageState.lastOutcome = { ...stageState.lastOutcome, status: 'blocked', reason, at: now.toISOString() };
+    if (stageState.run) Object.assign(stageState.run, { status: 'blocked', updatedAt: now.toISOString() });
+}
+
+/**
+ * Move a schedule's retry run on: see how a running attempt ended, or start one whose retry time came
+ * A run is one scheduled order across its attempts; each retry re-queues only the items earlier
+ * attempts didn't get into the cart, backing off until the retry policy gives up.
+ * @param {object} schedule - Schedule
+ * @param {Date} now - Current time
+ * @returns {boolean} Whether the run changed
+ */
+function checkRun(schedule, now) {
+    const run = schedule.metadata.order?.run;
+    if (run?.status === 'waiting' && new Date(run.retryAt) <= now) {
+        startAttempt(schedule, run.dueAt, now);
+        return true;
+    }
+    if (run?.status !== 'running') return false;
+
+    // An attempt the page started while this server was down; the page finishes it, unless it never came back
+    if (!run.jobId) {
+        if (now <= ScheduleTiming.getRetryDeadline(schedule.settings.retry, run.dueAt)) return false;
+        Object.assign(run, { status: 'gave-up', updatedAt: now.toISOString() });
+        return true;
+    }
+
+    const job = jobs.getJob(run.jobId);
+    if (job && !jobs.isFinished(job)) return false;
+
+    const remaining = job ? failedItems(job, run.items) : run.items;
+    const retryAt = ScheduleTiming.getRetryAt(schedule.settings.retry, run.attempt, run.dueAt, now);
+    Object.assign(run, { jobId: null, updatedAt: now.toISOString() });
+
+    if (job?.status === 'cancelled') {
+        run.status = 'cancelled';
+    } else if (!ScheduleTiming.isRetryable(job?.storeStatus)) {
+        console.log(`Schedule "${schedule.name}" not retried: ${job.error}`);
+        run.status = 'unavailable';
+    } else if (remaining.length === 0) {
+        run.status = 'done';
+    } else if (!retryAt) {
+        console.log(`Schedule "${schedule.name}" gave up after ${run.attempt} attempt(s)`);
+        run.status = 'gave-up';
+    } else {
+        console.log(`Schedule "${schedule.name}" will retry ${remaining.length} item(s) at ${retryAt}`);
+        Object.assign(run, { status: 'waiting', retryAt, items: remaining });
+    }
+    return true;
+}
+
+/**
+ * Queue an attempt at a schedule's order and record the outcome on its order stage
+ * With a retry run, only the run's remaining items are queued, and the run ends if nothing was queued.
+ * @param {object} schedule - Schedule
+ * @param {string} dueAt - ISO order time the attempt is for
+ * @param {Date} now - Current time
+ */
+function startAttempt(schedule, dueAt, now) {
+    const run = schedule.metadata.order.run;
+    if (run) Object.assign(run, { attempt: run.attempt + 1, retryAt: null, updatedAt: now.toISOString() });
+
+    recordAttempt(schedule, placeOrder(schedule, now, run), dueAt, now);
+}
+
+/**
+ * Record how an attempt at a schedule's order went on its order stage and retry run
+ * @param {object} schedule - Schedule
+ * @param {object} outcome - Outcome from placeOrder
+ * @param {string} dueAt - ISO order time the attempt is for
+ * @param {Date} now - Current time
+ */
+function recordAttempt(schedule, outcome, dueAt, now) {
+    const stageState = schedule.metadata.order;
+    const run = stageState.run;
+    stageState.lastJobId = outcome.jobId || null;
+    stageState.lastOutcome = {
+        ...outcome,
+        ...(run ? { runId: run.id, attempt: run.attempt, items: run.items } : {}),
+        dueAt,
+        at: now.toISOString()
+    };
+
+    if (run) {
+        run.jobId = outcome.jobId || null;
+        run.status = outcome.jobId ? 'running' : outcome.status;
+        run.updatedAt = now.toISOString();
+    }
+}
+
+/**
+ * Items of a finished job that didn't make it into the cart
+ * @param {object} job - Finished job
+ * @param {Array} items - Items the job was asked to add
+ * @returns {Array} Items to try again
+ */
+function failedItems(job, items) {
+    if (job.status === 'done') {
+        const results = job.result.items || [];
+        const cartCheck = job.result.cartCheck || [];
+        return items.filter((item, index) => !results[index]?.added || cartCheck[index]?.status === 'missing');
+    }
+
+    // The run stopped partway; what it added before that is in the cart
+    const added = new Set(job.events.filter(event => event.type === 'item-added').map(event => event.index));
+    return items.filter((item, index) => !added.has(index));
+}
+
+/**
+ * The more recently updated of two copies of a retry run
+ * The page moves a run on itself while this server is unreachable, so its copy can be the newer one.
+ * @param {object|null} page - Page's copy
+ * @param {object|null} ours - Copy stored here
+ * @returns {object|null} Run
+ */
+function latestRun(page, ours) {
+    if (!page || !ours) return ours || page || null;
+    return new Date(page.updatedAt) > new Date(ours.updatedAt) ? page : ours;
+}
+
+/**
+ * Queue a schedule's order unless it would go over budget
+ * Over budget, the order is blocked if the budget says so, and otherwise held for the page to confirm.
+ * @param {object} schedule - Schedule
+ * @param {Date} now - Current time
+ * @param {object|null} run - Retry run the order is an attempt of (only its remaining items are queued)
+ * @param {boolean} confirmed - The order was confirmed despite going over budget
+ * @returns {object} Outcome ({ status: 'queued', jobId }, or { status: 'blocked' | 'held' | 'skipped', reason })
+ */
+function placeOrder(schedule, now, run = null, confirmed = false) {
+    if (!schedule.order) {
+        console.log(`Schedule "${schedule.name}" has no valid order to place`);
+        return { status: 'skipped', reason: 'No valid order' };
+    }
+
+    const overruns = confirmed
+        ? []
+        : ScheduleTiming.getBudgetOverruns(schedule.estimatedCost || 0, state.budget || {}, state.spending, now);
+    if (overruns.length > 0) {
+        const reason = overruns
+            .map(o => `${o.cap} budget ($${o.spent.toFixed(2)} of $${o.limit.toFixed(2)} spent)`)
+            .join(', ');
+        if (state.budget?.onExceed === 'block') {
+            console.log(`Schedule "${schedule.name}" not ordered: over ${reason}`);
+            return { status: 'blocked', reason: `Over ${reason}` };
+        }
+        console.log(`Schedule "${schedule.name}" held for confirmation: over ${reason}`);
+        return { status: 'held', reason: `Over ${reason}` };
+    }
+
+    const job = jobs.enqueue(run ? { ...schedule.order, items: run.items } : schedule.order, {
+        favoriteId: schedule.favoriteId,
+        triggeredBy: 'schedule',
+        scheduleId: schedule.id,
+        scheduleName: schedule.name,
+        scheduledBy: 'server',
+        ...(run ? { runId: run.id, attempt: run.attempt } : {})
+    });
+
+    console.log(`Schedule "${schedule.name}" queued job ${job.id}`);
+    return { status: 'queued', jobId: job.id };
+}
+
+/**
+ * Move a stage on to its next time; a one-time schedule switches off once neither stage is left
+ * @param {object} schedule - Schedule
+ * @param {string} stage - 'reminder' or 'order'
+ * @param {Date} now - Current time
+ */
+function advance(schedule, stage, now) {
+    schedule.metadata[stage].nextAt = ScheduleTiming.calculateStageTrigger(timingOf(schedule), stage, now);
+
+    if (schedule.timing.type === 'once' && isFinished(schedule)) {
+        schedule.settings.enabled = false;
+    }
+}
+
+/**
+ * Whether no stage of a schedule is left to fire
+ * @param {object} schedule - Schedule
+ * @returns {boolean} Is finished
+ */
+function isFinished(schedule) {
+    return ScheduleTiming.STAGES.every(stage => !schedule.metadata[stage]?.nextAt);
+}
+
+/**
+ * Whether a stage passed too long ago to still fire
+ * @param {object} schedule - Schedule
+ * @param {string} stage - 'reminder' or 'order'
+ * @param {Date} now - Current time
+ * @returns {boolean} Is missed
+ */
+function isMissed(schedule, stage, now) {
+    const stageState = schedule.metadata[stage];
+    if (!schedule.settings.enabled || !stageState?.nextAt) return false;
+
+    const triggerTime = new Date(stageState.nextAt).getTime();
+    const lastFired = new Date(stageState.lastAt || 0).getTime();
+    return triggerTime <= now.getTime() - GRACE_MS && lastFired < triggerTime;
+}
+
+/**
+ * Add finished jobs to the spending ledger before they're pruned from the queue, and drop
+ * entries too old for any budget period
+ * The ledger is what budget caps count, here and on the page; each sync adds any order
+ * in the page's history that this server never saw finish.
+ * @param {Date} now - Current time
+ * @param {Array} reported - Page's entries; jobs seen finishing here win over them
+ * @returns {boolean} Whether the ledger changed
+ */
+function recordSpending(now, reported = []) {
+    const before = state.spending.length;
+    const finished = jobs.listJobs({ status: 'done' })
+        .map(job => ScheduleTiming.getSpendingEntry(job.id, job.result, job.finishedAt))
+        .filter(Boolean);
+    const windowStart = ScheduleTiming.getBudgetWindowStart(now);
+
+    const merged = ScheduleTiming.mergeSpending(state.spending, finished, reported);
+    state.spending = merged.filter(entry => new Date(entry.at) >= windowStart);
+    return merged.length !== before || state.spending.length !== merged.length;
+}
+
+/**
+ * Whether a spending entry from the page is well formed
+ * @param {object} entry - Entry
+ * @returns {boolean} Is valid
+ */
+function isSpendingEntry(entry) {
+    return Boolean(entry?.id) && typeof entry.total === 'number' && !isNaN(Date.parse(entry.at));
+}
+
+/**
+ * Timing fields a schedule's stages are calculated from
+ * @param {object} schedule - Schedule
+ * @returns {object} Timing data for ScheduleTiming.calculateStageTrigger
+ */
+function timingOf(schedule) {
+    return {
+        ...schedule.timing,
+        startDate: ScheduleTiming.getStartDate(schedule.timing, schedule.metadata.createdAt),
+        reminderMinutesBefore: schedule.settings.reminderMinutesBefore,
+        autoOpen: schedule.settings.autoOpen
+    };
+}
+
+/**
+ * Persist schedules and budget
+ */
+function save() {
+    store.writeJson(SCHEDULES_FILE, state);
+}
+
+module.exports = {
+    start,
+    list,
+    sync,
+    resolveHeld,
+    getSpending,
+    checkDue
+};
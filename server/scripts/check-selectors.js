@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+const { checkSelectors } = require('../puppeteer/selectorcheck');
+
+/**
+ * Selector health check from the command line
+ * Usage: npm run check-selectors -- <store URL | saved-page.html>
+ * Exits with status 1 when a selector every store page needs matches nothing
+ */
+
+async function main() {
+    const target = process.argv[2];
+    if (!target) {
+        console.error('Usage: npm run check-selectors -- <store URL | saved-page.html>');
+        process.exit(2);
+    }
+
+    const source = /^https?:\/\//i.test(target)
+        ? { url: target }
+        : { html: fs.readFileSync(path.resolve(target), 'utf8') };
+
+    console.log(`Checking selectors against ${source.url || target}...\n`);
+    const result = await checkSelectors(source);
+
+    const width = Math.max(...result.keys.map(k => k.key.length));
+    result.keys.forEach(k => {
+        const mark = k.matched ? '✓' : (k.required ? '✗' : '-');
+        const detail = k.matched
+            ? `${k.count} found${k.fallback ? ` via fallback #${k.index}: ${k.candidate}` : ''}`
+            : (k.required ? 'no match' : 'no match (only shown in modals/flows)');
+        console.log(`${mark} ${k.key.padEnd(width)}  ${detail}`);
+        k.invalid.forEach(candidate => console.log(`  ! invalid selector: ${candidate}`));
+    });
+
+    console.log(`\nSelectors ${result.status === 'ok' ? 'OK' : 'DEGRADED'}`);
+    if (result.missing.length > 0) {
+        console.log(`Missing: ${result.missing.join(', ')}`);
+    }
+    if (result.fallbacks.length > 0) {
+        console.log(`Using fallbacks: ${result.fallbacks.join(', ')}`);
+    }
+
+    process.exit(result.status === 'ok' ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error('Selector check failed:', error.message);
+    process.exit(2);
+});
@@ -1,13 +1,25 @@
 const express = require('express');
 const cors = require('cors');
-const { automateOrder } = require('./puppeteer/autoorder');
+const jobs = require('./jobs');
+const schedules = require('./schedules');
+const artifacts = require('./artifacts');
+const runlog = require('./runlog');
+const selectorCheck = require('./puppeteer/selectorcheck');
+const allowlist = require('./allowlist');
+const ICal = require('../js/ical');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Saved store pages for selector checks can be a few MB
+app.use(express.json({ limit: '10mb' }));
+
+// Mock storefront for end-to-end runs
+if (allowlist.TEST_MODE) {
+    app.use('/mock', require('./mock/router'));
+}
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -15,60 +27,336 @@ app.get('/api/health', (req, res) => {
 });
 
 // Order automation endpoint
-app.post('/api/order', async (req, res) => {
-    const { storeUrl, storeName, items, specialInstructions, options } = req.body;
-
-    // Validate request
-    if (!storeUrl) {
-        return res.status(400).json({ error: 'Store URL is required' });
-    }
-
-    // Validate URL format
-    try {
-        const url = new URL(storeUrl);
-        if (!url.hostname.includes('doordash.com')) {
-            return res.status(400).json({ error: 'Invalid DoorDash URL' });
-        }
-    } catch (e) {
-        return res.status(400).json({ error: 'Invalid URL format' });
+app.post('/api/order', (req, res) => {
+    const { error, order } = normalizeOrder(req.body);
+    if (error) {
+        return res.status(400).json({ error });
     }
 
-    const headless = options?.headless || false;
-    const chromeProfile = options?.chromeProfile || null;
-    const deliveryAddress = options?.deliveryAddress || null;
+    const { storeUrl, storeName, items } = order;
+    const { headless, chromeProfile, deliveryAddress, matchThreshold, captureEveryStep } = order.options;
 
     console.log(`\n${'='.repeat(50)}`);
     console.log(`Order automation requested`);
     console.log(`Store: ${storeName || 'Unknown'}`);
     console.log(`URL: ${storeUrl}`);
-    console.log(`Items: ${items?.length || 0}`);
+    console.log(`Items: ${items.length}`);
     console.log(`Mode: ${headless ? 'headless' : 'visible'}`);
     if (chromeProfile) console.log(`Chrome profile: ${chromeProfile}`);
-    if (deliveryAddress) console.log(`Delivery address: ${deliveryAddress}`);
+    if (deliveryAddress) console.log(`Delivery address: ${deliveryAddress.address}`);
+    if (matchThreshold) console.log(`Match threshold: ${matchThreshold}`);
+    if (captureEveryStep) console.log('Capturing every step');
     console.log(`${'='.repeat(50)}\n`);
 
+    const job = jobs.enqueue(order, req.body.source || {});
+
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status
+    });
+});
+
+// Job queue listing
+app.get('/api/jobs', (req, res) => {
+    const list = jobs.listJobs({ status: req.query.status });
+    res.json({ jobs: list.map(jobs.toPublicJob) });
+});
+
+// Job status endpoint
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(jobs.toPublicJob(job));
+});
+
+// Cancel a queued or running job
+app.delete('/api/jobs/:id', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (jobs.isFinished(job)) {
+        return res.status(409).json({ error: `Job already ${job.status}` });
+    }
+
+    jobs.cancelJob(job.id);
+    res.status(202).json(jobs.toPublicJob(job));
+});
+
+// Job progress stream (Server-Sent Events)
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+        res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+        if (jobs.isTerminalEvent(event)) {
+            res.end();
+        }
+    };
+
+    // Replay events the client missed (all of them on first connect)
+    const lastEventId = parseInt(req.headers['last-event-id'], 10) || 0;
+    const missed = job.events.filter(event => event.id > lastEventId);
+    missed.forEach(send);
+
+    if (missed.some(event => jobs.isTerminalEvent(event))) {
+        return;
+    }
+
+    const unsubscribe = jobs.subscribe(job.id, send);
+    req.on('close', unsubscribe);
+});
+
+// Schedules fired by the server
+app.get('/api/schedules', (req, res) => {
+    res.json({ schedules: schedules.list() });
+});
+
+// Replace the schedule list with the page's copy; returns the merged list with trigger state, and the spending ledger
+app.put('/api/schedules', (req, res) => {
+    if (!Array.isArray(req.body.schedules)) {
+        return res.status(400).json({ error: 'Schedules are required' });
+    }
+
+    const invalid = req.body.schedules.find(schedule => !schedule?.id || !schedule.timing || !schedule.settings);
+    if (invalid) {
+        return res.status(400).json({ error: `Invalid schedule: ${invalid?.name || invalid?.id || 'unnamed'}` });
+    }
+
+    // A schedule whose order doesn't validate still reminds, it just can't auto-order
+    const incoming = req.body.schedules.map(schedule => ({
+        ...schedule,
+        metadata: schedule.metadata || {},
+        order: schedule.order ? normalizeOrder(schedule.order).order || null : null
+    }));
+
+    const spending = Array.isArray(req.body.spending) ? req.body.spending : [];
+    res.json({
+        schedules: schedules.sync(incoming, req.body.budget || {}, spending),
+        spending: schedules.getSpending()
+    });
+});
+
+// Place or drop a scheduled order held for going over budget ({ approve })
+app.post('/api/schedules/:id/confirm', (req, res) => {
+    const schedule = schedules.resolveHeld(req.params.id, req.body.approve === true);
+    if (!schedule) {
+        return res.status(409).json({ error: 'No order is waiting for confirmation' });
+    }
+
+    res.json({ schedule });
+});
+
+// Calendar feed of scheduled orders; follows the schedules the page last synced
+app.get('/api/calendar.ics', (req, res) => {
+    res.type('text/calendar')
+        .set('Content-Disposition', 'inline; filename="scheduled-orders.ics"')
+        .send(ICal.buildFeed(schedules.list()));
+});
+
+// Structured execution log of a run (saved as it goes, so running jobs have a partial log)
+app.get('/api/runs/:id/log', (req, res) => {
+    const log = runlog.getRunLog(req.params.id);
+    if (!log) {
+        return res.status(404).json({ error: 'No log for this run' });
+    }
+
+    res.json(log);
+});
+
+// Screenshots and HTML snapshots captured during a run
+app.get('/api/artifacts/:jobId', (req, res) => {
+    const job = jobs.getJob(req.params.jobId);
+    const files = artifacts.listArtifacts(req.params.jobId);
+    if (!job && files.length === 0) {
+        return res.status(404).json({ error: 'No artifacts for this job' });
+    }
+
+    res.json({ jobId: req.params.jobId, artifacts: job?.artifacts || [], files });
+});
+
+app.get('/api/artifacts/:jobId/:file', (req, res) => {
+    const filePath = artifacts.getArtifactPath(req.params.jobId, req.params.file);
+    if (!filePath) {
+        return res.status(404).json({ error: 'Artifact not found' });
+    }
+
+    // Snapshots are third-party pages; show them without letting their scripts run on this origin
+    if (filePath.endsWith('.html')) {
+        res.set('Content-Security-Policy', 'sandbox');
+    }
+    res.sendFile(filePath);
+});
+
+// Selector health check - only one browser check at a time
+let runningSelectorCheck = null;
+
+app.post('/api/selectors/check', async (req, res) => {
+    const { storeUrl, html } = req.body;
+
+    if (!html) {
+        if (!storeUrl) {
+            return res.status(400).json({ error: 'Store URL or HTML snapshot is required' });
+        }
+
+        const urlError = validateStoreUrl(storeUrl);
+        if (urlError) {
+            return res.status(400).json({ error: urlError });
+        }
+    }
+
+    if (runningSelectorCheck) {
+        return res.status(409).json({ error: 'A selector check is already running' });
+    }
+
+    console.log(`Checking selectors against ${html ? 'HTML snapshot' : storeUrl}`);
+
+    try {
+        runningSelectorCheck = selectorCheck.checkSelectors({ url: storeUrl, html });
+        const result = await runningSelectorCheck;
+        console.log(`Selector check: ${result.status}${result.missing.length ? ` (missing: ${result.missing.join(', ')})` : ''}`);
+        res.json(result);
+    } catch (error) {
+        console.error('Selector check error:', error);
+        res.status(500).json({ error: error.message || 'Selector check failed' });
+    } finally {
+        runningSelectorCheck = null;
+    }
+});
+
+// Latest selector check result
+app.get('/api/selectors/check', (req, res) => {
+    const result = selectorCheck.getLastCheck();
+    if (!result) {
+        return res.status(404).json({ error: 'No selector check has run yet' });
+    }
+
+    res.json(result);
+});
+
+/**
+ * Validate a DoorDash store URL
+ * @param {string} storeUrl - URL to check
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateStoreUrl(storeUrl) {
     try {
-        const result = await automateOrder({
+        const url = new URL(storeUrl);
+        if (!allowlist.isAllowedHost(url.hostname)) {
+            return 'Invalid DoorDash URL';
+        }
+    } catch (e) {
+        return 'Invalid URL format';
+    }
+    return null;
+}
+
+/**
+ * Validate and normalize an order request
+ * @param {object} body - Order request ({ storeUrl, storeName, items, specialInstructions, options })
+ * @returns {object} { order } on success, { error } if the request is invalid
+ */
+function normalizeOrder(body) {
+    const { storeUrl, storeName, items, specialInstructions, options } = body;
+
+    if (!storeUrl) {
+        return { error: 'Store URL is required' };
+    }
+
+    const urlError = validateStoreUrl(storeUrl);
+    if (urlError) {
+        return { error: urlError };
+    }
+
+    return {
+        order: {
             storeUrl,
             storeName,
-            items: items || [],
+            items: (items || []).map(normalizeItem).filter(item => item.name),
             specialInstructions: specialInstructions || '',
-            options: { headless, chromeProfile, deliveryAddress }
-        });
-
-        res.json({
-            success: true,
-            message: result.message || 'Order automation completed',
-            itemsAdded: result.itemsAdded || 0
-        });
-    } catch (error) {
-        console.error('Automation error:', error);
-        res.status(500).json({
-            error: error.message || 'Automation failed',
-            details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-        });
+            options: {
+                headless: options?.headless || false,
+                chromeProfile: options?.chromeProfile || null,
+                deliveryAddress: normalizeAddress(options?.deliveryAddress),
+                matchThreshold: normalizeThreshold(options?.matchThreshold),
+                captureEveryStep: options?.captureEveryStep === true
+            }
+        }
+    };
+}
+
+/**
+ * Normalize an order item to { name, quantity, instructions, options, substitutes }
+ * Accepts plain item names sent by older clients
+ * @param {string|object} item - Item name or item object
+ * @returns {object} Normalized item
+ */
+function normalizeItem(item) {
+    if (typeof item === 'string') {
+        return { name: item.trim(), quantity: 1 };
     }
-});
+
+    const options = Array.isArray(item?.options) ? item.options : [];
+    const substitutes = Array.isArray(item?.substitutes) ? item.substitutes : [];
+
+    return {
+        name: String(item?.name || '').trim(),
+        quantity: Math.min(99, Math.max(1, parseInt(item?.quantity, 10) || 1)),
+        instructions: String(item?.instructions || '').trim(),
+        options: options
+            .map(option => ({
+                group: String(option?.group || '').trim() || null,
+                choice: String(option?.choice || '').trim()
+            }))
+            .filter(option => option.choice),
+        substitutes: substitutes
+            .map(name => String(name || '').trim())
+            .filter(name => name)
+    };
+}
+
+/**
+ * Normalize a delivery address to { label, address }
+ * Accepts the plain address string sent by older clients
+ * @param {string|object} value - Address string or saved address
+ * @returns {object|null} Normalized address or null
+ */
+function normalizeAddress(value) {
+    if (!value) return null;
+
+    if (typeof value === 'string') {
+        return value.trim() ? { label: null, address: value.trim() } : null;
+    }
+
+    const address = String(value.address || '').trim();
+    return address ? { label: String(value.label || '').trim() || null, address } : null;
+}
+
+/**
+ * Normalize a name match threshold
+ * @param {number|string} value - Requested threshold
+ * @returns {number|null} Threshold between 0.3 and 1, or null to use the server default
+ */
+function normalizeThreshold(value) {
+    const threshold = parseFloat(value);
+    if (Number.isNaN(threshold)) return null;
+    return Math.min(1, Math.max(0.3, threshold));
+}
 
 // Start server
 app.listen(PORT, () => {
@@ -77,6 +365,13 @@ app.listen(PORT, () => {
     console.log(`${'='.repeat(50)}`);
     console.log(`Server running on http://localhost:${PORT}`);
     console.log(`Health check: http://localhost:${PORT}/api/health`);
+    console.log(`Schedules: ${schedules.list().length} (checked every 30 seconds)`);
+    if (allowlist.TEST_MODE) {
+        console.log(`Test mode: mock store at http://localhost:${PORT}/mock/store/test-pizzeria`);
+    }
     console.log(`\nWaiting for order requests...`);
     console.log(`${'='.repeat(50)}\n`);
+
+    jobs.start();
+    schedules.start();
 });
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * JSON file persistence for server-side state
+ * Files live in server/data (override with DATA_DIR)
+ */
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+/**
+ * Resolve a path inside the data directory, creating parent folders
+ * @param {...string} parts - Path segments relative to the data directory
+ * @returns {string} Absolute path
+ */
+function dataPath(...parts) {
+    const filePath = path.join(DATA_DIR, ...parts);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    return filePath;
+}
+
+/**
+ * Read a JSON file from the data directory
+ * @param {string} name - File name (e.g. 'jobs.json')
+ * @param {any} fallback - Value to return if the file is missing or invalid
+ * @returns {any} Parsed data or fallback
+ */
+function readJson(name, fallback = null) {
+    try {
+        return JSON.parse(fs.readFileSync(dataPath(name), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Error reading ${name}:`, error.message);
+        }
+        return fallback;
+    }
+}
+
+/**
+ * Write a JSON file to the data directory
+ * Writes to a temp file first so a crash never leaves a half-written file
+ * @param {string} name - File name (e.g. 'jobs.json')
+ * @param {any} value - Data to store
+ * @returns {boolean} Success status
+ */
+function writeJson(name, value) {
+    try {
+        const filePath = dataPath(name);
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(value, null, 2));
+        fs.renameSync(tmpPath, filePath);
+        return true;
+    } catch (error) {
+        console.error(`Error writing ${name}:`, error.message);
+        return false;
+    }
+}
+
+module.exports = {
+    DATA_DIR,
+    dataPath,
+    readJson,
+    writeJson
+};
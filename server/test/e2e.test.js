@@ -0,0 +1,322 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const puppeteer = require('puppeteer');
+
+/**
+ * End-to-end runs of the add-to-cart flow against the mock storefront
+ * Starts the server in TEST_MODE with a throwaway data directory, queues orders through the
+ * REST API and checks what ended up in the mock cart. Skipped where no browser can be launched.
+ */
+
+const PORT = process.env.E2E_PORT || 3101;
+const BASE_URL = `http://localhost:${PORT}`;
+const STORE_URL = `${BASE_URL}/mock/store/test-pizzeria`;
+const JOB_TIMEOUT = 180000;
+
+const SCENARIOS = [
+    {
+        name: 'search: adds items with quantity, options, notes, address and cart instructions',
+        order: {
+            storeUrl: STORE_URL,
+            items: [
+                {
+                    name: 'Margherita Pizza',
+                    quantity: 2,
+                    options: [{ group: 'Size', choice: 'Large' }, { group: 'Extra Toppings', choice: 'Basil' }],
+                    instructions: 'Well done'
+                },
+                { name: 'Garlic Knots', quantity: 1 }
+            ],
+            specialInstructions: 'Ring the bell',
+            options: { deliveryAddress: { label: 'Home', address: '123 Main St, Springfield, IL 62701' } }
+        },
+        check(job, cart) {
+            assert.strictEqual(job.status, 'done');
+            assert.strictEqual(job.result.itemsAdded, 2);
+            assert.strictEqual(job.result.items[0].matchedName, 'Margherita Pizza');
+            assert.strictEqual(job.result.addressApplied, true);
+            assert.strictEqual(job.result.instructionsApplied, true);
+            assert.strictEqual(job.result.itemsVerified, 2);
+            assert.deepStrictEqual(job.result.cartCheck.map(entry => [entry.name, entry.status, entry.cartQuantity]), [
+                ['Margherita Pizza', 'verified', 2],
+                ['Garlic Knots', 'verified', 1]
+            ]);
+            assert.deepStrictEqual(job.result.totals, { subtotal: 43, deliveryFee: 2.99, serviceFee: 6.45, total: 52.44 });
+            assert.deepStrictEqual(job.result.eta, { text: '25-35 min', minMinutes: 25, maxMinutes: 35 });
+
+            const pizza = cart.items.find(item => item.name === 'Margherita Pizza');
+            assert.ok(pizza, 'Margherita Pizza in cart');
+            assert.strictEqual(pizza.quantity, 2);
+            assert.deepStrictEqual(pizza.options, [
+                { group: 'Size', choice: 'Large' },
+                { group: 'Extra Toppings', choice: 'Basil' }
+            ]);
+            assert.strictEqual(pizza.instructions, 'Well done');
+            assert.ok(cart.items.some(item => item.name === 'Garlic Knots'), 'Garlic Knots in cart');
+            assert.strictEqual(cart.instructions, 'Ring the bell');
+            assert.strictEqual(cart.address, '123 Main St, Springfield, IL 62701');
+        }
+    },
+    {
+        name: 'scroll: finds an item that only loads further down the menu',
+        order: {
+            storeUrl: `${STORE_URL}?search=off`,
+            items: [{ name: 'Tiramisu', quantity: 1 }]
+        },
+        check(job, cart) {
+            assert.strictEqual(job.status, 'done');
+            assert.strictEqual(job.result.itemsAdded, 1);
+            assert.deepStrictEqual(cart.items.map(item => item.name), ['Tiramisu']);
+        }
+    },
+    {
+        name: 'ranks the exact name above a longer one listed first',
+        order: {
+            storeUrl: STORE_URL,
+            items: [{ name: 'Caesar Salad', quantity: 1 }]
+        },
+        check(job, cart) {
+            assert.strictEqual(job.status, 'done');
+            assert.strictEqual(job.result.items[0].matchedName, 'Caesar Salad');
+            assert.strictEqual(job.result.items[0].matchScore, 1);
+            assert.deepStrictEqual(cart.items.map(item => item.name), ['Caesar Salad']);
+        }
+    },
+    {
+        name: 'cart check flags lines that were already in the cart',
+        cart: [{ name: 'Lemonade', quantity: 3 }],
+        order: {
+            storeUrl: STORE_URL,
+            items: [{ name: 'Garlic Knots', quantity: 1 }]
+        },
+        check(job) {
+            assert.strictEqual(job.status, 'done');
+            assert.strictEqual(job.result.itemsVerified, 1);
+            assert.deepStrictEqual(job.result.cartCheck.map(entry => [entry.name, entry.status, entry.cartQuantity]), [
+                ['Garlic Knots', 'verified', 1],
+                ['Lemonade', 'unexpected', 3]
+            ]);
+        }
+    },
+    {
+        name: 'reports items that are not on the menu',
+        order: {
+            storeUrl: STORE_URL,
+            items: [{ name: 'Sushi Platter', quantity: 1 }]
+        },
+        check(job, cart) {
+            assert.strictEqual(job.status, 'done');
+            assert.strictEqual(job.result.itemsAdded, 0);
+            assert.strictEqual(job.result.items[0].added, false);
+            assert.strictEqual(job.result.cartCheck[0].status, 'missing');
+            assert.strictEqual(cart.items.length, 0);
+        }
+    },
+    {
+        name: 'refuses to add an item with a required option left unset',
+        order: {
+            storeUrl: STORE_URL,
+            items: [{ name: 'Build Your Own Bowl', quantity: 1, options: [{ group: 'Base', choice: 'Noodles' }] }]
+        },
+        check(job, cart) {
+            assert.strictEqual(job.status, 'done');
+            assert.strictEqual(job.result.itemsAdded, 0);
+            assert.match(job.result.items[0].error, /Required option not satisfied: Base/);
+            assert.deepStrictEqual(job.result.items[0].optionsMissing, ['Base: Noodles']);
+            assert.strictEqual(cart.items.length, 0);
+        }
+    },
+    {
+        name: 'falls back through substitutes when an item is sold out',
+        order: {
+            storeUrl: STORE_URL,
+            items: [{
+                name: 'Calzone',
+                quantity: 1,
+                options: [{ group: 'Size', choice: 'Large' }],
+                substitutes: ['Stromboli', 'Pepperoni Pizza']
+            }]
+        },
+        check(job, cart) {
+            assert.strictEqual(job.status, 'done');
+            assert.strictEqual(job.result.itemsAdded, 1);
+            assert.strictEqual(job.result.items[0].soldOut, true);
+            assert.strictEqual(job.result.items[0].substitute, 'Pepperoni Pizza');
+            assert.deepStrictEqual(job.result.items[0].substitutesSkipped, ['Stromboli']);
+            assert.strictEqual(job.result.cartCheck[0].status, 'verified');
+            assert.deepStrictEqual(cart.items.map(item => [item.name, item.options]), [
+                ['Pepperoni Pizza', [{ group: 'Size', choice: 'Large' }]]
+            ]);
+        }
+    },
+    {
+        name: 'reports a sold-out item without substitutes',
+        order: {
+            storeUrl: STORE_URL,
+            items: [{ name: 'Calzone', quantity: 1 }]
+        },
+        check(job, cart) {
+            assert.strictEqual(job.status, 'done');
+            assert.strictEqual(job.result.items[0].added, false);
+            assert.strictEqual(job.result.items[0].soldOut, true);
+            assert.strictEqual(job.result.items[0].matchedName, 'Calzone');
+            assert.strictEqual(cart.items.length, 0);
+        }
+    },
+    {
+        name: 'stops before searching when the store is closed',
+        order: {
+            storeUrl: `${STORE_URL}?status=closed`,
+            items: [{ name: 'Garlic Knots', quantity: 1 }]
+        },
+        check(job, cart) {
+            assert.strictEqual(job.status, 'failed');
+            assert.strictEqual(job.storeStatus, 'store_closed');
+            assert.match(job.error, /currently closed/);
+            assert.strictEqual(cart.items.length, 0);
+        }
+    },
+    {
+        name: 'tells an address outside the delivery range from a closed store',
+        order: {
+            storeUrl: `${STORE_URL}?status=out-of-range`,
+            items: [{ name: 'Garlic Knots', quantity: 1 }]
+        },
+        check(job) {
+            assert.strictEqual(job.status, 'failed');
+            assert.strictEqual(job.storeStatus, 'out_of_range');
+        }
+    },
+    {
+        name: 'fails headless runs that hit the login prompt',
+        order: {
+            storeUrl: `${STORE_URL}?login=required`,
+            items: [{ name: 'Garlic Knots', quantity: 1 }]
+        },
+        check(job) {
+            assert.strictEqual(job.status, 'failed');
+            assert.match(job.error, /Login required/);
+        }
+    }
+];
+
+test('add-to-cart flow against the mock storefront', async (t) => {
+    const unavailable = await browserUnavailable();
+    if (unavailable) {
+        t.skip(`no browser to run in (${unavailable})`);
+        return;
+    }
+
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dd-e2e-'));
+    const server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: { ...process.env, TEST_MODE: '1', PORT: String(PORT), DATA_DIR: dataDir },
+        stdio: process.env.E2E_VERBOSE ? 'inherit' : 'ignore'
+    });
+
+    try {
+        await waitForServer();
+
+        for (const scenario of SCENARIOS) {
+            await t.test(scenario.name, async () => {
+                await request('DELETE', '/mock/api/cart');
+                for (const item of scenario.cart || []) {
+                    await request('POST', '/mock/api/cart/items', item);
+                }
+                const job = await runOrder(scenario.order);
+                const cart = await request('GET', '/mock/api/cart');
+                try {
+                    scenario.check(job, cart);
+                } catch (error) {
+                    if (job.error) error.message += `\nJob error: ${job.error.split('\n')[0]}`;
+                    throw error;
+                }
+            });
+        }
+    } finally {
+        server.kill();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+/**
+ * Why a headless browser can't be launched here, if it can't
+ * @returns {Promise<string|null>} First line of the launch error, or null if a browser started
+ */
+async function browserUnavailable() {
+    try {
+        const browser = await puppeteer.launch({ headless: 'new' });
+        await browser.close();
+        return null;
+    } catch (error) {
+        return error.message.split('\n')[0];
+    }
+}
+
+/**
+ * Queue an order headless and wait for the job to finish
+ * @param {object} order - Order request body
+ * @returns {Promise<object>} Finished job
+ */
+async function runOrder(order) {
+    const { jobId } = await request('POST', '/api/order', {
+        ...order,
+        options: { ...order.options, headless: true }
+    });
+
+    const deadline = Date.now() + JOB_TIMEOUT;
+    while (Date.now() < deadline) {
+        const job = await request('GET', `/api/jobs/${jobId}`);
+        if (['done', 'failed', 'cancelled'].includes(job.status)) return job;
+        await delay(1000);
+    }
+
+    throw new Error(`Job ${jobId} did not finish within ${JOB_TIMEOUT / 1000}s`);
+}
+
+/**
+ * Wait for the server's health check to answer
+ */
+async function waitForServer() {
+    for (let i = 0; i < 50; i++) {
+        try {
+            await request('GET', '/api/health');
+            return;
+        } catch (e) {
+            await delay(200);
+        }
+    }
+    throw new Error('Server did not start');
+}
+
+/**
+ * Call the test server
+ * @param {string} method - HTTP method
+ * @param {string} route - Path
+ * @param {object} body - JSON body
+ * @returns {Promise<object>} Parsed response
+ */
+async function request(method, route, body) {
+    const response = await fetch(`${BASE_URL}${route}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || `${method} ${route} failed with ${response.status}`);
+    }
+    return data;
+}
+
+/**
+ * Simple delay helper
+ * @param {number} ms - Milliseconds to wait
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
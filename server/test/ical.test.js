@@ -0,0 +1,195 @@
+const { describe, test } = require('node:test');
+const assert = require('assert');
+const ICal = require('../../js/ical');
+
+/**
+ * ICS feed output and holiday-list parsing
+ */
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+/**
+ * A schedule as the page syncs it to the server
+ * @param {object} timing - Timing fields
+ * @param {object} fields - Other fields to override
+ * @returns {object} Schedule
+ */
+function makeSchedule(timing, fields = {}) {
+    return {
+        id: 'sched-1',
+        name: 'Lunch',
+        favoriteName: 'Usual',
+        timing: { timeZone: 'America/New_York', skipDates: [], ...timing },
+        settings: { enabled: true, reminderMinutesBefore: 15 },
+        metadata: { createdAt: '2026-02-20T12:00:00.000Z' },
+        order: {
+            storeName: 'Test Pizzeria',
+            storeUrl: 'https://www.doordash.com/store/test-pizzeria-123/',
+            items: [{ name: 'Margherita Pizza', quantity: 2, options: [{ group: 'Size', choice: 'Large' }] }]
+        },
+        ...fields
+    };
+}
+
+/**
+ * Unfolded lines of the first event in a feed
+ * @param {string} feed - ICS text
+ * @returns {Array<string>} Event lines
+ */
+function eventLines(feed) {
+    const lines = ICal.unfold(feed);
+    return lines.slice(lines.indexOf('BEGIN:VEVENT'), lines.indexOf('END:VEVENT') + 1);
+}
+
+describe('buildFeed', () => {
+    test('writes a recurring schedule as a weekly repeating event', () => {
+        const feed = ICal.buildFeed([makeSchedule({ type: 'recurring', daysOfWeek: [1, 3], time: '12:00' })], NOW);
+        const lines = eventLines(feed);
+
+        assert.ok(feed.startsWith('BEGIN:VCALENDAR\r\n'));
+        assert.ok(feed.endsWith('END:VCALENDAR\r\n'));
+        assert.ok(lines.includes('UID:sched-1@doordash-scheduler'));
+        assert.ok(lines.includes('DTSTART;TZID=America/New_York:20260223T120000'));
+        assert.ok(lines.includes('RRULE:FREQ=WEEKLY;BYDAY=MO,WE'));
+        assert.ok(lines.includes('SUMMARY:Usual from Test Pizzeria'));
+        assert.ok(lines.includes('TRIGGER:-PT15M'));
+        assert.ok(lines.some(line => line.includes('2× Margherita Pizza (Size: Large)')));
+    });
+
+    test('lists skipped order times as EXDATEs', () => {
+        const schedule = makeSchedule({
+            type: 'recurring',
+            daysOfWeek: [1],
+            time: '12:00',
+            skipDates: [{ start: '2026-03-09', end: '2026-03-10' }]
+        });
+        assert.ok(eventLines(ICal.buildFeed([schedule], NOW)).includes('EXDATE:20260309T160000Z'));
+    });
+
+    test('writes an exclusion rule out as EXDATEs instead of an EXRULE', () => {
+        const schedule = makeSchedule({
+            type: 'advanced',
+            rrule: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+            exrule: 'FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1',
+            times: ['12:00'],
+            startDate: '2026-03-01'
+        });
+        const lines = eventLines(ICal.buildFeed([schedule], NOW));
+        const exdates = lines.find(line => line.startsWith('EXDATE:')).slice('EXDATE:'.length).split(',');
+
+        assert.ok(!lines.some(line => line.startsWith('EXRULE')));
+        // The last business days of March and April, at 12:00 EDT
+        assert.ok(exdates.includes('20260331T160000Z'));
+        assert.ok(exdates.includes('20260430T160000Z'));
+        assert.ok(!exdates.includes('20260330T160000Z'));
+    });
+
+    test('defines each timezone it uses, with its DST changes', () => {
+        const feed = ICal.buildFeed([makeSchedule({ type: 'recurring', daysOfWeek: [1], time: '12:00' })], NOW);
+        const lines = ICal.unfold(feed);
+        const zone = lines.slice(lines.indexOf('BEGIN:VTIMEZONE'), lines.indexOf('END:VTIMEZONE') + 1);
+
+        assert.ok(lines.indexOf('END:VTIMEZONE') < lines.indexOf('BEGIN:VEVENT'));
+        assert.strictEqual(lines.filter(line => line === 'BEGIN:VTIMEZONE').length, 1);
+        assert.ok(zone.includes('TZID:America/New_York'));
+
+        // Spring forward on 8 March 2026 at 02:00 EST
+        const daylight = zone.indexOf('DTSTART:20260308T020000');
+        assert.deepStrictEqual(zone.slice(daylight - 1, daylight + 4), [
+            'BEGIN:DAYLIGHT', 'DTSTART:20260308T020000', 'TZOFFSETFROM:-0500', 'TZOFFSETTO:-0400', 'END:DAYLIGHT'
+        ]);
+        // Fall back on 1 November 2026 at 02:00 EDT
+        assert.ok(zone.includes('DTSTART:20261101T020000'));
+    });
+
+    test('writes one event per time of an advanced schedule, with UNTIL as a UTC time', () => {
+        const schedule = makeSchedule({
+            type: 'advanced',
+            rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=FR;UNTIL=20261231',
+            times: ['12:00', '18:30'],
+            startDate: '2026-02-20'
+        });
+        const feed = ICal.buildFeed([schedule], NOW);
+
+        assert.ok(feed.includes('UID:sched-1-1200@doordash-scheduler'));
+        assert.ok(feed.includes('UID:sched-1-1830@doordash-scheduler'));
+        assert.ok(ICal.unfold(feed).includes('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=FR;UNTIL=20270101T045900Z'));
+    });
+
+    test('starts an advanced schedule without a start date on the weeks counted from its creation', () => {
+        // Created Saturday 21 February: weeks count from that one, so the first Friday is 6 March, not 27 February
+        const schedule = makeSchedule({ type: 'advanced', rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=FR', times: ['12:00'] }, {
+            metadata: { createdAt: '2026-02-21T12:00:00.000Z' }
+        });
+        const lines = eventLines(ICal.buildFeed([schedule], NOW));
+
+        assert.ok(lines.includes('DTSTART;TZID=America/New_York:20260306T120000'));
+    });
+
+    test('leaves out disabled schedules but keeps fired one-time ones', () => {
+        const disabled = makeSchedule({ type: 'recurring', daysOfWeek: [1], time: '12:00' }, {
+            settings: { enabled: false }
+        });
+        const fired = makeSchedule({ type: 'once', dateTime: '2026-02-25T12:00' }, {
+            id: 'sched-2',
+            settings: { enabled: false },
+            metadata: { createdAt: '2026-02-20T12:00:00.000Z', order: { lastAt: '2026-02-25T17:00:00.000Z' } }
+        });
+        const feed = ICal.buildFeed([disabled, fired], NOW);
+
+        assert.ok(!feed.includes('UID:sched-1@'));
+        assert.ok(feed.includes('UID:sched-2@'));
+    });
+
+    test('escapes text and folds long lines to 75 octets', () => {
+        const schedule = makeSchedule({ type: 'recurring', daysOfWeek: [1], time: '12:00' }, {
+            name: 'Lunch; team, "big" order',
+            order: { storeName: 'Test Pizzeria', items: Array.from({ length: 6 }, (_, i) => ({ name: `Pizza number ${i}`, quantity: 1 })) }
+        });
+        const feed = ICal.buildFeed([schedule], NOW);
+
+        feed.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+        assert.ok(ICal.unfold(feed).some(line => line.includes('Schedule: Lunch\\; team\\, "big" order')));
+    });
+});
+
+describe('parseEvents', () => {
+    test('reads all-day and timed events as inclusive day ranges', () => {
+        const text = [
+            'BEGIN:VCALENDAR',
+            'BEGIN:VEVENT',
+            'SUMMARY:Christmas\\, observed',
+            'DTSTART;VALUE=DATE:20261224',
+            'DTEND;VALUE=DATE:20261227',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'SUMMARY:New Year',
+            'DTSTART:20260101T090000Z',
+            'DTEND:20260101T100000Z',
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ].join('\r\n');
+
+        assert.deepStrictEqual(ICal.parseEvents(text), [
+            { summary: 'New Year', start: '2026-01-01', end: '2026-01-01' },
+            { summary: 'Christmas, observed', start: '2026-12-24', end: '2026-12-26' }
+        ]);
+    });
+
+    test('skips an END:VEVENT with no BEGIN', () => {
+        const text = [
+            'BEGIN:VCALENDAR',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'DTSTART;VALUE=DATE:20260704',
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ].join('\r\n');
+
+        assert.deepStrictEqual(ICal.parseEvents(text), [{ summary: '', start: '2026-07-04', end: '2026-07-04' }]);
+    });
+
+    test('rejects text that is not a calendar', () => {
+        assert.throws(() => ICal.parseEvents('hello'), /Not an iCalendar file/);
+    });
+});
@@ -0,0 +1,43 @@
+const { describe, test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Job queue bookkeeping (nothing here starts the queue, so no browser is launched)
+ */
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'dd-jobs-'));
+const jobs = require('../jobs');
+
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const ORDER = { storeUrl: 'https://www.doordash.com/store/test-pizzeria-123/', items: [{ name: 'Garlic Knots', quantity: 1 }] };
+
+/**
+ * Jobs as last written to disk
+ * @returns {Array<object>} Saved jobs
+ */
+function savedJobs() {
+    return JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'jobs.json'), 'utf8'));
+}
+
+describe('job queue', () => {
+    test('holds jobs until the server starts the queue', () => {
+        const job = jobs.enqueue(ORDER, { triggeredBy: 'manual' });
+
+        assert.strictEqual(job.status, 'queued');
+        assert.deepStrictEqual(job.events.map(event => event.type), ['queued']);
+        assert.strictEqual(savedJobs().find(saved => saved.id === job.id).status, 'queued');
+    });
+
+    test('keeps only item and final events once a job finishes, with IDs still counting', () => {
+        const job = jobs.enqueue(ORDER);
+        jobs.cancelJob(job.id);
+
+        assert.strictEqual(job.status, 'cancelled');
+        assert.deepStrictEqual(job.events.map(event => [event.id, event.type]), [[2, 'cancelled']]);
+        assert.deepStrictEqual(savedJobs().find(saved => saved.id === job.id).events.map(event => event.type), ['cancelled']);
+    });
+});
@@ -0,0 +1,65 @@
+const { describe, test } = require('node:test');
+const assert = require('assert');
+const matcher = require('../puppeteer/matcher');
+
+/**
+ * Name matching for menu items, options and addresses
+ */
+
+describe('scoreMatch', () => {
+    test('scores identical names 1 regardless of case and punctuation', () => {
+        assert.strictEqual(matcher.scoreMatch('Chicken Burrito', 'chicken burrito'), 1);
+        assert.strictEqual(matcher.scoreMatch("Chef's Special!", 'chefs special'), 1);
+    });
+
+    test('scores unrelated names below the default threshold', () => {
+        assert.ok(matcher.scoreMatch('Tiramisu', 'Chicken Burrito') < matcher.DEFAULT_THRESHOLD);
+        assert.strictEqual(matcher.scoreMatch('', 'Chicken Burrito'), 0);
+    });
+
+    test('tolerates typos and plurals', () => {
+        assert.ok(matcher.isMatch('Garlic Knots', 'Garlic Knot'));
+        assert.ok(matcher.isMatch('Margherita Pizza', 'Margarita Pizza'));
+    });
+
+    test('rejects a different dish that shares the wanted words', () => {
+        assert.ok(matcher.scoreMatch('Chicken Burrito Bowl', 'Chicken Burrito') < matcher.DEFAULT_THRESHOLD);
+        assert.ok(matcher.scoreMatch('Kids Chicken', 'Chicken Burrito') < matcher.DEFAULT_THRESHOLD);
+    });
+
+    test('ignores prices in option labels', () => {
+        assert.strictEqual(matcher.scoreMatch('Large (+$4.00)', 'Large'), 1);
+    });
+
+    test('lets a partial match carry extra text', () => {
+        const option = 'Home - 123 Main St, Springfield, IL 62701';
+        assert.ok(!matcher.isMatch(option, '123 Main St'));
+        assert.ok(matcher.isMatch(option, '123 Main St', matcher.DEFAULT_THRESHOLD, true));
+    });
+});
+
+describe('rankMatches', () => {
+    test('puts the exact name ahead of a longer one listed first', () => {
+        const ranked = matcher.rankMatches(['Chicken Caesar Salad', 'Caesar Salad'], 'Caesar Salad');
+        assert.deepStrictEqual(ranked.map(match => match.name), ['Caesar Salad', 'Chicken Caesar Salad']);
+        assert.strictEqual(ranked[0].index, 1);
+        assert.strictEqual(ranked[0].score, 1);
+    });
+
+    test('prefers "Large" over "Extra Large" for an option choice', () => {
+        const [best] = matcher.rankMatches(['Extra Large (+$3.00)', 'Large (+$1.50)', 'Small'], 'Large');
+        assert.strictEqual(best.name, 'Large (+$1.50)');
+    });
+});
+
+describe('bestMatch', () => {
+    test('returns null when nothing reaches the threshold', () => {
+        assert.strictEqual(matcher.bestMatch(['Tiramisu', 'Cannoli'], 'Chicken Burrito'), null);
+        assert.strictEqual(matcher.bestMatch(['Chicken Burrito Bowl', 'Kids Chicken'], 'Chicken Burrito'), null);
+    });
+
+    test('honours a stricter threshold', () => {
+        assert.strictEqual(matcher.bestMatch(['Garlic Knots'], 'Garlic Knot', 1), null);
+        assert.strictEqual(matcher.bestMatch(['Garlic Knot'], 'Garlic Knot', 1).name, 'Garlic Knot');
+    });
+});
@@ -0,0 +1,60 @@
+const { describe, test } = require('node:test');
+const assert = require('assert');
+const { classifyStoreStatus, parseAmount, parseEta } = require('../puppeteer/autoorder');
+
+/**
+ * Reading store status, delivery ETA and cart amounts from page text
+ */
+
+describe('store status', () => {
+    test('classifies the banners for each reason a store cannot take an order', () => {
+        assert.strictEqual(classifyStoreStatus('This store is currently closed. Opens at 11:00 AM'), 'store_closed');
+        assert.strictEqual(classifyStoreStatus('This store has paused orders for now'), 'store_paused');
+        assert.strictEqual(classifyStoreStatus('Temporarily unavailable'), 'store_paused');
+        assert.strictEqual(classifyStoreStatus('This store is too far away from your address'), 'store_too_far');
+        assert.strictEqual(classifyStoreStatus('Your address is outside the delivery range'), 'out_of_range');
+        assert.strictEqual(classifyStoreStatus("We can't deliver to this address"), 'out_of_range');
+    });
+
+    test('ignores "closed" outside a phrase about the store', () => {
+        assert.strictEqual(classifyStoreStatus('Closed captions available for this video'), 'open');
+        assert.strictEqual(classifyStoreStatus('Sauce comes enclosed in a separate cup'), 'open');
+        assert.strictEqual(classifyStoreStatus('Hours: 11 AM - 9 PM, Closed Sundays'), 'open');
+        assert.strictEqual(classifyStoreStatus(''), 'open');
+    });
+
+    test('reads the usual closed-store wordings', () => {
+        assert.strictEqual(classifyStoreStatus('Store closed'), 'store_closed');
+        assert.strictEqual(classifyStoreStatus('Closed now · Opens tomorrow'), 'store_closed');
+        assert.strictEqual(classifyStoreStatus('This restaurant is closed for the day'), 'store_closed');
+    });
+
+    test('checks distance before closing times', () => {
+        assert.strictEqual(classifyStoreStatus('Too far to deliver. Store closed at 9 PM'), 'store_too_far');
+    });
+});
+
+describe('parseEta', () => {
+    test('reads a range or a single estimate', () => {
+        assert.deepStrictEqual(parseEta('Delivery 25-35 min'), { text: '25-35 min', minMinutes: 25, maxMinutes: 35 });
+        assert.deepStrictEqual(parseEta('25 – 35 min'), { text: '25 – 35 min', minMinutes: 25, maxMinutes: 35 });
+        assert.deepStrictEqual(parseEta('45 min'), { text: '45 min', minMinutes: 45, maxMinutes: 45 });
+    });
+
+    test('returns null without minutes', () => {
+        assert.strictEqual(parseEta('Delivery unavailable'), null);
+    });
+});
+
+describe('parseAmount', () => {
+    test('reads the last dollar amount in a row', () => {
+        assert.strictEqual(parseAmount('Subtotal $12.00'), 12);
+        assert.strictEqual(parseAmount('Total $1,204.50'), 1204.5);
+        assert.strictEqual(parseAmount('Delivery Fee $3.99 $0.00'), 0);
+    });
+
+    test('reads "Free" as zero and nothing as null', () => {
+        assert.strictEqual(parseAmount('Delivery Fee Free'), 0);
+        assert.strictEqual(parseAmount('Service Fee'), null);
+    });
+});
@@ -0,0 +1,299 @@
+const { describe, test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ScheduleTiming = require('../../js/timing');
+
+/**
+ * Server-side schedule firing, retry runs, budget holds and the spending ledger
+ * The job queue is never started, so queued orders just wait in it.
+ */
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'dd-schedules-'));
+const jobs = require('../jobs');
+const schedules = require('../schedules');
+
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const MINUTE = 60000;
+
+/**
+ * A schedule as the page syncs it: an auto-order every day at 12:00 UTC
+ * @param {string} id - Schedule ID (a new one per test, so no trigger state carries over)
+ * @param {object} settings - Settings to override
+ * @returns {object} Schedule
+ */
+function makeSchedule(id, settings = {}) {
+    return {
+        id,
+        name: 'Lunch',
+        favoriteId: 'fav-1',
+        estimatedCost: 20,
+        timing: { type: 'recurring', daysOfWeek: [0, 1, 2, 3, 4, 5, 6], time: '12:00', timeZone: 'UTC', skipDates: [] },
+        settings: { enabled: true, autoOpen: true, reminderMinutesBefore: 15, ...settings },
+        metadata: { createdAt: '2026-01-01T00:00:00.000Z' },
+        order: {
+            storeUrl: 'https://www.doordash.com/store/test-pizzeria-123/',
+            items: [{ name: 'Margherita Pizza', quantity: 1 }, { name: 'Garlic Knots', quantity: 1 }]
+        }
+    };
+}
+
+/**
+ * Sync a schedule and return its next order time
+ * @param {object} schedule - Schedule from makeSchedule
+ * @returns {Date} Order time
+ */
+function nextOrderAt(schedule) {
+    const [synced] = schedules.sync([schedule]);
+    return new Date(synced.metadata.order.nextAt);
+}
+
+/**
+ * Order stage state of a schedule as the server has it
+ * @param {string} id - Schedule ID
+ * @returns {object} Order stage metadata
+ */
+function orderStage(id) {
+    return schedules.list().find(schedule => schedule.id === id).metadata.order;
+}
+
+/**
+ * What the ledger counts as spent on the day of an order (it builds up across these tests)
+ * @param {Date} at - Order time
+ * @returns {number} Amount spent
+ */
+function spentOn(at) {
+    return ScheduleTiming.getSpent(schedules.getSpending(), 'today', at);
+}
+
+/**
+ * Finish a queued job as though it had run
+ * @param {string} id - Job ID
+ * @param {object} fields - Status, result and so on
+ * @returns {object} Job
+ */
+function finishJob(id, fields) {
+    return Object.assign(jobs.getJob(id), { finishedAt: new Date().toISOString() }, fields);
+}
+
+describe('stages', () => {
+    test('fire the reminder ahead of the order, then queue the order', () => {
+        const schedule = makeSchedule('stages');
+        const dueAt = nextOrderAt(schedule);
+        const reminderAt = new Date(schedules.list()[0].metadata.reminder.nextAt);
+        assert.strictEqual(dueAt - reminderAt, 15 * MINUTE);
+
+        schedules.checkDue(reminderAt);
+        const { reminder, order } = schedules.list()[0].metadata;
+        assert.strictEqual(reminder.lastOutcome.status, 'reminded');
+        assert.strictEqual(order.lastOutcome, null);
+
+        schedules.checkDue(dueAt);
+        assert.strictEqual(order.lastOutcome.status, 'queued');
+        assert.strictEqual(order.lastOutcome.dueAt, dueAt.toISOString());
+        assert.deepStrictEqual(jobs.getJob(order.lastJobId).orderData.items, schedule.order.items);
+
+        // Both stages move on to the next day
+        assert.strictEqual(new Date(order.nextAt) - dueAt, 24 * 60 * MINUTE);
+        assert.strictEqual(new Date(reminder.nextAt) - reminderAt, 24 * 60 * MINUTE);
+    });
+
+    test('leave out the order when the schedule only reminds', () => {
+        schedules.sync([makeSchedule('remind-only', { autoOpen: false })]);
+        const { reminder, order } = schedules.list()[0].metadata;
+
+        assert.ok(reminder.nextAt);
+        assert.strictEqual(order.nextAt, null);
+    });
+
+    test('record a stage passed longer than the grace period as missed', () => {
+        const dueAt = nextOrderAt(makeSchedule('missed'));
+        schedules.checkDue(new Date(dueAt.getTime() + 31 * MINUTE));
+        const stage = orderStage('missed');
+
+        assert.strictEqual(stage.lastOutcome.status, 'missed');
+        assert.strictEqual(stage.lastJobId, null);
+        assert.strictEqual(new Date(stage.nextAt) - dueAt, 24 * 60 * MINUTE);
+    });
+});
+
+describe('retry runs', () => {
+    const retry = { maxAttempts: 3, backoffMinutes: 5, giveUpMinutes: 120 };
+
+    /**
+     * Fire a retrying schedule's order and finish its first attempt
+     * @param {string} id - Schedule ID
+     * @param {object} fields - How the job ended
+     * @returns {object} Order time (dueAt) and when the attempt was checked (checkedAt)
+     */
+    function finishFirstAttempt(id, fields) {
+        const dueAt = nextOrderAt(makeSchedule(id, { retry }));
+        schedules.checkDue(dueAt);
+        finishJob(orderStage(id).run.jobId, fields);
+
+        const checkedAt = new Date(dueAt.getTime() + MINUTE);
+        schedules.checkDue(checkedAt);
+        return { dueAt, checkedAt };
+    }
+
+    test('retry only the items an attempt missed, waiting longer each time', () => {
+        const { checkedAt } = finishFirstAttempt('retried', {
+            status: 'done',
+            result: { itemsAdded: 1, items: [{ added: true }, { added: false }] }
+        });
+        const run = orderStage('retried').run;
+
+        assert.strictEqual(run.status, 'waiting');
+        assert.strictEqual(run.retryAt, new Date(checkedAt.getTime() + 5 * MINUTE).toISOString());
+        assert.deepStrictEqual(run.items.map(item => item.name), ['Garlic Knots']);
+
+        schedules.checkDue(new Date(run.retryAt));
+        assert.strictEqual(run.status, 'running');
+        assert.strictEqual(run.attempt, 2);
+        assert.deepStrictEqual(jobs.getJob(run.jobId).orderData.items.map(item => item.name), ['Garlic Knots']);
+    });
+
+    test('keep what a failed attempt added before it stopped', () => {
+        finishFirstAttempt('stopped', {
+            status: 'failed',
+            error: 'Browser closed',
+            events: [{ id: 1, type: 'item-added', index: 0 }, { id: 2, type: 'failed' }]
+        });
+        assert.deepStrictEqual(orderStage('stopped').run.items.map(item => item.name), ['Garlic Knots']);
+    });
+
+    test('finish once every item is in the cart', () => {
+        finishFirstAttempt('filled', {
+            status: 'done',
+            result: { itemsAdded: 2, items: [{ added: true }, { added: true }] }
+        });
+        assert.strictEqual(orderStage('filled').run.status, 'done');
+    });
+
+    test('stop at a store that does not deliver to the address', () => {
+        finishFirstAttempt('out-of-range', { status: 'failed', error: 'Outside the delivery range', storeStatus: 'out_of_range' });
+        assert.strictEqual(orderStage('out-of-range').run.status, 'unavailable');
+    });
+
+    test('give up after the last attempt', () => {
+        const closed = { status: 'failed', error: 'Store closed', storeStatus: 'store_closed' };
+        finishFirstAttempt('gave-up', closed);
+        const run = orderStage('gave-up').run;
+
+        for (let attempt = 2; attempt <= retry.maxAttempts; attempt++) {
+            const retryAt = new Date(run.retryAt);
+            schedules.checkDue(retryAt);
+            finishJob(run.jobId, closed);
+            schedules.checkDue(new Date(retryAt.getTime() + MINUTE));
+        }
+
+        assert.strictEqual(run.status, 'gave-up');
+        assert.strictEqual(run.attempt, retry.maxAttempts);
+    });
+});
+
+describe('spending ledger', () => {
+    test('counts each order once, as the job that ran it here recorded it', () => {
+        const job = jobs.enqueue({ storeUrl: 'https://www.doordash.com/store/test-pizzeria-123/', items: [] });
+        finishJob(job.id, { status: 'done', result: { itemsAdded: 1, totals: { total: 12 } } });
+        const at = new Date().toISOString();
+
+        schedules.sync([], {}, [
+            { id: job.id, total: 99, at },
+            { id: 'page-order', total: 8, at },
+            { id: 'no-total', at },
+            { total: 5, at }
+        ]);
+
+        assert.deepStrictEqual(schedules.getSpending().map(entry => [entry.id, entry.total]), [
+            [job.id, 12],
+            ['page-order', 8]
+        ]);
+    });
+
+    test('drops spending older than any budget period', () => {
+        schedules.sync([], {}, [{ id: 'last-year', total: 30, at: '2020-01-01T12:00:00.000Z' }]);
+        assert.ok(!schedules.getSpending().some(entry => entry.id === 'last-year'));
+    });
+});
+
+describe('budget caps', () => {
+    test('queue an order that fits', () => {
+        const schedule = makeSchedule('within-budget');
+        const dueAt = nextOrderAt(schedule);
+        schedules.sync([schedule], { daily: spentOn(dueAt) + schedule.estimatedCost, onExceed: 'block' });
+        schedules.checkDue(dueAt);
+
+        assert.strictEqual(orderStage('within-budget').lastOutcome.status, 'queued');
+    });
+
+    test('block an order that would go over when the budget says block', () => {
+        const schedule = makeSchedule('blocked');
+        const dueAt = nextOrderAt(schedule);
+        schedules.sync([schedule], { daily: 30, onExceed: 'block' }, [
+            { id: 'spent-blocked', total: 25, at: new Date(dueAt - MINUTE).toISOString() }
+        ]);
+        schedules.checkDue(dueAt);
+        const stage = orderStage('blocked');
+
+        assert.strictEqual(stage.lastOutcome.status, 'blocked');
+        assert.strictEqual(stage.lastOutcome.reason, `Over daily budget ($${spentOn(dueAt).toFixed(2)} of $30.00 spent)`);
+        assert.strictEqual(stage.lastJobId, null);
+    });
+});
+
+describe('over-budget orders', () => {
+    const budget = { daily: 30, onExceed: 'confirm' };
+
+    /**
+     * Fire a schedule's order with at least $25 already spent that day
+     * @param {object} schedule - Schedule from makeSchedule
+     * @returns {Date} Order time
+     */
+    function fireOverBudget(schedule) {
+        const dueAt = nextOrderAt(schedule);
+        schedules.sync([schedule], budget, [{ id: `spent-${schedule.id}`, total: 25, at: new Date(dueAt - MINUTE).toISOString() }]);
+        schedules.checkDue(dueAt);
+        return dueAt;
+    }
+
+    test('wait for the page to confirm them', () => {
+        fireOverBudget(makeSchedule('held'));
+        const stage = orderStage('held');
+
+        assert.strictEqual(stage.lastOutcome.status, 'held');
+        assert.match(stage.lastOutcome.reason, /^Over daily budget \(\$\d+\.\d\d of \$30\.00 spent\)$/);
+        assert.strictEqual(stage.lastJobId, null);
+    });
+
+    test('are queued once confirmed', () => {
+        fireOverBudget(makeSchedule('confirmed'));
+        schedules.resolveHeld('confirmed', true);
+        const stage = orderStage('confirmed');
+
+        assert.strictEqual(stage.lastOutcome.status, 'queued');
+        assert.strictEqual(jobs.getJob(stage.lastJobId).source.scheduleId, 'confirmed');
+        assert.strictEqual(schedules.resolveHeld('confirmed', true), null);
+    });
+
+    test('are blocked once declined', () => {
+        fireOverBudget(makeSchedule('declined'));
+        schedules.resolveHeld('declined', false);
+        const stage = orderStage('declined');
+
+        assert.strictEqual(stage.lastOutcome.status, 'blocked');
+        assert.match(stage.lastOutcome.reason, /; declined$/);
+        assert.strictEqual(stage.lastJobId, null);
+    });
+
+    test('are blocked when nobody confirms them before the retry deadline', () => {
+        const dueAt = fireOverBudget(makeSchedule('expired', { retry: { giveUpMinutes: 60 } }));
+        schedules.checkDue(new Date(dueAt.getTime() + 30 * MINUTE));
+        assert.strictEqual(orderStage('expired').lastOutcome.status, 'held');
+
+        schedules.checkDue(new Date(dueAt.getTime() + 61 * MINUTE));
+        assert.match(orderStage('expired').lastOutcome.reason, /; not confirmed in time$/);
+    });
+});
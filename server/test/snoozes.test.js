@@ -0,0 +1,114 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Snoozed reminders and the reminder log, as the page keeps them in localStorage
+ * The page scripts are loaded as they are in index.html, with localStorage backed by a Map.
+ */
+
+const store = new Map();
+const page = vm.createContext({
+    console,
+    localStorage: {
+        getItem: key => (store.has(key) ? store.get(key) : null),
+        setItem: (key, value) => store.set(key, String(value))
+    }
+});
+
+['storage.js', 'timing.js', 'models.js'].forEach(file => {
+    const source = fs.readFileSync(path.join(__dirname, '../../js', file), 'utf8');
+    vm.runInContext(source, page, { filename: file });
+});
+
+const { Storage, SnoozesModel, ReminderLogModel, OrderHistoryModel } = vm.runInContext(
+    '({ Storage, SnoozesModel, ReminderLogModel, OrderHistoryModel })', page
+);
+
+const MINUTE = 60000;
+
+/**
+ * Copy a value out of the page's context, so it compares equal to this context's arrays and objects
+ * @param {any} value - Value from the page scripts
+ * @returns {any} Plain copy
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+beforeEach(() => {
+    store.clear();
+    Storage.set(Storage.KEYS.SCHEDULES, [{
+        id: 'lunch',
+        timing: { type: 'recurring', daysOfWeek: [1, 2, 3, 4, 5], time: '12:00', timeZone: 'UTC', skipDates: [] },
+        settings: { enabled: true },
+        metadata: { createdAt: '2026-01-01T00:00:00.000Z', reminder: {}, order: {} }
+    }]);
+});
+
+/**
+ * Snoozes as last written to localStorage
+ * @returns {Array<object>} Saved snoozes
+ */
+function savedSnoozes() {
+    return JSON.parse(store.get(Storage.KEYS.SNOOZES));
+}
+
+describe('snoozes', () => {
+    test('are saved, with a new snooze replacing the schedule\'s earlier one', () => {
+        const now = Date.now();
+        SnoozesModel.set('lunch', new Date(now + 10 * MINUTE));
+        const later = SnoozesModel.set('lunch', new Date(now + 30 * MINUTE));
+
+        assert.deepStrictEqual(savedSnoozes(), [plain(later)]);
+        assert.strictEqual(later.until, new Date(now + 30 * MINUTE).toISOString());
+    });
+
+    test('are taken once they run out and kept until then', () => {
+        const now = new Date();
+        SnoozesModel.set('lunch', new Date(now.getTime() + 10 * MINUTE));
+
+        assert.deepStrictEqual(plain(SnoozesModel.takeDue(now)), []);
+        assert.strictEqual(savedSnoozes().length, 1);
+
+        const due = SnoozesModel.takeDue(new Date(now.getTime() + 10 * MINUTE));
+        assert.deepStrictEqual(plain(due.map(snooze => snooze.scheduleId)), ['lunch']);
+        assert.deepStrictEqual(savedSnoozes(), []);
+    });
+
+    test('are dropped when their schedule has been deleted', () => {
+        const now = new Date();
+        SnoozesModel.set('deleted', new Date(now.getTime() + 10 * MINUTE));
+
+        assert.deepStrictEqual(plain(SnoozesModel.takeDue(now)), []);
+        assert.deepStrictEqual(savedSnoozes(), []);
+    });
+
+    test('are dropped when removed', () => {
+        SnoozesModel.set('lunch', new Date(Date.now() + 10 * MINUTE));
+        SnoozesModel.remove('lunch');
+        assert.deepStrictEqual(plain(SnoozesModel.getAll()), []);
+    });
+});
+
+describe('reminder log', () => {
+    test('takes reminder actions that were logged with the order history', () => {
+        Storage.set(Storage.KEYS.ORDER_HISTORY, [
+            { id: 'order', status: 'success', orderedAt: '2026-03-02T12:00:00.000Z' },
+            { id: 'snoozed', status: 'reminder', reminderAction: 'snooze', orderedAt: '2026-03-02T11:45:00.000Z' }
+        ]);
+
+        assert.deepStrictEqual(plain(OrderHistoryModel.getAll().map(entry => entry.id)), ['order']);
+        assert.deepStrictEqual(plain(ReminderLogModel.getAll().map(entry => entry.id)), ['snoozed']);
+        assert.strictEqual(JSON.parse(store.get(Storage.KEYS.ORDER_HISTORY)).length, 1);
+    });
+
+    test('keeps only the last 100 entries', () => {
+        for (let i = 0; i < 105; i++) {
+            ReminderLogModel.add({ scheduleId: 'lunch', reminderAction: 'remind' });
+        }
+        assert.strictEqual(ReminderLogModel.getAll().length, 100);
+    });
+});
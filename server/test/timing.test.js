@@ -0,0 +1,278 @@
+const { describe, test } = require('node:test');
+const assert = require('assert');
+const ScheduleTiming = require('../../js/timing');
+
+/**
+ * Recurrence, timezones, DST and skip dates shared by the page and the server
+ */
+
+const NEW_YORK = 'America/New_York';
+
+/**
+ * ISO strings of a list of instants
+ * @param {Array<Date>} dates - Instants
+ * @returns {Array<string>} ISO strings
+ */
+function iso(dates) {
+    return dates.map(date => date.toISOString());
+}
+
+describe('recurring schedules', () => {
+    const weekly = { type: 'recurring', daysOfWeek: [1], time: '12:00', timeZone: NEW_YORK };
+
+    test('fire at the wall-clock time in the schedule timezone', () => {
+        // Monday 2 March 2026, 12:00 EST
+        assert.strictEqual(
+            ScheduleTiming.calculateNextTrigger(weekly, new Date('2026-03-01T12:00:00Z')),
+            '2026-03-02T17:00:00.000Z'
+        );
+    });
+
+    test('subtract the reminder lead', () => {
+        assert.strictEqual(
+            ScheduleTiming.calculateNextTrigger({ ...weekly, reminderMinutesBefore: 15 }, new Date('2026-03-01T12:00:00Z')),
+            '2026-03-02T16:45:00.000Z'
+        );
+    });
+
+    test('keep the wall-clock time across a DST change', () => {
+        // Monday 9 March 2026 is the first Monday on EDT
+        assert.strictEqual(
+            ScheduleTiming.calculateNextTrigger(weekly, new Date('2026-03-02T18:00:00Z')),
+            '2026-03-09T16:00:00.000Z'
+        );
+    });
+
+    test('move a time skipped by DST forward by the gap', () => {
+        const sunday = { type: 'recurring', daysOfWeek: [0], time: '02:30', timeZone: NEW_YORK };
+        // 02:30 doesn't exist on 8 March 2026; it fires at 03:30 EDT
+        assert.strictEqual(
+            ScheduleTiming.calculateNextTrigger(sunday, new Date('2026-03-07T12:00:00Z')),
+            '2026-03-08T07:30:00.000Z'
+        );
+    });
+
+    test('fire a time that happens twice only once, at the first', () => {
+        const sunday = { type: 'recurring', daysOfWeek: [0], time: '01:30', timeZone: NEW_YORK };
+        const first = ScheduleTiming.calculateNextTrigger(sunday, new Date('2026-10-31T12:00:00Z'));
+        assert.strictEqual(first, '2026-11-01T05:30:00.000Z');
+        assert.strictEqual(
+            ScheduleTiming.calculateNextTrigger(sunday, new Date(first)),
+            '2026-11-08T06:30:00.000Z'
+        );
+    });
+
+    test('jump past skipped days', () => {
+        const skipDates = [{ start: '2026-03-02', end: '2026-03-02' }];
+        assert.strictEqual(
+            ScheduleTiming.calculateNextTrigger({ ...weekly, skipDates }, new Date('2026-03-01T12:00:00Z')),
+            '2026-03-09T16:00:00.000Z'
+        );
+        assert.strictEqual(
+            ScheduleTiming.getNextSkippedTrigger({ ...weekly, skipDates }, new Date('2026-03-01T12:00:00Z')),
+            '2026-03-02T17:00:00.000Z'
+        );
+    });
+
+    test('return null with no days picked', () => {
+        assert.strictEqual(ScheduleTiming.calculateNextTrigger({ ...weekly, daysOfWeek: [] }), null);
+    });
+});
+
+describe('one-time schedules', () => {
+    test('read the date as wall-clock time in the schedule timezone', () => {
+        const once = { type: 'once', dateTime: '2026-07-04T18:00', timeZone: NEW_YORK };
+        assert.strictEqual(ScheduleTiming.calculateNextTrigger(once, new Date('2026-07-01T00:00:00Z')), '2026-07-04T22:00:00.000Z');
+        assert.strictEqual(ScheduleTiming.calculateNextTrigger(once, new Date('2026-07-05T00:00:00Z')), null);
+    });
+
+    test('ignore skip dates', () => {
+        const once = { type: 'once', dateTime: '2026-07-04T18:00', timeZone: 'UTC', skipDates: [{ start: '2026-07-04' }] };
+        assert.strictEqual(ScheduleTiming.calculateNextTrigger(once, new Date('2026-07-01T00:00:00Z')), '2026-07-04T18:00:00.000Z');
+    });
+});
+
+describe('advanced rules', () => {
+    test('repeat every other week from the start date', () => {
+        const data = { rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=FR', times: ['12:00'], startDate: '2026-03-06', timeZone: 'UTC' };
+        assert.deepStrictEqual(iso(ScheduleTiming.getOccurrences(data, 3, new Date('2026-03-01T00:00:00Z'))), [
+            '2026-03-06T12:00:00.000Z',
+            '2026-03-20T12:00:00.000Z',
+            '2026-04-03T12:00:00.000Z'
+        ]);
+
+        // The weeks stay in step with the start date however late the count begins
+        assert.deepStrictEqual(iso(ScheduleTiming.getOccurrences(data, 1, new Date('2026-03-10T00:00:00Z'))), [
+            '2026-03-20T12:00:00.000Z'
+        ]);
+    });
+
+    test('count from the creation date when no start date is set', () => {
+        const timing = { rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=FR', times: ['12:00'], timeZone: NEW_YORK };
+        // 03:00 UTC on 7 March is still 6 March in New York
+        assert.strictEqual(ScheduleTiming.getStartDate(timing, '2026-03-07T03:00:00Z'), '2026-03-06');
+        assert.strictEqual(ScheduleTiming.getStartDate({ ...timing, startDate: '2026-03-13' }, '2026-03-07T03:00:00Z'), '2026-03-13');
+    });
+
+    test('leave out the days an exclusion rule picks', () => {
+        const data = {
+            rrule: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+            exrule: 'FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1',
+            times: ['12:00'],
+            startDate: '2026-03-01',
+            timeZone: 'UTC'
+        };
+        // Tuesday 31 March is the last business day of the month
+        assert.deepStrictEqual(iso(ScheduleTiming.getOccurrences(data, 3, new Date('2026-03-27T00:00:00Z'))), [
+            '2026-03-27T12:00:00.000Z',
+            '2026-03-30T12:00:00.000Z',
+            '2026-04-01T12:00:00.000Z'
+        ]);
+    });
+
+    test('pick numbered weekdays in monthly rules', () => {
+        const data = { rrule: 'FREQ=MONTHLY;BYDAY=1MO', times: ['08:00'], startDate: '2026-01-01', timeZone: 'UTC' };
+        assert.deepStrictEqual(iso(ScheduleTiming.getOccurrences(data, 2, new Date('2026-01-01T00:00:00Z'))), [
+            '2026-01-05T08:00:00.000Z',
+            '2026-02-02T08:00:00.000Z'
+        ]);
+    });
+
+    test('stop at UNTIL and skip months without the day', () => {
+        const data = { rrule: 'FREQ=MONTHLY;BYMONTHDAY=31;UNTIL=20260601', times: ['08:00'], startDate: '2026-01-01', timeZone: 'UTC' };
+        assert.deepStrictEqual(iso(ScheduleTiming.getOccurrences(data, 5, new Date('2026-01-01T00:00:00Z'))), [
+            '2026-01-31T08:00:00.000Z',
+            '2026-03-31T08:00:00.000Z',
+            '2026-05-31T08:00:00.000Z'
+        ]);
+    });
+
+    test('list every time on a day, across a DST change', () => {
+        const data = { type: 'advanced', rrule: 'FREQ=DAILY', times: ['09:00', '17:00'], startDate: '2026-01-01', timeZone: 'Europe/Berlin' };
+        // Berlin moves to CEST on 29 March 2026
+        assert.deepStrictEqual(iso(ScheduleTiming.getOccurrencesOn(data, '2026-03-28')), [
+            '2026-03-28T08:00:00.000Z',
+            '2026-03-28T16:00:00.000Z'
+        ]);
+        assert.deepStrictEqual(iso(ScheduleTiming.getOccurrencesOn(data, '2026-03-29')), [
+            '2026-03-29T07:00:00.000Z',
+            '2026-03-29T15:00:00.000Z'
+        ]);
+    });
+
+    test('reject unsupported or malformed rules', () => {
+        assert.throws(() => ScheduleTiming.parseRule(''), /empty/);
+        assert.throws(() => ScheduleTiming.parseRule('FREQ=YEARLY'), /Unsupported FREQ/);
+        assert.throws(() => ScheduleTiming.parseRule('FREQ=WEEKLY;BYDAY=1MO'), /FREQ=MONTHLY/);
+        assert.throws(() => ScheduleTiming.parseRule('FREQ=DAILY;BYHOUR=9'), /set the times instead/);
+        assert.throws(() => ScheduleTiming.parseRule('FREQ=MONTHLY;BYMONTHDAY=0'), /start at 1/);
+    });
+});
+
+describe('skip dates', () => {
+    test('match inclusive ranges and single days', () => {
+        const skipDates = [{ start: '2026-12-24', end: '2026-12-26' }, { start: '2026-01-01' }];
+        assert.ok(ScheduleTiming.isSkippedDate('2026-12-24', skipDates));
+        assert.ok(ScheduleTiming.isSkippedDate('2026-12-26', skipDates));
+        assert.ok(ScheduleTiming.isSkippedDate('2026-01-01', skipDates));
+        assert.ok(!ScheduleTiming.isSkippedDate('2026-12-27', skipDates));
+        assert.ok(!ScheduleTiming.isSkippedDate('2026-01-02', skipDates));
+    });
+
+    test('apply to advanced rules', () => {
+        const data = { rrule: 'FREQ=DAILY', times: ['12:00'], startDate: '2026-12-20', timeZone: 'UTC', skipDates: [{ start: '2026-12-24', end: '2026-12-26' }] };
+        assert.deepStrictEqual(iso(ScheduleTiming.getOccurrences(data, 2, new Date('2026-12-23T13:00:00Z'))), [
+            '2026-12-27T12:00:00.000Z',
+            '2026-12-28T12:00:00.000Z'
+        ]);
+    });
+});
+
+describe('timezones', () => {
+    test('convert between wall-clock time and instants', () => {
+        const instant = ScheduleTiming.parseDateTime('2026-07-01T09:15', 'Asia/Kolkata');
+        assert.strictEqual(instant.toISOString(), '2026-07-01T03:45:00.000Z');
+        assert.strictEqual(ScheduleTiming.toWallTime(instant, 'Asia/Kolkata'), '2026-07-01T09:15:00');
+    });
+
+    test('know which zone names are valid', () => {
+        assert.ok(ScheduleTiming.isValidTimeZone(NEW_YORK));
+        assert.ok(!ScheduleTiming.isValidTimeZone('Mars/Olympus_Mons'));
+    });
+});
+
+describe('retries', () => {
+    const retry = { maxAttempts: 3, backoffMinutes: 5, giveUpMinutes: 60 };
+    const dueAt = '2026-03-02T17:00:00.000Z';
+
+    test('double the wait after each attempt', () => {
+        assert.strictEqual(ScheduleTiming.getRetryAt(retry, 1, dueAt, new Date(dueAt)), '2026-03-02T17:05:00.000Z');
+        assert.strictEqual(ScheduleTiming.getRetryAt(retry, 2, dueAt, new Date('2026-03-02T17:05:00Z')), '2026-03-02T17:15:00.000Z');
+    });
+
+    test('give up after the last attempt or past the deadline', () => {
+        assert.strictEqual(ScheduleTiming.getRetryAt(retry, 3, dueAt, new Date(dueAt)), null);
+        assert.strictEqual(ScheduleTiming.getRetryAt(retry, 1, dueAt, new Date('2026-03-02T17:58:00Z')), null);
+    });
+
+    test('never retry a store that does not deliver to the address', () => {
+        assert.ok(ScheduleTiming.isRetryable('store_closed'));
+        assert.ok(!ScheduleTiming.isRetryable('out_of_range'));
+    });
+});
+
+describe('budgets', () => {
+    // Wednesday 11 March 2026 at noon, local time like the budget periods
+    const now = new Date(2026, 2, 11, 12);
+    const ledger = [
+        { id: 'job-1', total: 20, at: new Date(2026, 2, 11, 9).toISOString() },
+        { id: 'job-2', total: 15, at: new Date(2026, 2, 9, 12).toISOString() },
+        { id: 'job-3', total: 30, at: new Date(2026, 2, 2, 12).toISOString() },
+        { id: 'job-4', total: 50, at: new Date(2026, 1, 27, 12).toISOString() }
+    ];
+
+    test('count an order only if it left items in the cart', () => {
+        const at = '2026-03-11T16:00:00.000Z';
+        assert.deepStrictEqual(
+            ScheduleTiming.getSpendingEntry('job-1', { itemsAdded: 2, totals: { total: 20 } }, at),
+            { id: 'job-1', total: 20, at }
+        );
+        assert.strictEqual(ScheduleTiming.getSpendingEntry('job-1', { itemsAdded: 0, totals: { total: 20 } }, at), null);
+        assert.strictEqual(
+            ScheduleTiming.getSpendingEntry('job-1', { itemsAdded: 2, cartCheck: {}, itemsVerified: 0, totals: { total: 20 } }, at),
+            null
+        );
+        assert.strictEqual(ScheduleTiming.getSpendingEntry('job-1', { itemsAdded: 2 }, at), null);
+    });
+
+    test('count an order in more than one ledger once, as the first has it', () => {
+        const merged = ScheduleTiming.mergeSpending([{ id: 'job-1', total: 21, at: ledger[0].at }], ledger);
+        assert.strictEqual(merged.length, 4);
+        assert.strictEqual(merged.find(entry => entry.id === 'job-1').total, 21);
+    });
+
+    test('add up spending in each period', () => {
+        assert.strictEqual(ScheduleTiming.getSpent(ledger, 'today', now), 20);
+        assert.strictEqual(ScheduleTiming.getSpent(ledger, 'week', now), 35);
+        assert.strictEqual(ScheduleTiming.getSpent(ledger, 'month', now), 65);
+        assert.strictEqual(ScheduleTiming.getSpent(ledger, 'all', now), 115);
+    });
+
+    test('list the caps an order would go over', () => {
+        const budget = { daily: 30, weekly: 100, monthly: 70, onExceed: 'confirm' };
+        assert.deepStrictEqual(ScheduleTiming.getBudgetOverruns(12, budget, ledger, now), [
+            { cap: 'daily', limit: 30, spent: 20 },
+            { cap: 'monthly', limit: 70, spent: 65 }
+        ]);
+        assert.deepStrictEqual(ScheduleTiming.getBudgetOverruns(12, { daily: null }, ledger, now), []);
+    });
+
+    test('reach back to the earliest period start', () => {
+        assert.strictEqual(ScheduleTiming.getBudgetWindowStart(now).getTime(), new Date(2026, 2, 1).getTime());
+        // Sunday 29 March starts a week that reaches into the month before
+        assert.strictEqual(
+            ScheduleTiming.getBudgetWindowStart(new Date(2026, 3, 2, 12)).getTime(),
+            new Date(2026, 2, 29).getTime()
+        );
+    });
+});